@@ -0,0 +1,38 @@
+/**
+ * Dietary Configuration
+ * Dietary tags, allergens and spice levels a menu item can carry
+ */
+
+// Dietary tags used for filtering and menu badges
+const DIETARY_TAGS = ['veg', 'non-veg', 'egg', 'vegan', 'jain', 'halal', 'gluten-free'];
+
+// Allergens follow the 14 major allergens commonly required on menus
+const ALLERGENS = [
+  'gluten',
+  'crustaceans',
+  'eggs',
+  'fish',
+  'peanuts',
+  'soy',
+  'milk',
+  'tree-nuts',
+  'celery',
+  'mustard',
+  'sesame',
+  'sulphites',
+  'lupin',
+  'molluscs',
+];
+
+// "contains" is an ingredient; "may-contain" is a cross-contact risk
+const ALLERGEN_LEVELS = ['contains', 'may-contain'];
+
+// 0 = not spicy ... 5 = extra hot
+const MAX_SPICE_LEVEL = 5;
+
+module.exports = {
+  DIETARY_TAGS,
+  ALLERGENS,
+  ALLERGEN_LEVELS,
+  MAX_SPICE_LEVEL,
+};
@@ -0,0 +1,39 @@
+/**
+ * Kitchen Configuration
+ * Per-item preparation statuses and prep-station naming
+ */
+
+// Order of preparation for a single order line; lines only move forward
+const ITEM_STATUSES = ['pending', 'preparing', 'ready', 'served'];
+
+// Station names are short slugs such as "grill", "bar" or "cold-kitchen"
+const STATION_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const STATION_MAX_LENGTH = 30;
+
+/**
+ * Check whether an item status is at or past another one
+ * @param {string} status - Current item status
+ * @param {string} target - Status to compare against
+ * @returns {boolean} True if status has reached target
+ */
+const hasReachedStatus = (status, target) => {
+  return ITEM_STATUSES.indexOf(status) >= ITEM_STATUSES.indexOf(target);
+};
+
+/**
+ * The least advanced status among a set of item statuses
+ * @param {string[]} statuses - Item statuses
+ * @returns {string} Lowest status ('pending' for an empty list)
+ */
+const lowestStatus = (statuses) => {
+  if (statuses.length === 0) return ITEM_STATUSES[0];
+  return ITEM_STATUSES[Math.min(...statuses.map(status => ITEM_STATUSES.indexOf(status)))];
+};
+
+module.exports = {
+  ITEM_STATUSES,
+  STATION_PATTERN,
+  STATION_MAX_LENGTH,
+  hasReachedStatus,
+  lowestStatus,
+};
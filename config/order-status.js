@@ -0,0 +1,92 @@
+/**
+ * Order Status Configuration
+ * Allowed order status transitions and the roles that may perform them
+ */
+
+// 'merged' closes an order whose items were moved onto another order's bill by a table merge
+const ORDER_STATUSES = ['pending', 'confirmed', 'preparing', 'ready', 'served', 'completed', 'cancelled', 'merged'];
+
+// Orders in these statuses can still have items added, changed or removed
+const OPEN_ORDER_STATUSES = ['pending', 'confirmed', 'preparing', 'ready', 'served'];
+
+const ALL_ROLES = ['waiter', 'cashier', 'admin'];
+
+// from -> { to: roles allowed to make the move }
+// Reopening a completed or cancelled order is reserved for admins. Only the
+// server merges orders (no role may), and a merged order is never reopened.
+const ORDER_TRANSITIONS = {
+  pending: {
+    confirmed: ALL_ROLES,
+    preparing: ALL_ROLES,
+    cancelled: ALL_ROLES,
+    merged: [],
+  },
+  confirmed: {
+    preparing: ALL_ROLES,
+    cancelled: ALL_ROLES,
+    merged: [],
+  },
+  preparing: {
+    ready: ALL_ROLES,
+    cancelled: ['admin'],
+    merged: [],
+  },
+  ready: {
+    served: ALL_ROLES,
+    // Takeaway and delivery orders are handed over without being served
+    completed: ALL_ROLES,
+    cancelled: ['admin'],
+    merged: [],
+  },
+  served: {
+    completed: ALL_ROLES,
+    cancelled: ['admin'],
+    merged: [],
+  },
+  completed: {
+    served: ['admin'],
+  },
+  cancelled: {
+    pending: ['admin'],
+  },
+};
+
+/**
+ * Check whether a status change exists in the transition graph at all
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean} True if the transition is defined
+ */
+const isTransitionDefined = (from, to) => {
+  return Boolean(ORDER_TRANSITIONS[from] && ORDER_TRANSITIONS[from][to]);
+};
+
+/**
+ * Check whether a role may move an order from one status to another
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @param {string} role - User role
+ * @returns {boolean} True if allowed
+ */
+const canTransition = (from, to, role) => {
+  return isTransitionDefined(from, to) && ORDER_TRANSITIONS[from][to].includes(role);
+};
+
+/**
+ * Get the statuses a role can move an order to from its current status
+ * @param {string} from - Current status
+ * @param {string} role - User role
+ * @returns {string[]} Reachable statuses
+ */
+const getAllowedTransitions = (from, role) => {
+  return Object.keys(ORDER_TRANSITIONS[from] || {}).filter(to => canTransition(from, to, role));
+};
+
+module.exports = {
+  ORDER_STATUSES,
+  OPEN_ORDER_STATUSES,
+  ORDER_TRANSITIONS,
+  isTransitionDefined,
+  canTransition,
+  getAllowedTransitions,
+};
@@ -0,0 +1,14 @@
+/**
+ * Table Configuration
+ * Floor plan table statuses
+ */
+
+const TABLE_STATUSES = ['available', 'occupied', 'reserved', 'cleaning', 'out-of-service'];
+
+// 'occupied' follows the table's open orders; staff set the others by hand
+const MANUAL_TABLE_STATUSES = ['available', 'reserved', 'cleaning', 'out-of-service'];
+
+module.exports = {
+  TABLE_STATUSES,
+  MANUAL_TABLE_STATUSES,
+};
@@ -0,0 +1,22 @@
+/**
+ * Void Reason Configuration
+ * Reason codes accepted when cancelling an order or voiding items
+ */
+
+const VOID_REASONS = {
+  'customer-request': 'Customer changed their mind',
+  'wrong-item': 'Wrong item entered',
+  'kitchen-error': 'Prepared incorrectly',
+  'quality-issue': 'Quality complaint',
+  'long-wait': 'Waited too long',
+  duplicate: 'Entered twice',
+  'out-of-stock': 'Ran out after ordering',
+  other: 'Other (note required)',
+};
+
+const VOID_REASON_CODES = Object.keys(VOID_REASONS);
+
+module.exports = {
+  VOID_REASONS,
+  VOID_REASON_CODES,
+};
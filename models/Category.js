@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { STATION_PATTERN, STATION_MAX_LENGTH } = require('../config/kitchen');
 
 const categorySchema = new mongoose.Schema({
   name: {
@@ -12,6 +13,15 @@ const categorySchema = new mongoose.Schema({
     trim: true,
     maxlength: [500, 'Description cannot exceed 500 characters']
   },
+  // Prep station for this category's items (e.g. grill, bar); items may override it
+  station: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: null,
+    maxlength: [STATION_MAX_LENGTH, `Station cannot exceed ${STATION_MAX_LENGTH} characters`],
+    match: [STATION_PATTERN, 'Station may only contain lowercase letters, numbers and dashes']
+  },
   displayOrder: {
     type: Number,
     default: 0
@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+
+// A line of the order billed on this check
+const checkLineSchema = new mongoose.Schema({
+  orderItemId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'OrderItem',
+    required: true
+  },
+  itemName: {
+    type: String,
+    required: true
+  },
+  variantName: {
+    type: String
+  },
+  qty: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  seat: {
+    type: Number
+  }
+}, { _id: false });
+
+// Sub-check of a split bill. The checks of an order add up to the order's
+// totals; each one is paid and receipted on its own.
+const checkSchema = new mongoose.Schema({
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  // 1-based position within the split, printed as "Check 2 of 3"
+  checkNumber: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  checkCount: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  splitType: {
+    type: String,
+    enum: ['item', 'seat', 'equal'],
+    required: true
+  },
+  label: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Check label cannot exceed 50 characters']
+  },
+  // Empty for equal shares, which bill a fraction of the whole order
+  lines: [checkLineSchema],
+  subtotal: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  discount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  serviceCharge: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  tax: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  totalAmount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  paidAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  status: {
+    type: String,
+    enum: ['open', 'settled', 'void'],
+    default: 'open'
+  },
+  settledAt: {
+    type: Date
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  outletId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+checkSchema.index({ orderId: 1, status: 1, checkNumber: 1 });
+
+module.exports = mongoose.model('Check', checkSchema);
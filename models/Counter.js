@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// Atomic per-outlet sequence (order numbers, KOT numbers, ...).
+// `period` is the local date for sequences that reset daily, or 'all'.
+const counterSchema = new mongoose.Schema({
+  outletId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  period: {
+    type: String,
+    required: true,
+    default: 'all'
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+counterSchema.index({ outletId: 1, name: 1, period: 1 }, { unique: true });
+
+module.exports = mongoose.model('Counter', counterSchema);
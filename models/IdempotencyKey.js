@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// A client-supplied key for a create request (Idempotency-Key header or the
+// order's clientRef). Replays of the same request return the original result.
+const idempotencyKeySchema = new mongoose.Schema({
+  outletId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  key: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [200, 'Idempotency key cannot exceed 200 characters']
+  },
+  // Hash of the request payload; a replay with a different payload is rejected
+  requestHash: {
+    type: String,
+    required: true
+  },
+  // Set once the order exists; null while the first request is still running
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    default: null
+  },
+  // When the current request took the key; an unfinished claim older than the
+  // lease (see utils/idempotency.js) is taken over by the next retry
+  claimedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+idempotencyKeySchema.index({ outletId: 1, key: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
@@ -0,0 +1,213 @@
+const mongoose = require('mongoose');
+
+// One line of an invoice or credit note. Amounts are per line, after discount;
+// a credit note line points back to the invoice line it corrects.
+const invoiceLineSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: ['item', 'service-charge'],
+    default: 'item'
+  },
+  orderItemId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'OrderItem'
+  },
+  sourceLineId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  description: {
+    type: String,
+    required: true
+  },
+  qty: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  unitPrice: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  grossAmount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  discount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  taxableAmount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  taxRate: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  tax: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  total: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // On invoice lines: how much of the line credit notes have taken back so far
+  credited: {
+    qty: { type: Number, default: 0 },
+    grossAmount: { type: Number, default: 0 },
+    discount: { type: Number, default: 0 },
+    taxableAmount: { type: Number, default: 0 },
+    tax: { type: Number, default: 0 }
+  }
+});
+
+const taxBreakdownSchema = new mongoose.Schema({
+  taxRate: {
+    type: Number,
+    required: true
+  },
+  taxableAmount: {
+    type: Number,
+    required: true
+  },
+  tax: {
+    type: Number,
+    required: true
+  }
+}, { _id: false });
+
+// Parties as printed on the document, copied at issue time
+const partySchema = new mongoose.Schema({
+  name: { type: String, trim: true },
+  address: { type: String, trim: true },
+  taxId: { type: String, trim: true },
+  email: { type: String, trim: true },
+  phone: { type: String, trim: true }
+}, { _id: false });
+
+// A tax invoice issued for a paid order, or a credit note correcting one.
+// Each type is numbered in its own gap-free series per outlet; documents are
+// never deleted, only corrected by credit notes.
+const invoiceSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['invoice', 'credit-note'],
+    required: true
+  },
+  sequence: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  invoiceNumber: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['issued', 'partially-credited', 'credited'],
+    default: 'issued'
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  orderNumber: {
+    type: String,
+    required: true
+  },
+  // Credit notes: the invoice being corrected and why
+  creditNoteFor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice'
+  },
+  creditNoteForNumber: {
+    type: String
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Reason cannot exceed 200 characters']
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  seller: partySchema,
+  customer: partySchema,
+  lines: [invoiceLineSchema],
+  taxBreakdown: [taxBreakdownSchema],
+  subtotal: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  discount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  serviceCharge: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  tax: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Refunds that lowered the bill before it was invoiced
+  adjustment: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  totalAmount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Invoices: sum of their credit notes
+  creditedAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  issuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  outletId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true,
+  // Credit notes update the invoice they correct; concurrent ones must not both succeed
+  optimisticConcurrency: true
+});
+
+// Indexes
+invoiceSchema.index({ outletId: 1, type: 1, sequence: 1 }, { unique: true });
+invoiceSchema.index({ outletId: 1, issuedAt: -1 });
+invoiceSchema.index({ orderId: 1 }, { unique: true, partialFilterExpression: { type: 'invoice' } });
+invoiceSchema.index({ creditNoteFor: 1 });
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+
+// One line of a kitchen order ticket, snapshotted when the ticket is generated
+const kotLineSchema = new mongoose.Schema({
+  orderItemId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'OrderItem',
+    required: true
+  },
+  itemName: {
+    type: String,
+    required: true
+  },
+  variantName: {
+    type: String
+  },
+  // Combo the line belongs to, printed as a group heading
+  comboName: {
+    type: String
+  },
+  comboSlot: {
+    type: String
+  },
+  // Quantity to prepare on this ticket (only the increase for lines already sent);
+  // on cancellation tickets, the sent quantity the kitchen should no longer make
+  qty: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  modifiers: [{
+    type: String
+  }],
+  notes: {
+    type: String
+  },
+  station: {
+    type: String,
+    default: null
+  }
+}, { _id: false });
+
+// Kitchen order ticket: what the kitchen was asked to prepare, and when
+const kotSchema = new mongoose.Schema({
+  kotNumber: {
+    type: Number,
+    required: true
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  orderNumber: {
+    type: String,
+    required: true
+  },
+  displayToken: {
+    type: String
+  },
+  tableNumber: {
+    type: String
+  },
+  orderType: {
+    type: String
+  },
+  // 'full' tickets list every line of the order, 'incremental' ones only what was added since the last ticket,
+  // 'cancellation' ones what was taken off the order after it had been sent
+  type: {
+    type: String,
+    enum: ['full', 'incremental', 'cancellation'],
+    required: true
+  },
+  // Prep station the ticket was printed for; null for the whole kitchen
+  station: {
+    type: String,
+    default: null
+  },
+  lines: [kotLineSchema],
+  orderNotes: {
+    type: String
+  },
+  printCount: {
+    type: Number,
+    default: 1
+  },
+  lastPrintedAt: {
+    type: Date,
+    default: Date.now
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  outletId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+kotSchema.index({ orderId: 1, createdAt: 1 });
+kotSchema.index({ outletId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Kot', kotSchema);
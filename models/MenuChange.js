@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// One version of a menu item or category: who changed it, when, and the
+// state before and after the change
+const menuChangeSchema = new mongoose.Schema({
+  entityType: {
+    type: String,
+    enum: ['MenuItem', 'Category'],
+    required: true
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    refPath: 'entityType'
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  action: {
+    type: String,
+    enum: ['create', 'update', 'delete', 'import', 'rollback', 'scheduled-price'],
+    required: true
+  },
+  changedFields: [{
+    type: String
+  }],
+  before: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // Version restored by a rollback
+  rolledBackTo: {
+    type: Number
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  outletId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+menuChangeSchema.index({ entityId: 1, version: -1 }, { unique: true });
+menuChangeSchema.index({ outletId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('MenuChange', menuChangeSchema);
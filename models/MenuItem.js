@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { DIETARY_TAGS, ALLERGENS, ALLERGEN_LEVELS, MAX_SPICE_LEVEL } = require('../config/dietary');
+const { STATION_PATTERN, STATION_MAX_LENGTH } = require('../config/kitchen');
 
 const modifierSchema = new mongoose.Schema({
   name: {
@@ -33,6 +35,148 @@ const modifierGroupSchema = new mongoose.Schema({
   modifiers: [modifierSchema]
 }, { _id: false });
 
+// Size or portion of an item (half/full, small/medium/large) with its own price
+const variantSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Variant name is required'],
+    trim: true,
+    maxlength: [100, 'Variant name cannot exceed 100 characters']
+  },
+  price: {
+    type: Number,
+    required: [true, 'Variant price is required'],
+    min: [0, 'Price cannot be negative']
+  },
+  sku: {
+    type: String,
+    trim: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+});
+
+const allergenSchema = new mongoose.Schema({
+  allergen: {
+    type: String,
+    enum: { values: ALLERGENS, message: '{VALUE} is not a supported allergen' },
+    required: true
+  },
+  level: {
+    type: String,
+    enum: ALLERGEN_LEVELS,
+    default: 'contains'
+  }
+}, { _id: false });
+
+// One choice in a combo, e.g. "Side": fries or salad. Eligible items are the
+// listed options plus, when categoryId is set, any item of that category.
+const comboSlotSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Combo slot name is required'],
+    trim: true
+  },
+  categoryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  },
+  options: [{
+    _id: false,
+    itemId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'MenuItem',
+      required: true
+    },
+    upcharge: {
+      type: Number,
+      default: 0,
+      min: [0, 'Upcharge cannot be negative']
+    }
+  }],
+  minSelection: {
+    type: Number,
+    default: 1,
+    min: 0
+  },
+  maxSelection: {
+    type: Number,
+    default: 1,
+    min: 1
+  }
+}, { _id: false });
+
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// A recurring window in the outlet's local time. startTime > endTime means
+// the window runs past midnight (e.g. 18:00-02:00) and belongs to its start day.
+const timeWindowFields = {
+  daysOfWeek: {
+    type: [{ type: Number, min: 0, max: 6 }],
+    default: [0, 1, 2, 3, 4, 5, 6]
+  },
+  startTime: {
+    type: String,
+    required: true,
+    match: [TIME_OF_DAY, 'Start time must be in HH:mm format']
+  },
+  endTime: {
+    type: String,
+    required: true,
+    match: [TIME_OF_DAY, 'End time must be in HH:mm format']
+  }
+};
+
+const availabilityWindowSchema = new mongoose.Schema(timeWindowFields, { _id: false });
+
+// Time-bound price such as happy hour; optionally limited to a date range
+const priceOverrideSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    trim: true
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: [0, 'Price cannot be negative']
+  },
+  // Applies to this variant only; without it the override replaces the base price
+  variantId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  ...timeWindowFields,
+  startDate: {
+    type: Date
+  },
+  endDate: {
+    type: Date
+  }
+}, { _id: false });
+
+// Price change that takes effect at a future date; applied by the scheduler
+// (utils/menu-history.js) and honored by pricing as soon as it is due
+const scheduledPriceChangeSchema = new mongoose.Schema({
+  price: {
+    type: Number,
+    required: true,
+    min: [0, 'Price cannot be negative']
+  },
+  // Applies to this variant only; without it the base price changes
+  variantId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  effectiveAt: {
+    type: Date,
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
 const menuItemSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -59,16 +203,78 @@ const menuItemSchema = new mongoose.Schema({
     ref: 'Category',
     required: [true, 'Category is required']
   },
+  // Prep station override; null uses the category's station
+  station: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: null,
+    maxlength: [STATION_MAX_LENGTH, `Station cannot exceed ${STATION_MAX_LENGTH} characters`],
+    match: [STATION_PATTERN, 'Station may only contain lowercase letters, numbers and dashes']
+  },
   isActive: {
     type: Boolean,
     default: true
   },
+  dietaryTags: {
+    type: [{ type: String, enum: { values: DIETARY_TAGS, message: '{VALUE} is not a supported dietary tag' } }],
+    default: []
+  },
+  spiceLevel: {
+    type: Number,
+    min: 0,
+    max: [MAX_SPICE_LEVEL, `Spice level cannot exceed ${MAX_SPICE_LEVEL}`],
+    default: 0
+  },
+  allergens: [allergenSchema],
+  // "86" state, independent of isActive: the item stays on the menu but cannot be ordered
+  isSoldOut: {
+    type: Boolean,
+    default: false
+  },
+  soldOutUntil: {
+    type: Date
+  },
+  // Set when running out of stock flagged the item, so returned stock can lift it again;
+  // a sold-out flag set by staff stays until they clear it
+  soldOutByStock: {
+    type: Boolean,
+    default: false
+  },
+  // Remaining portions; null means stock is not tracked
+  stockCount: {
+    type: Number,
+    min: [0, 'Stock count cannot be negative'],
+    default: null
+  },
+  // Combos are billed at their own price (plus upcharges) and expanded into components on order
+  itemType: {
+    type: String,
+    enum: ['single', 'combo'],
+    default: 'single'
+  },
+  comboSlots: [comboSlotSchema],
+  // When present, one active variant must be chosen and its price replaces the base price
+  variants: {
+    type: [variantSchema],
+    validate: {
+      validator: function(variants) {
+        const names = variants.map(v => v.name.toLowerCase());
+        const skus = variants.filter(v => v.sku).map(v => v.sku);
+        return new Set(names).size === names.length && new Set(skus).size === skus.length;
+      },
+      message: 'Variant names and SKUs must be unique within an item'
+    }
+  },
   modifierGroups: [modifierGroupSchema],
+  // Empty means the item is available whenever it is active
+  availability: [availabilityWindowSchema],
+  priceOverrides: [priceOverrideSchema],
+  scheduledPriceChanges: [scheduledPriceChangeSchema],
+  // Unique per outlet (see index below) so a menu can be copied between outlets
   sku: {
     type: String,
-    trim: true,
-    unique: true,
-    sparse: true
+    trim: true
   },
   outletId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -83,6 +289,60 @@ const menuItemSchema = new mongoose.Schema({
 menuItemSchema.index({ outletId: 1, isActive: 1 });
 menuItemSchema.index({ categoryId: 1, isActive: 1 });
 menuItemSchema.index({ outletId: 1, categoryId: 1 });
+menuItemSchema.index({ 'variants.sku': 1 });
+menuItemSchema.index({ outletId: 1, dietaryTags: 1 });
+menuItemSchema.index({ outletId: 1, 'allergens.allergen': 1 });
+menuItemSchema.index({ outletId: 1, price: 1 });
+menuItemSchema.index({ 'scheduledPriceChanges.effectiveAt': 1 });
+menuItemSchema.index({ name: 'text', description: 'text' }, { weights: { name: 5, description: 1 } });
+menuItemSchema.index(
+  { outletId: 1, sku: 1 },
+  { unique: true, partialFilterExpression: { sku: { $type: 'string' } } }
+);
+
+// Static method to find an item or variant SKU in `source` already used by another item of the outlet
+menuItemSchema.statics.findSkuConflict = async function(outletId, source, excludeId = null) {
+  const skus = [source.sku, ...(source.variants || []).map(variant => variant && variant.sku)]
+    .filter(sku => typeof sku === 'string' && sku.trim())
+    .map(sku => sku.trim());
+
+  if (skus.length === 0) return null;
+  if (new Set(skus).size !== skus.length) return skus.find((sku, i) => skus.indexOf(sku) !== i);
+
+  const query = {
+    outletId,
+    $or: [{ sku: { $in: skus } }, { 'variants.sku': { $in: skus } }]
+  };
+  if (excludeId) query._id = { $ne: excludeId };
+
+  const conflict = await this.findOne(query).select('sku variants.sku').lean();
+  if (!conflict) return null;
+
+  const taken = [conflict.sku, ...(conflict.variants || []).map(variant => variant.sku)];
+  return skus.find(sku => taken.includes(sku));
+};
+
+// Static method to carry existing variant IDs over to replacement variants, matched by
+// _id, then SKU, then name, so price overrides and order history keep pointing at them
+menuItemSchema.statics.mergeVariantIds = function(incoming, existing = []) {
+  const merged = incoming.map(variant => ({ ...variant, _id: undefined }));
+  const unmatched = [...existing];
+  const matchers = [
+    (variant, current) => variant._id && String(current._id) === String(variant._id),
+    (variant, current) => variant.sku && current.sku === variant.sku,
+    (variant, current) => (current.name || '').toLowerCase() === String(variant.name || '').toLowerCase()
+  ];
+
+  matchers.forEach((matches) => {
+    incoming.forEach((variant, index) => {
+      if (merged[index]._id) return;
+      const found = unmatched.findIndex(current => matches(variant, current));
+      if (found !== -1) merged[index]._id = unmatched.splice(found, 1)[0]._id;
+    });
+  });
+
+  return merged.map((variant, index) => (variant._id ? variant : incoming[index]));
+};
 
 module.exports = mongoose.model('MenuItem', menuItemSchema);
 
@@ -1,22 +1,73 @@
 const mongoose = require('mongoose');
+const { ORDER_STATUSES } = require('../config/order-status');
+const { allocateOrderNumber } = require('../utils/sequence-helpers');
+
+// One status change: when it happened and who made it
+const statusChangeSchema = new mongoose.Schema({
+  from: {
+    type: String,
+    enum: [...ORDER_STATUSES, null],
+    default: null
+  },
+  to: {
+    type: String,
+    enum: ORDER_STATUSES,
+    required: true
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Status note cannot exceed 200 characters']
+  }
+}, { _id: false });
 
 const orderSchema = new mongoose.Schema({
   orderNumber: {
     type: String,
-    required: true,
-    unique: true,
-    index: true
+    required: true
+  },
+  // Position in the outlet's order sequence (resets daily unless configured otherwise)
+  sequence: {
+    type: Number
+  },
+  // Short number called out at the pickup counter
+  displayToken: {
+    type: String
   },
   tableNumber: {
     type: String,
     trim: true
   },
+  tableId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Table'
+  },
+  // How the bill is split into sub-checks (see models/Check.js); null when it is not split
+  splitType: {
+    type: String,
+    enum: ['item', 'seat', 'equal', null],
+    default: null
+  },
+  // Set when the order's lines were moved onto another order by a table merge
+  mergedInto: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
   status: {
     type: String,
-    enum: ['pending', 'confirmed', 'preparing', 'ready', 'served', 'completed', 'cancelled'],
+    enum: ORDER_STATUSES,
     default: 'pending',
     index: true
   },
+  statusHistory: [statusChangeSchema],
   orderType: {
     type: String,
     enum: ['dine-in', 'takeaway', 'delivery'],
@@ -42,16 +93,69 @@ const orderSchema = new mongoose.Schema({
     default: 0,
     min: 0
   },
+  // Service charge on the bill, with the outlet's rule as it was when the order was placed
+  serviceCharge: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  serviceChargeType: {
+    type: String,
+    enum: ['percentage', 'fixed']
+  },
+  serviceChargeValue: {
+    type: Number,
+    min: 0
+  },
+  serviceChargeTaxable: {
+    type: Boolean,
+    default: false
+  },
+  serviceChargeLabel: {
+    type: String
+  },
   discountType: {
     type: String,
     enum: ['percentage', 'fixed'],
     default: 'fixed'
   },
+  // Discount as entered (percent or amount) and tax rate, kept so totals can be recomputed when items change
+  discountValue: {
+    type: Number,
+    min: 0
+  },
+  taxRate: {
+    type: Number,
+    min: 0
+  },
   notes: {
     type: String,
     trim: true,
     maxlength: [500, 'Notes cannot exceed 500 characters']
   },
+  // Kept in step with the order's payments so lists can filter on payment state
+  paidAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  paymentStatus: {
+    type: String,
+    enum: ['unpaid', 'partial', 'paid', 'refunded'],
+    default: 'unpaid'
+  },
+  // Money returned to the guest, and the part of it that lowered the bill
+  // rather than leaving a balance to collect again
+  refundedAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  refundAdjustment: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   outletId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -78,19 +182,34 @@ const orderSchema = new mongoose.Schema({
   timestamps: true
 });
 
-// Generate order number before saving
-orderSchema.pre('save', async function(next) {
-  if (!this.orderNumber) {
-    const count = await mongoose.model('Order').countDocuments({ outletId: this.outletId });
-    const date = new Date();
-    const dateStr = date.toISOString().slice(0, 10).replace(/-/g, '');
-    this.orderNumber = `ORD-${dateStr}-${String(count + 1).padStart(4, '0')}`;
+// Generate order number before saving from the outlet's atomic counter
+orderSchema.pre('validate', async function(next) {
+  if (this.orderNumber) return next();
+
+  try {
+    const outlet = await mongoose.model('User')
+      .findById(this.outletId)
+      .select('timezone orderNumbering')
+      .lean();
+
+    const { orderNumber, displayToken, sequence } = await allocateOrderNumber(
+      outlet || { _id: this.outletId },
+      this.createdAt || new Date()
+    );
+    this.orderNumber = orderNumber;
+    this.displayToken = displayToken;
+    this.sequence = sequence;
+    next();
+  } catch (error) {
+    next(error);
   }
-  next();
 });
 
 // Indexes
-orderSchema.index({ outletId: 1, createdAt: -1 });
+orderSchema.index({ outletId: 1, orderNumber: 1 }, { unique: true });
+orderSchema.index({ outletId: 1, displayToken: 1, createdAt: -1 });
+orderSchema.index({ outletId: 1, createdAt: -1, _id: -1 });
+orderSchema.index({ outletId: 1, paymentStatus: 1, createdAt: -1 });
 orderSchema.index({ outletId: 1, status: 1 });
 orderSchema.index({ tableNumber: 1, status: 1 });
 
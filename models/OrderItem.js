@@ -1,4 +1,22 @@
 const mongoose = require('mongoose');
+const { ITEM_STATUSES } = require('../config/kitchen');
+
+// Snapshot of a selected modifier, priced from the menu item at order time
+const orderItemModifierSchema = new mongoose.Schema({
+  groupName: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, { _id: false });
 
 const orderItemSchema = new mongoose.Schema({
   orderId: {
@@ -16,6 +34,16 @@ const orderItemSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Snapshot of the chosen variant so sales can be broken down by size/portion
+  variantId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  variantName: {
+    type: String
+  },
+  sku: {
+    type: String
+  },
   qty: {
     type: Number,
     required: true,
@@ -26,19 +54,58 @@ const orderItemSchema = new mongoose.Schema({
     required: true,
     min: 0
   },
-  modifiers: {
-    type: mongoose.Schema.Types.Mixed,
-    default: {}
-  },
+  modifiers: [orderItemModifierSchema],
   notes: {
     type: String,
     trim: true,
     maxlength: [200, 'Item notes cannot exceed 200 characters']
   },
+  // 'combo' lines carry the bundle price; their 'combo-component' lines are
+  // what the kitchen prepares and are billed at 0
+  lineType: {
+    type: String,
+    enum: ['item', 'combo', 'combo-component'],
+    default: 'item'
+  },
+  parentItemId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'OrderItem'
+  },
+  comboSlot: {
+    type: String
+  },
+  // Seat the line was ordered for, used to split the bill by seat
+  seat: {
+    type: Number,
+    min: 1
+  },
+  // Prep station the line was routed to when ordered; null for combo lines and unrouted items
+  station: {
+    type: String,
+    default: null
+  },
+  // Combo lines follow the least advanced of their components
   status: {
     type: String,
-    enum: ['pending', 'preparing', 'ready', 'served'],
+    enum: ITEM_STATUSES,
     default: 'pending'
+  },
+  statusChangedAt: {
+    type: Date
+  },
+  // Voided lines stay on the order for the audit trail but are no longer billed or prepared
+  isVoided: {
+    type: Boolean,
+    default: false
+  },
+  voidedAt: {
+    type: Date
+  },
+  // Quantity already sent to the kitchen on a KOT
+  kotQty: {
+    type: Number,
+    default: 0,
+    min: 0
   }
 }, {
   timestamps: true
@@ -46,7 +113,9 @@ const orderItemSchema = new mongoose.Schema({
 
 // Indexes
 orderItemSchema.index({ orderId: 1 });
+orderItemSchema.index({ parentItemId: 1 });
 orderItemSchema.index({ itemId: 1 });
+orderItemSchema.index({ itemId: 1, variantId: 1 });
 
 module.exports = mongoose.model('OrderItem', orderItemSchema);
 
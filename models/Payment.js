@@ -7,6 +7,16 @@ const paymentSchema = new mongoose.Schema({
     required: true,
     index: true
   },
+  // Cash drawer session the payment was taken in
+  shiftId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shift'
+  },
+  // Sub-check the payment settles when the order's bill is split
+  checkId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Check'
+  },
   method: {
     type: String,
     enum: ['card', 'upi', 'cash', 'wallet'],
@@ -17,6 +27,16 @@ const paymentSchema = new mongoose.Schema({
     required: true,
     min: 0
   },
+  // Gratuity taken with the payment; it is not part of the bill and goes to tipRecipient
+  tip: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  tipRecipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   status: {
     type: String,
     enum: ['pending', 'processing', 'completed', 'failed', 'refunded'],
@@ -27,6 +47,25 @@ const paymentSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Gateway adapter that settles the payment (see utils/payment-gateway.js) and
+  // its reference there; empty for payments recorded as taken, like cash
+  gateway: {
+    type: String
+  },
+  gatewayReference: {
+    type: String
+  },
+  failureReason: {
+    type: String,
+    trim: true
+  },
+  // Sum of refunds against the payment (see models/Refund.js); status becomes
+  // 'refunded' once all of it has been returned
+  refundedAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   paidAt: {
     type: Date
   },
@@ -45,7 +84,11 @@ const paymentSchema = new mongoose.Schema({
 
 // Indexes
 paymentSchema.index({ orderId: 1 });
+paymentSchema.index({ checkId: 1 });
+paymentSchema.index({ shiftId: 1 });
+paymentSchema.index({ gateway: 1, gatewayReference: 1 }, { sparse: true });
 paymentSchema.index({ status: 1, createdAt: -1 });
+paymentSchema.index({ tipRecipient: 1, paidAt: -1 });
 
 module.exports = mongoose.model('Payment', paymentSchema);
 
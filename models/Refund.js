@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+// Money returned against a completed payment. A payment can be refunded in
+// several parts; together they never exceed what was paid.
+const refundSchema = new mongoose.Schema({
+  paymentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    required: true,
+    index: true
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+    index: true
+  },
+  checkId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Check'
+  },
+  // Cash drawer session the refund was given from
+  shiftId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shift',
+    index: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  // How the money went back, and how it was originally paid
+  method: {
+    type: String,
+    enum: ['card', 'upi', 'cash', 'wallet'],
+    required: true
+  },
+  originalMethod: {
+    type: String,
+    enum: ['card', 'upi', 'cash', 'wallet'],
+    required: true
+  },
+  reason: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [200, 'Refund reason cannot exceed 200 characters']
+  },
+  // True when the refund lowered the bill instead of leaving a balance to collect again
+  adjustedTotal: {
+    type: Boolean,
+    default: false
+  },
+  transactionId: {
+    type: String,
+    trim: true
+  },
+  // Refund reference at the gateway, for gateway payments
+  gatewayReference: {
+    type: String
+  },
+  processedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  outletId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+refundSchema.index({ outletId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Refund', refundSchema);
@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+
+// Cash put into or taken out of the drawer outside of payments (change, payouts, banking)
+const cashMovementSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['cash-in', 'cash-out'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  reason: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [200, 'Reason cannot exceed 200 characters']
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  recordedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// A cashier session on one cash drawer, from the opening float to the count at close.
+// Payments and refunds taken while it is open are attached to it.
+const shiftSchema = new mongoose.Schema({
+  shiftNumber: {
+    type: Number,
+    required: true
+  },
+  drawer: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true,
+    default: 'main',
+    maxlength: [30, 'Drawer name cannot exceed 30 characters']
+  },
+  status: {
+    type: String,
+    enum: ['open', 'closed'],
+    default: 'open'
+  },
+  openingFloat: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  openedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  openedAt: {
+    type: Date,
+    default: Date.now
+  },
+  movements: [cashMovementSchema],
+  // Filled in at close; variance is counted minus expected (negative when cash is short)
+  expectedCash: {
+    type: Number
+  },
+  countedCash: {
+    type: Number,
+    min: 0
+  },
+  variance: {
+    type: Number
+  },
+  closingNote: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Closing note cannot exceed 500 characters']
+  },
+  closedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  closedAt: {
+    type: Date
+  },
+  // Z report as printed at close, kept so it reads the same later
+  zReport: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  outletId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+shiftSchema.index({ outletId: 1, shiftNumber: 1 }, { unique: true });
+shiftSchema.index({ outletId: 1, openedAt: -1 });
+// At most one open shift per drawer
+shiftSchema.index({ outletId: 1, drawer: 1 }, { unique: true, partialFilterExpression: { status: 'open' } });
+
+module.exports = mongoose.model('Shift', shiftSchema);
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+const { TABLE_STATUSES } = require('../config/tables');
+
+// A table on the outlet's floor plan
+const tableSchema = new mongoose.Schema({
+  // What staff and orders call the table, e.g. "12" or "T4"
+  number: {
+    type: String,
+    required: [true, 'Table number is required'],
+    trim: true,
+    maxlength: [20, 'Table number cannot exceed 20 characters']
+  },
+  area: {
+    type: String,
+    trim: true,
+    default: 'Main',
+    maxlength: [50, 'Area cannot exceed 50 characters']
+  },
+  section: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Section cannot exceed 50 characters']
+  },
+  capacity: {
+    type: Number,
+    required: [true, 'Capacity is required'],
+    min: [1, 'Capacity must be at least 1']
+  },
+  status: {
+    type: String,
+    enum: TABLE_STATUSES,
+    default: 'available'
+  },
+  // Position on the floor plan, in the client's grid units
+  position: {
+    x: { type: Number, default: 0 },
+    y: { type: Number, default: 0 }
+  },
+  // Set while the table is joined to another table's bill
+  mergedInto: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Table',
+    default: null
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  outletId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+tableSchema.index({ outletId: 1, number: 1 }, { unique: true });
+tableSchema.index({ outletId: 1, area: 1 });
+tableSchema.index({ mergedInto: 1 });
+
+module.exports = mongoose.model('Table', tableSchema);
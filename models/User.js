@@ -1,5 +1,36 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+
+// Service charge added to bills of one order type, or of every order type when orderType is null
+const serviceChargeSchema = new mongoose.Schema({
+  orderType: {
+    type: String,
+    enum: ['dine-in', 'takeaway', 'delivery', null],
+    default: null
+  },
+  type: {
+    type: String,
+    enum: ['percentage', 'fixed'],
+    required: true
+  },
+  value: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Whether tax is charged on the service charge too
+  taxable: {
+    type: Boolean,
+    default: false
+  },
+  label: {
+    type: String,
+    trim: true,
+    default: 'Service charge',
+    maxlength: [30, 'Service charge label cannot exceed 30 characters']
+  }
+}, { _id: false });
 
 const userSchema = new mongoose.Schema({
   firstName: {
@@ -49,6 +80,86 @@ const userSchema = new mongoose.Schema({
     trim: true,
     match: [/^[\+]?[1-9][\d]{0,15}$/, 'Please enter a valid phone number']
   },
+  // Public identifiers for guest-facing pages (QR menu); never expose _id there
+  slug: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    unique: true,
+    sparse: true,
+    match: [/^[a-z0-9]+(?:-[a-z0-9]+)*$/, 'Slug may only contain lowercase letters, numbers and dashes']
+  },
+  publicId: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  timezone: {
+    type: String,
+    trim: true,
+    default: process.env.DEFAULT_TIMEZONE || 'Asia/Kolkata'
+  },
+  // Order number format for this outlet; unset fields fall back to the defaults in utils/sequence-helpers.js
+  orderNumbering: {
+    prefix: {
+      type: String,
+      trim: true,
+      match: [/^[A-Za-z0-9]{0,10}$/, 'Prefix may only contain up to 10 letters and numbers']
+    },
+    format: {
+      type: String,
+      trim: true,
+      maxlength: [40, 'Order number format cannot exceed 40 characters']
+    },
+    reset: {
+      type: String,
+      enum: ['daily', 'never']
+    },
+    tokenDigits: {
+      type: Number,
+      min: 2,
+      max: 4
+    }
+  },
+  serviceCharges: [serviceChargeSchema],
+  // Business details printed on invoices; unset fields fall back to the account's name, email and phone
+  invoicing: {
+    legalName: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Legal name cannot exceed 100 characters']
+    },
+    address: {
+      type: String,
+      trim: true,
+      maxlength: [300, 'Address cannot exceed 300 characters']
+    },
+    taxId: {
+      type: String,
+      trim: true,
+      maxlength: [30, 'Tax ID cannot exceed 30 characters']
+    },
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true
+    },
+    footer: {
+      type: String,
+      trim: true,
+      maxlength: [300, 'Invoice footer cannot exceed 300 characters']
+    },
+    invoicePrefix: {
+      type: String,
+      trim: true,
+      match: [/^[A-Za-z0-9]{1,10}$/, 'Prefix may only contain up to 10 letters and numbers']
+    },
+    creditNotePrefix: {
+      type: String,
+      trim: true,
+      match: [/^[A-Za-z0-9]{1,10}$/, 'Prefix may only contain up to 10 letters and numbers']
+    }
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -60,6 +171,29 @@ const userSchema = new mongoose.Schema({
   lastLogin: {
     type: Date
   },
+  // Outlet a staff account works for; an account without one is an outlet of its own.
+  // Only admins of the same outlet can approve its staff's voids and cancellations.
+  outletId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Short PIN an admin enters on a colleague's terminal to approve voids and cancellations
+  approvalPin: {
+    type: String,
+    select: false
+  },
+  // Failed approval requests in a row by this account; too many lock its requests
+  // for a while so a PIN cannot be guessed
+  approvalFailures: {
+    type: Number,
+    default: 0,
+    select: false
+  },
+  approvalLockedUntil: {
+    type: Date,
+    select: false
+  },
   role: {
     type: String,
     enum: ['waiter', 'cashier', 'admin'],
@@ -108,6 +242,42 @@ userSchema.pre('save', async function(next) {
   }
 });
 
+// Pre-save middleware to hash the approval PIN
+userSchema.pre('save', async function(next) {
+  if (!this.isModified('approvalPin') || !this.approvalPin) return next();
+
+  try {
+    const salt = await bcrypt.genSalt(parseInt(process.env.BCRYPT_ROUNDS) || 12);
+    this.approvalPin = await bcrypt.hash(this.approvalPin, salt);
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Pre-save middleware to assign public identifiers (also backfills existing users on next save)
+userSchema.pre('save', async function(next) {
+  try {
+    if (!this.publicId) {
+      this.publicId = crypto.randomBytes(6).toString('hex');
+    }
+
+    if (!this.slug && this.businessName) {
+      const base = this.businessName
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 60) || 'outlet';
+      const taken = await mongoose.model('User').exists({ slug: base, _id: { $ne: this._id } });
+      this.slug = taken ? `${base}-${this.publicId.slice(0, 6)}` : base;
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Instance method to check password
 userSchema.methods.comparePassword = async function(candidatePassword) {
   try {
@@ -117,6 +287,16 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   }
 };
 
+// Instance method to check the approval PIN (select '+approvalPin' first)
+userSchema.methods.compareApprovalPin = async function(candidatePin) {
+  if (!this.approvalPin) return false;
+  try {
+    return await bcrypt.compare(String(candidatePin), this.approvalPin);
+  } catch (error) {
+    throw new Error('PIN comparison failed');
+  }
+};
+
 // Instance method to get public profile (matches frontend expectations)
 userSchema.methods.getPublicProfile = function() {
   return {
@@ -128,6 +308,9 @@ userSchema.methods.getPublicProfile = function() {
     businessName: this.businessName,
     businessType: this.businessType,
     phone: this.phone,
+    timezone: this.timezone,
+    slug: this.slug,
+    publicId: this.publicId,
     isActive: this.isActive,
     emailVerified: this.emailVerified,
     createdAt: this.createdAt,
@@ -140,6 +323,14 @@ userSchema.statics.findByEmail = function(email) {
   return this.findOne({ email: email.toLowerCase() });
 };
 
+// Static method to find an active outlet by its public slug or public ID
+userSchema.statics.findByPublicRef = function(ref) {
+  return this.findOne({
+    $or: [{ slug: String(ref).toLowerCase() }, { publicId: String(ref) }],
+    isActive: true
+  });
+};
+
 // Static method to check if email exists
 userSchema.statics.emailExists = async function(email) {
   const user = await this.findOne({ email: email.toLowerCase() });
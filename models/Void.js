@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+const { VOID_REASON_CODES } = require('../config/void-reasons');
+
+// Audit record of a cancelled order or a voided order line
+const voidSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['order', 'item'],
+    required: true
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  orderNumber: {
+    type: String,
+    required: true
+  },
+  orderItemId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'OrderItem'
+  },
+  itemName: {
+    type: String
+  },
+  qty: {
+    type: Number,
+    min: 0
+  },
+  // Amount taken off the bill, before discount and tax
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  reasonCode: {
+    type: String,
+    enum: VOID_REASON_CODES,
+    required: true
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Void note cannot exceed 200 characters']
+  },
+  // Whether the kitchen had already started on the food
+  wasPrepared: {
+    type: Boolean,
+    default: false
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  approvalMethod: {
+    type: String,
+    enum: ['role', 'pin', 'password']
+  },
+  outletId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+voidSchema.index({ outletId: 1, createdAt: -1 });
+voidSchema.index({ orderId: 1 });
+
+module.exports = mongoose.model('Void', voidSchema);
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// A gateway webhook that was processed. Gateways retry deliveries, so an
+// event seen before is acknowledged without being applied again.
+const webhookEventSchema = new mongoose.Schema({
+  gateway: {
+    type: String,
+    required: true
+  },
+  eventId: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String
+  },
+  paymentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  processedAt: {
+    type: Date
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+webhookEventSchema.index({ gateway: 1, eventId: 1 }, { unique: true });
+
+module.exports = mongoose.model('WebhookEvent', webhookEventSchema);
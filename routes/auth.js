@@ -2,8 +2,9 @@ const express = require('express');
 const { body } = require('express-validator');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
-const { auth } = require('../middleware/auth');
+const { auth, authorize } = require('../middleware/auth');
 const { validate, commonValidations } = require('../middleware/validation');
+const { isValidTimezone } = require('../utils/menu-availability');
 
 const router = express.Router();
 
@@ -65,6 +66,11 @@ router.post('/signup', [
     .isIn(['waiter', 'cashier', 'admin'])
     .withMessage('Role must be one of: waiter, cashier, admin'),
   
+  body('timezone')
+    .optional()
+    .custom(isValidTimezone)
+    .withMessage('Please provide a valid IANA timezone, e.g. Asia/Kolkata'),
+  
   validate
 ], async (req, res) => {
   try {
@@ -76,7 +82,8 @@ router.post('/signup', [
       businessName,
       businessType,
       phone,
-      role
+      role,
+      timezone
     } = req.body;
 
     // Check if user already exists
@@ -96,6 +103,7 @@ router.post('/signup', [
       businessName,
       businessType,
       phone,
+      timezone,
       role: role || 'waiter' // Default to waiter if not provided
     });
 
@@ -235,6 +243,44 @@ router.get('/me', auth, async (req, res) => {
   }
 });
 
+// @route   PUT /api/auth/approval-pin
+// @desc    Set the PIN used to approve voids and cancellations on another user's terminal
+// @access  Private (admin)
+router.put('/approval-pin', auth, authorize('admin'), [
+  body('currentPassword')
+    .notEmpty()
+    .withMessage('Current password is required'),
+
+  body('pin')
+    .matches(/^\d{4,8}$/)
+    .withMessage('PIN must be 4 to 8 digits'),
+
+  validate
+], async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+password');
+
+    const isPasswordValid = await user.comparePassword(req.body.currentPassword);
+    if (!isPasswordValid) {
+      return res.status(401).json({
+        error: 'Current password is incorrect'
+      });
+    }
+
+    user.approvalPin = req.body.pin;
+    await user.save();
+
+    res.json({
+      message: 'Approval PIN updated'
+    });
+  } catch (error) {
+    console.error('Set approval PIN error:', error);
+    res.status(500).json({
+      error: 'Server error while setting approval PIN'
+    });
+  }
+});
+
 // @route   POST /api/auth/logout
 // @desc    Logout user (client-side token removal)
 // @access  Private
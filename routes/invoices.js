@@ -0,0 +1,370 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query, validationResult } = require('express-validator');
+const { auth, requirePermission } = require('../middleware/auth');
+const Invoice = require('../models/Invoice');
+const Order = require('../models/Order');
+const { ApiError } = require('../utils/errorHandler');
+const { emitToOutlet } = require('../utils/socket-helpers');
+const {
+  getSellerDetails,
+  buildInvoiceLines,
+  buildCreditLines,
+  applyCredit,
+  revertCredit,
+  issueInvoice
+} = require('../utils/invoice-helpers');
+const { renderInvoiceText, renderInvoicePdf, renderInvoiceHtml } = require('../utils/invoice-render');
+
+const DOCUMENT_FORMATS = ['json', 'text', 'html', 'pdf'];
+
+const customerValidators = [
+  body('customer').optional().isObject().withMessage('Customer must be an object'),
+  body('customer.name').optional().trim().isLength({ max: 100 }).withMessage('Customer name cannot exceed 100 characters'),
+  body('customer.address').optional().trim().isLength({ max: 300 }).withMessage('Customer address cannot exceed 300 characters'),
+  body('customer.taxId').optional().trim().isLength({ max: 30 }).withMessage('Customer tax ID cannot exceed 30 characters'),
+  body('customer.email').optional().trim().isEmail().withMessage('Invalid customer email').normalizeEmail(),
+  body('customer.phone').optional().trim().isLength({ max: 20 }).withMessage('Customer phone cannot exceed 20 characters')
+];
+
+// Load an invoice or credit note of the current outlet or throw a 404
+const findInvoice = async (outletId, invoiceId) => {
+  const invoice = await Invoice.findOne({ _id: invoiceId, outletId });
+  if (!invoice) {
+    throw new ApiError('Invoice not found', 404);
+  }
+  return invoice;
+};
+
+// Send a document in the format asked for (?format=json|text|html|pdf)
+const sendDocument = (req, res, invoice, data) => {
+  const options = { timeZone: req.user.timezone, footer: req.user.invoicing && req.user.invoicing.footer };
+
+  switch (req.query.format) {
+    case 'text':
+      return res.type('text/plain').send(renderInvoiceText(invoice, options));
+    case 'html':
+      return res.type('text/html').send(renderInvoiceHtml(invoice, options));
+    case 'pdf':
+      res.set('Content-Disposition', `inline; filename="${invoice.invoiceNumber}.pdf"`);
+      return res.type('application/pdf').send(renderInvoicePdf(invoice, options));
+    default:
+      return res.json({
+        success: true,
+        data
+      });
+  }
+};
+
+const sendOperationalError = (res, error) => {
+  return res.status(error.statusCode).json({
+    success: false,
+    error: error.message
+  });
+};
+
+// GET /api/invoices - Invoices and credit notes of the outlet, newest first
+router.get('/',
+  auth,
+  requirePermission('invoices:view'),
+  [
+    query('type').optional().isIn(['invoice', 'credit-note']).withMessage('Type must be invoice or credit-note'),
+    query('status').optional().isIn(['issued', 'partially-credited', 'credited']).withMessage('Invalid status'),
+    query('orderId').optional().isMongoId().withMessage('Invalid order ID'),
+    query('startDate').optional().isISO8601().withMessage('Invalid start date'),
+    query('endDate').optional().isISO8601().withMessage('Invalid end date'),
+    query('page').optional().isInt({ min: 1 }).toInt(),
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+
+      const { type, status, orderId, startDate, endDate, page = 1, limit = 20 } = req.query;
+      const filter = { outletId: req.user._id };
+      if (type) filter.type = type;
+      if (status) filter.status = status;
+      if (orderId) filter.orderId = orderId;
+      if (startDate || endDate) {
+        filter.issuedAt = {};
+        if (startDate) filter.issuedAt.$gte = new Date(startDate);
+        if (endDate) filter.issuedAt.$lte = new Date(endDate);
+      }
+
+      const [invoices, total] = await Promise.all([
+        Invoice.find(filter)
+          .select('-lines')
+          .populate('issuedBy', 'firstName lastName')
+          .sort({ issuedAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .lean(),
+        Invoice.countDocuments(filter)
+      ]);
+
+      res.json({
+        success: true,
+        data: invoices,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching invoices:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch invoices'
+      });
+    }
+  }
+);
+
+// POST /api/invoices - Issue the invoice of a paid order, numbered next in the outlet's series
+router.post('/',
+  auth,
+  requirePermission('invoices:create'),
+  [
+    body('orderId').isMongoId().withMessage('Invalid order ID'),
+    ...customerValidators,
+    body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+
+      const order = await Order.findOne({ _id: req.body.orderId, outletId: req.user._id });
+      if (!order) {
+        return res.status(404).json({
+          success: false,
+          error: 'Order not found'
+        });
+      }
+      if (order.paymentStatus !== 'paid') {
+        return res.status(409).json({
+          success: false,
+          error: `Only paid orders can be invoiced; order ${order.orderNumber} is ${order.paymentStatus}`
+        });
+      }
+
+      const { customer, notes } = req.body;
+      const invoice = await issueInvoice(req.user, {
+        type: 'invoice',
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        seller: getSellerDetails(req.user),
+        customer: customer && {
+          name: customer.name,
+          address: customer.address,
+          taxId: customer.taxId,
+          email: customer.email,
+          phone: customer.phone
+        },
+        ...(await buildInvoiceLines(order)),
+        notes,
+        issuedBy: req.user._id,
+        outletId: req.user._id
+      });
+
+      emitToOutlet(req, req.user._id, 'invoice:issued', {
+        invoiceId: invoice._id,
+        invoiceNumber: invoice.invoiceNumber,
+        type: invoice.type,
+        orderId: order._id,
+        totalAmount: invoice.totalAmount
+      });
+
+      res.status(201).json({
+        success: true,
+        data: invoice
+      });
+    } catch (error) {
+      if (error.isOperational) {
+        return sendOperationalError(res, error);
+      }
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+      console.error('Error issuing invoice:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to issue invoice'
+      });
+    }
+  }
+);
+
+// GET /api/invoices/:id - Get an invoice or credit note (?format=json|text|html|pdf)
+router.get('/:id',
+  auth,
+  requirePermission('invoices:view'),
+  [
+    param('id').isMongoId().withMessage('Invalid invoice ID'),
+    query('format').optional().isIn(DOCUMENT_FORMATS).withMessage(`Format must be one of: ${DOCUMENT_FORMATS.join(', ')}`)
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+
+      const invoice = await findInvoice(req.user._id, req.params.id);
+      await invoice.populate('issuedBy', 'firstName lastName');
+
+      const data = invoice.toObject();
+      if (invoice.type === 'invoice') {
+        data.creditNotes = await Invoice.find({ creditNoteFor: invoice._id })
+          .select('invoiceNumber issuedAt reason totalAmount')
+          .sort({ sequence: 1 })
+          .lean();
+      }
+
+      sendDocument(req, res, invoice, data);
+    } catch (error) {
+      if (error.isOperational) {
+        return sendOperationalError(res, error);
+      }
+      console.error('Error fetching invoice:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch invoice'
+      });
+    }
+  }
+);
+
+// POST /api/invoices/:id/credit-notes - Correct an invoice with a credit note
+// Lists lines ({ lineId, qty }) to credit part of it; without lines, everything not yet credited is credited
+router.post('/:id/credit-notes',
+  auth,
+  requirePermission('invoices:update'),
+  [
+    param('id').isMongoId().withMessage('Invalid invoice ID'),
+    body('reason').trim().isLength({ min: 1, max: 200 }).withMessage('Reason is required (max 200 characters)'),
+    body('lines').optional().isArray({ min: 1 }).withMessage('Lines must be a non-empty list'),
+    body('lines.*.lineId').isMongoId().withMessage('Invalid line ID'),
+    body('lines.*.qty').optional().isInt({ min: 1 }).withMessage('Quantity must be a positive whole number').toInt(),
+    body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+
+      const invoice = await findInvoice(req.user._id, req.params.id);
+      if (invoice.type !== 'invoice') {
+        return res.status(400).json({
+          success: false,
+          error: 'Credit notes can only be issued against invoices'
+        });
+      }
+
+      const credit = buildCreditLines(invoice, req.body.lines);
+
+      // Claim the credited amounts on the invoice first; a concurrent credit
+      // note against the same invoice fails the version check instead of
+      // crediting the same lines twice
+      applyCredit(invoice, credit);
+      try {
+        await invoice.save();
+      } catch (error) {
+        if (error.name === 'VersionError') {
+          throw new ApiError('The invoice was credited at the same time. Reload it and try again.', 409);
+        }
+        throw error;
+      }
+
+      let creditNote;
+      try {
+        creditNote = await issueInvoice(req.user, {
+          type: 'credit-note',
+          orderId: invoice.orderId,
+          orderNumber: invoice.orderNumber,
+          creditNoteFor: invoice._id,
+          creditNoteForNumber: invoice.invoiceNumber,
+          reason: req.body.reason,
+          seller: getSellerDetails(req.user),
+          customer: invoice.customer && invoice.customer.toObject(),
+          ...credit,
+          notes: req.body.notes,
+          issuedBy: req.user._id,
+          outletId: req.user._id
+        });
+      } catch (error) {
+        try {
+          const current = await Invoice.findById(invoice._id);
+          revertCredit(current, credit);
+          await current.save();
+        } catch (revertError) {
+          console.error(`Failed to release credited amounts on invoice ${invoice.invoiceNumber}:`, revertError);
+        }
+        throw error;
+      }
+
+      emitToOutlet(req, req.user._id, 'invoice:issued', {
+        invoiceId: creditNote._id,
+        invoiceNumber: creditNote.invoiceNumber,
+        type: creditNote.type,
+        orderId: creditNote.orderId,
+        creditNoteFor: invoice._id,
+        totalAmount: creditNote.totalAmount
+      });
+
+      res.status(201).json({
+        success: true,
+        data: {
+          creditNote,
+          invoice: {
+            _id: invoice._id,
+            invoiceNumber: invoice.invoiceNumber,
+            status: invoice.status,
+            creditedAmount: invoice.creditedAmount
+          }
+        }
+      });
+    } catch (error) {
+      if (error.isOperational) {
+        return sendOperationalError(res, error);
+      }
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+      console.error('Error issuing credit note:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to issue credit note'
+      });
+    }
+  }
+);
+
+module.exports = router;
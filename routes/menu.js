@@ -1,61 +1,504 @@
 const express = require('express');
 const router = express.Router();
-const { body, validationResult } = require('express-validator');
-const { auth, requirePermission } = require('../middleware/auth');
+const { body, param, query, validationResult } = require('express-validator');
+const { auth, authorize, requirePermission } = require('../middleware/auth');
 const MenuItem = require('../models/MenuItem');
 const Category = require('../models/Category');
+const MenuChange = require('../models/MenuChange');
+const { DIETARY_TAGS, ALLERGENS, MAX_SPICE_LEVEL } = require('../config/dietary');
+const { STATION_PATTERN, STATION_MAX_LENGTH } = require('../config/kitchen');
+const { isAvailableAt, isSoldOutAt, getEffectivePrice } = require('../utils/menu-availability');
+const { broadcastStockUpdate } = require('../utils/stock-helpers');
+const { validateComboSlots } = require('../utils/combo-helpers');
+const { recordChange, rollbackTo } = require('../utils/menu-history');
+const { itemsToCsv, csvToImport, exportMenu, planImport, commitImport, formatPlan } = require('../utils/menu-transfer');
+
+// Fields a client may set on a menu item; everything else is server-managed
+const MENU_ITEM_FIELDS = ['name', 'description', 'price', 'image', 'categoryId', 'isActive', 'modifierGroups', 'sku', 'itemType', 'comboSlots', 'variants', 'dietaryTags', 'spiceLevel', 'allergens', 'availability', 'priceOverrides', 'station'];
+const CATEGORY_FIELDS = ['name', 'description', 'displayOrder', 'isActive', 'station'];
+
+const pickFields = (source, fields) => {
+  return fields.reduce((picked, field) => {
+    if (source[field] !== undefined) picked[field] = source[field];
+    return picked;
+  }, {});
+};
+
+// Sort options for GET /api/menu; "relevance" only applies to text searches
+const MENU_SORTS = {
+  newest: { createdAt: -1 },
+  name: { name: 1 },
+  '-name': { name: -1 },
+  price: { price: 1 },
+  '-price': { price: -1 }
+};
+
+// Parse a comma-separated query value (?tags=veg,jain) into a list
+const parseList = (value) => {
+  if (!value) return [];
+  return String(value).split(',').map(entry => entry.trim().toLowerCase()).filter(Boolean);
+};
+
+// Prep station of a category or item; null clears it
+const stationValidator = () => body('station')
+  .optional({ values: 'null' })
+  .isString().trim().toLowerCase()
+  .isLength({ min: 1, max: STATION_MAX_LENGTH })
+  .matches(STATION_PATTERN)
+  .withMessage('Station may only contain lowercase letters, numbers and dashes');
+
+const listOf = (allowed) => (value) => parseList(value).every(entry => allowed.includes(entry));
+
+// Whether a price override or scheduled price change points at a variant not in `variants`
+const hasOrphanedVariantRef = (variants, references) => {
+  const variantIds = new Set(variants.filter(variant => variant._id).map(variant => String(variant._id)));
+  return references.some(reference => reference && reference.variantId && !variantIds.has(String(reference.variantId)));
+};
+
+// Make sure a category exists and belongs to the current outlet
+const categoryBelongsToOutlet = async (categoryId, outletId) => {
+  return Category.exists({ _id: categoryId, outletId });
+};
 
 // GET /api/menu - Get all active menu items
-router.get('/', auth, async (req, res) => {
+// Items outside their availability windows are hidden unless ?includeUnavailable=true
+// Filters: q (text search), tags / excludeTags, allergens / excludeAllergens, maxSpiceLevel,
+// minPrice / maxPrice and sort (relevance, newest, name, -name, price, -price)
+router.get('/',
+  auth,
+  [
+    query('categoryId').optional().isMongoId().withMessage('Invalid category ID'),
+    query('q').optional().trim().isLength({ max: 100 }).withMessage('Search text cannot exceed 100 characters'),
+    query('tags').optional().custom(listOf(DIETARY_TAGS)).withMessage(`Tags must be from: ${DIETARY_TAGS.join(', ')}`),
+    query('excludeTags').optional().custom(listOf(DIETARY_TAGS)).withMessage(`Tags must be from: ${DIETARY_TAGS.join(', ')}`),
+    query('allergens').optional().custom(listOf(ALLERGENS)).withMessage(`Allergens must be from: ${ALLERGENS.join(', ')}`),
+    query('excludeAllergens').optional().custom(listOf(ALLERGENS)).withMessage(`Allergens must be from: ${ALLERGENS.join(', ')}`),
+    query('maxSpiceLevel').optional().isInt({ min: 0, max: MAX_SPICE_LEVEL }).withMessage(`Spice level must be between 0 and ${MAX_SPICE_LEVEL}`),
+    query('minPrice').optional().isFloat({ min: 0 }).withMessage('Minimum price must be a positive number'),
+    query('maxPrice').optional().isFloat({ min: 0 }).withMessage('Maximum price must be a positive number'),
+    query('sort').optional().isIn(['relevance', ...Object.keys(MENU_SORTS)]).withMessage('Invalid sort option')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+          success: false,
+          errors: errors.array() 
+        });
+      }
+
+      const { categoryId, includeUnavailable, q, minPrice, maxPrice, maxSpiceLevel } = req.query;
+      const filter = { 
+        outletId: req.user._id, 
+        isActive: true 
+      };
+
+      if (categoryId) {
+        filter.categoryId = categoryId;
+      }
+
+      if (q) {
+        filter.$text = { $search: q };
+      }
+
+      const tags = parseList(req.query.tags);
+      const excludeTags = parseList(req.query.excludeTags);
+      if (tags.length > 0 || excludeTags.length > 0) {
+        filter.dietaryTags = {};
+        if (tags.length > 0) filter.dietaryTags.$all = tags;
+        if (excludeTags.length > 0) filter.dietaryTags.$nin = excludeTags;
+      }
+
+      // Allergens match at any level: including one also lists items that only "may contain" it,
+      // and excluding one drops them
+      const allergens = parseList(req.query.allergens);
+      const excludeAllergens = parseList(req.query.excludeAllergens);
+      if (allergens.length > 0 || excludeAllergens.length > 0) {
+        filter['allergens.allergen'] = {};
+        if (allergens.length > 0) filter['allergens.allergen'].$all = allergens;
+        if (excludeAllergens.length > 0) filter['allergens.allergen'].$nin = excludeAllergens;
+      }
+
+      if (maxSpiceLevel !== undefined) {
+        filter.spiceLevel = { $lte: parseInt(maxSpiceLevel) };
+      }
+
+      if (minPrice !== undefined || maxPrice !== undefined) {
+        filter.price = {};
+        if (minPrice !== undefined) filter.price.$gte = parseFloat(minPrice);
+        if (maxPrice !== undefined) filter.price.$lte = parseFloat(maxPrice);
+      }
+
+      const sortKey = req.query.sort || (q ? 'relevance' : 'newest');
+      let menuQuery = MenuItem.find(filter)
+        .populate('categoryId', 'name');
+
+      if (sortKey === 'relevance' && q) {
+        menuQuery = menuQuery
+          .select({ score: { $meta: 'textScore' } })
+          .sort({ score: { $meta: 'textScore' } });
+      } else {
+        menuQuery = menuQuery.sort(MENU_SORTS[sortKey] || MENU_SORTS.newest);
+      }
+
+      const menuItems = await menuQuery;
+
+      const now = new Date();
+      const data = menuItems
+        .map(item => ({
+          ...item.toObject(),
+          variants: item.variants.filter(variant => variant.isActive).map(variant => ({
+            ...variant.toObject(),
+            currentPrice: getEffectivePrice(item, now, req.user.timezone, variant)
+          })),
+          isAvailableNow: isAvailableAt(item, now, req.user.timezone),
+          isSoldOutNow: isSoldOutAt(item, now),
+          currentPrice: getEffectivePrice(item, now, req.user.timezone)
+        }))
+        .filter(item => includeUnavailable === 'true' || item.isAvailableNow);
+
+      res.json({
+        success: true,
+        data
+      });
+    } catch (error) {
+      console.error('Error fetching menu:', error);
+      res.status(500).json({ 
+        success: false,
+        error: 'Failed to fetch menu items' 
+      });
+    }
+  }
+);
+
+// GET /api/menu/categories - Get all categories
+router.get('/categories', auth, async (req, res) => {
   try {
-    const { categoryId } = req.query;
-    const query = { 
+    const categories = await Category.find({ 
       outletId: req.user._id, 
       isActive: true 
-    };
-    
-    if (categoryId) {
-      query.categoryId = categoryId;
-    }
-
-    const menuItems = await MenuItem.find(query)
-      .populate('categoryId', 'name')
-      .sort({ createdAt: -1 });
+    }).sort({ displayOrder: 1, name: 1 });
 
     res.json({
       success: true,
-      data: menuItems
+      data: categories
     });
   } catch (error) {
-    console.error('Error fetching menu:', error);
+    console.error('Error fetching categories:', error);
     res.status(500).json({ 
       success: false,
-      error: 'Failed to fetch menu items' 
+      error: 'Failed to fetch categories' 
     });
   }
 });
 
-// GET /api/menu/categories - Get all categories
-router.get('/categories', auth, async (req, res) => {
+// POST /api/menu/categories - Create category
+router.post('/categories',
+  auth,
+  requirePermission('menu:create'),
+  [
+    body('name').trim().notEmpty().withMessage('Name is required'),
+    body('displayOrder').optional().isInt().withMessage('Display order must be an integer'),
+    stationValidator()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+          success: false,
+          errors: errors.array() 
+        });
+      }
+
+      const category = new Category({
+        ...pickFields(req.body, CATEGORY_FIELDS),
+        outletId: req.user._id
+      });
+
+      await category.save();
+      await recordChange({ entityType: 'Category', before: null, after: category, action: 'create', changedBy: req.user._id });
+
+      res.status(201).json({
+        success: true,
+        data: category
+      });
+    } catch (error) {
+      console.error('Error creating category:', error);
+      res.status(500).json({ 
+        success: false,
+        error: 'Failed to create category' 
+      });
+    }
+  }
+);
+
+// PUT /api/menu/categories/reorder - Rewrite displayOrder for the outlet's categories
+// Body: { order: [categoryId, ...] } - position in the array becomes displayOrder
+router.put('/categories/reorder',
+  auth,
+  requirePermission('menu:update'),
+  [
+    body('order').isArray({ min: 1 }).withMessage('Order must be a non-empty array of category IDs'),
+    body('order.*').isMongoId().withMessage('Invalid category ID')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+          success: false,
+          errors: errors.array() 
+        });
+      }
+
+      const { order } = req.body;
+
+      if (new Set(order).size !== order.length) {
+        return res.status(400).json({
+          success: false,
+          error: 'Category IDs must be unique'
+        });
+      }
+
+      const before = await Category.find({
+        _id: { $in: order },
+        outletId: req.user._id
+      });
+
+      if (before.length !== order.length) {
+        return res.status(400).json({
+          success: false,
+          error: 'One or more categories not found'
+        });
+      }
+
+      await Category.bulkWrite(order.map((categoryId, index) => ({
+        updateOne: {
+          filter: { _id: categoryId, outletId: req.user._id },
+          update: { displayOrder: index }
+        }
+      })));
+
+      const after = await Category.find({ _id: { $in: order }, outletId: req.user._id });
+      for (const category of after) {
+        const previous = before.find(c => c._id.equals(category._id));
+        await recordChange({ entityType: 'Category', before: previous, after: category, action: 'update', changedBy: req.user._id });
+      }
+
+      const categories = await Category.find({ 
+        outletId: req.user._id, 
+        isActive: true 
+      }).sort({ displayOrder: 1, name: 1 });
+
+      res.json({
+        success: true,
+        data: categories
+      });
+    } catch (error) {
+      console.error('Error reordering categories:', error);
+      res.status(500).json({ 
+        success: false,
+        error: 'Failed to reorder categories' 
+      });
+    }
+  }
+);
+
+// PUT /api/menu/categories/:id - Update category
+router.put('/categories/:id',
+  auth,
+  requirePermission('menu:update'),
+  [
+    param('id').isMongoId().withMessage('Invalid category ID'),
+    body('name').optional().trim().notEmpty().withMessage('Name cannot be empty'),
+    body('displayOrder').optional().isInt().withMessage('Display order must be an integer'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
+    stationValidator()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+          success: false,
+          errors: errors.array() 
+        });
+      }
+
+      const category = await Category.findOne({ _id: req.params.id, outletId: req.user._id });
+
+      if (!category) {
+        return res.status(404).json({
+          success: false,
+          error: 'Category not found'
+        });
+      }
+
+      const before = category.toObject();
+      category.set(pickFields(req.body, CATEGORY_FIELDS));
+      await category.save();
+      await recordChange({ entityType: 'Category', before, after: category, action: 'update', changedBy: req.user._id });
+
+      res.json({
+        success: true,
+        data: category
+      });
+    } catch (error) {
+      console.error('Error updating category:', error);
+      res.status(500).json({ 
+        success: false,
+        error: 'Failed to update category' 
+      });
+    }
+  }
+);
+
+// DELETE /api/menu/categories/:id - Deactivate category (must have no active items)
+router.delete('/categories/:id',
+  auth,
+  requirePermission('menu:delete'),
+  [
+    param('id').isMongoId().withMessage('Invalid category ID')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+          success: false,
+          errors: errors.array() 
+        });
+      }
+
+      const activeItems = await MenuItem.countDocuments({
+        categoryId: req.params.id,
+        outletId: req.user._id,
+        isActive: true
+      });
+
+      if (activeItems > 0) {
+        return res.status(409).json({
+          success: false,
+          error: `Category still has ${activeItems} active menu item(s). Move or retire them first.`
+        });
+      }
+
+      const category = await Category.findOne({ _id: req.params.id, outletId: req.user._id });
+
+      if (!category) {
+        return res.status(404).json({
+          success: false,
+          error: 'Category not found'
+        });
+      }
+
+      const before = category.toObject();
+      category.isActive = false;
+      await category.save();
+      await recordChange({ entityType: 'Category', before, after: category, action: 'delete', changedBy: req.user._id });
+
+      res.json({
+        success: true,
+        data: category
+      });
+    } catch (error) {
+      console.error('Error deleting category:', error);
+      res.status(500).json({ 
+        success: false,
+        error: 'Failed to delete category' 
+      });
+    }
+  }
+);
+
+// GET /api/menu/export - Export the outlet's menu as JSON or CSV (admin only)
+router.get('/export', auth, authorize('admin'), async (req, res) => {
   try {
-    const categories = await Category.find({ 
-      outletId: req.user._id, 
-      isActive: true 
-    }).sort({ displayOrder: 1, name: 1 });
+    const format = req.query.format === 'csv' ? 'csv' : 'json';
+    const menu = await exportMenu(req.user._id);
+
+    if (format === 'csv') {
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', 'attachment; filename="menu.csv"');
+      return res.send(itemsToCsv(menu.items));
+    }
 
     res.json({
       success: true,
-      data: categories
+      data: menu
     });
   } catch (error) {
-    console.error('Error fetching categories:', error);
+    console.error('Error exporting menu:', error);
     res.status(500).json({ 
       success: false,
-      error: 'Failed to fetch categories' 
+      error: 'Failed to export menu' 
     });
   }
 });
 
+// POST /api/menu/import - Bulk upsert categories and items keyed by SKU (admin only)
+// Body: { format: 'json' | 'csv', data, dryRun } - dryRun defaults to true and only reports
+// what would be created/updated; send dryRun: false to commit the valid rows
+router.post('/import',
+  auth,
+  authorize('admin'),
+  [
+    body('format').isIn(['json', 'csv']).withMessage('Format must be json or csv'),
+    body('data').exists().withMessage('Import data is required'),
+    body('dryRun').optional().isBoolean().withMessage('dryRun must be a boolean').toBoolean()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+          success: false,
+          errors: errors.array() 
+        });
+      }
+
+      const { format, data, dryRun = true } = req.body;
+      let payload;
+
+      if (format === 'csv') {
+        if (typeof data !== 'string') {
+          return res.status(400).json({
+            success: false,
+            error: 'CSV data must be a string'
+          });
+        }
+        payload = csvToImport(data);
+      } else {
+        payload = Array.isArray(data) ? { categories: [], items: data } : data;
+        if (!payload || typeof payload !== 'object'
+          || !Array.isArray(payload.items || []) || !Array.isArray(payload.categories || [])) {
+          return res.status(400).json({
+            success: false,
+            error: 'JSON data must be { categories, items } or an array of items'
+          });
+        }
+      }
+
+      const plan = await planImport(req.user._id, payload);
+      const result = dryRun ? plan : await commitImport(req.user._id, plan, req.user._id);
+
+      res.json({
+        success: true,
+        dryRun: Boolean(dryRun),
+        data: formatPlan(result)
+      });
+    } catch (error) {
+      console.error('Error importing menu:', error);
+      res.status(500).json({ 
+        success: false,
+        error: 'Failed to import menu' 
+      });
+    }
+  }
+);
+
 // POST /api/menu - Create menu item (admin only)
 router.post('/', 
   auth,
@@ -63,7 +506,22 @@ router.post('/',
   [
     body('name').trim().notEmpty().withMessage('Name is required'),
     body('price').isFloat({ min: 0 }).withMessage('Price must be a positive number'),
-    body('categoryId').notEmpty().withMessage('Category is required')
+    body('categoryId').isMongoId().withMessage('Category is required'),
+    body('dietaryTags').optional().isArray().withMessage('Dietary tags must be an array'),
+    body('dietaryTags.*').optional().isIn(DIETARY_TAGS).withMessage(`Dietary tags must be from: ${DIETARY_TAGS.join(', ')}`),
+    body('spiceLevel').optional().isInt({ min: 0, max: MAX_SPICE_LEVEL }).withMessage(`Spice level must be between 0 and ${MAX_SPICE_LEVEL}`),
+    body('allergens').optional().isArray().withMessage('Allergens must be an array'),
+    body('allergens.*.allergen').optional().isIn(ALLERGENS).withMessage(`Allergens must be from: ${ALLERGENS.join(', ')}`),
+    body('itemType').optional().isIn(['single', 'combo']).withMessage('Item type must be single or combo'),
+    stationValidator(),
+    body('comboSlots').optional().isArray().withMessage('Combo slots must be an array'),
+    body('comboSlots.*.categoryId').optional().isMongoId().withMessage('Invalid combo slot category ID'),
+    body('comboSlots.*.options.*.itemId').optional().isMongoId().withMessage('Invalid combo option item ID'),
+    body('variants').optional().isArray().withMessage('Variants must be an array'),
+    body('variants.*.name').optional().trim().notEmpty().withMessage('Variant name is required'),
+    body('variants.*.price').optional().isFloat({ min: 0 }).withMessage('Variant price must be a positive number'),
+    body('availability').optional().isArray().withMessage('Availability must be an array of time windows'),
+    body('priceOverrides').optional().isArray().withMessage('Price overrides must be an array')
   ],
   async (req, res) => {
     try {
@@ -75,12 +533,38 @@ router.post('/',
         });
       }
 
+      if (!(await categoryBelongsToOutlet(req.body.categoryId, req.user._id))) {
+        return res.status(400).json({
+          success: false,
+          error: 'Category not found'
+        });
+      }
+
+      if (req.body.itemType === 'combo') {
+        const comboError = await validateComboSlots(req.user._id, req.body.comboSlots);
+        if (comboError) {
+          return res.status(400).json({
+            success: false,
+            error: comboError
+          });
+        }
+      }
+
+      const skuConflict = await MenuItem.findSkuConflict(req.user._id, req.body);
+      if (skuConflict) {
+        return res.status(400).json({
+          success: false,
+          error: `SKU ${skuConflict} already exists`
+        });
+      }
+
       const menuItem = new MenuItem({
-        ...req.body,
+        ...pickFields(req.body, MENU_ITEM_FIELDS),
         outletId: req.user._id
       });
 
       await menuItem.save();
+      await recordChange({ entityType: 'MenuItem', before: null, after: menuItem, action: 'create', changedBy: req.user._id });
       await menuItem.populate('categoryId', 'name');
 
       res.status(201).json({
@@ -88,6 +572,12 @@ router.post('/',
         data: menuItem
       });
     } catch (error) {
+      if (error.code === 11000) {
+        return res.status(400).json({
+          success: false,
+          error: 'SKU already exists'
+        });
+      }
       console.error('Error creating menu item:', error);
       res.status(500).json({ 
         success: false,
@@ -97,5 +587,518 @@ router.post('/',
   }
 );
 
+// Shared handler for PUT and PATCH on a menu item
+const updateMenuItem = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false,
+        errors: errors.array() 
+      });
+    }
+
+    const updates = pickFields(req.body, MENU_ITEM_FIELDS);
+
+    if (updates.categoryId && !(await categoryBelongsToOutlet(updates.categoryId, req.user._id))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Category not found'
+      });
+    }
+
+    if (updates.itemType === 'combo' || updates.comboSlots) {
+      const current = await MenuItem.findOne({ _id: req.params.id, outletId: req.user._id }).select('itemType comboSlots');
+      const itemType = updates.itemType || (current && current.itemType);
+      if (itemType === 'combo') {
+        const comboError = await validateComboSlots(req.user._id, updates.comboSlots || (current && current.comboSlots));
+        if (comboError) {
+          return res.status(400).json({
+            success: false,
+            error: comboError
+          });
+        }
+      }
+    }
+
+    const skuConflict = await MenuItem.findSkuConflict(req.user._id, updates, req.params.id);
+    if (skuConflict) {
+      return res.status(400).json({
+        success: false,
+        error: `SKU ${skuConflict} already exists`
+      });
+    }
+
+    const menuItem = await MenuItem.findOne({ _id: req.params.id, outletId: req.user._id });
+
+    if (!menuItem) {
+      return res.status(404).json({
+        success: false,
+        error: 'Menu item not found'
+      });
+    }
+
+    // Replacement variants keep the IDs of the ones they replace, so prices set for a
+    // variant stay attached; prices left pointing at a removed variant are refused
+    if (updates.variants) {
+      updates.variants = MenuItem.mergeVariantIds(updates.variants, menuItem.variants);
+    }
+    if (updates.variants || updates.priceOverrides) {
+      const references = [...(updates.priceOverrides || menuItem.priceOverrides), ...menuItem.scheduledPriceChanges];
+      if (hasOrphanedVariantRef(updates.variants || menuItem.variants, references)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Price overrides and scheduled price changes must refer to variants of the item'
+        });
+      }
+    }
+
+    const before = menuItem.toObject();
+    menuItem.set(updates);
+    await menuItem.save();
+    await recordChange({ entityType: 'MenuItem', before, after: menuItem, action: 'update', changedBy: req.user._id });
+    await menuItem.populate('categoryId', 'name');
+
+    res.json({
+      success: true,
+      data: menuItem
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        error: 'SKU already exists'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+    console.error('Error updating menu item:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to update menu item' 
+    });
+  }
+};
+
+// PUT /api/menu/:id - Replace the editable fields of a menu item
+router.put('/:id',
+  auth,
+  requirePermission('menu:update'),
+  [
+    param('id').isMongoId().withMessage('Invalid menu item ID'),
+    body('name').trim().notEmpty().withMessage('Name is required'),
+    body('price').isFloat({ min: 0 }).withMessage('Price must be a positive number'),
+    body('categoryId').isMongoId().withMessage('Category is required'),
+    body('dietaryTags').optional().isArray().withMessage('Dietary tags must be an array'),
+    body('dietaryTags.*').optional().isIn(DIETARY_TAGS).withMessage(`Dietary tags must be from: ${DIETARY_TAGS.join(', ')}`),
+    body('spiceLevel').optional().isInt({ min: 0, max: MAX_SPICE_LEVEL }).withMessage(`Spice level must be between 0 and ${MAX_SPICE_LEVEL}`),
+    body('allergens').optional().isArray().withMessage('Allergens must be an array'),
+    body('allergens.*.allergen').optional().isIn(ALLERGENS).withMessage(`Allergens must be from: ${ALLERGENS.join(', ')}`),
+    body('itemType').optional().isIn(['single', 'combo']).withMessage('Item type must be single or combo'),
+    stationValidator(),
+    body('comboSlots').optional().isArray().withMessage('Combo slots must be an array'),
+    body('comboSlots.*.categoryId').optional().isMongoId().withMessage('Invalid combo slot category ID'),
+    body('comboSlots.*.options.*.itemId').optional().isMongoId().withMessage('Invalid combo option item ID'),
+    body('variants').optional().isArray().withMessage('Variants must be an array'),
+    body('variants.*.name').optional().trim().notEmpty().withMessage('Variant name is required'),
+    body('variants.*.price').optional().isFloat({ min: 0 }).withMessage('Variant price must be a positive number'),
+    body('availability').optional().isArray().withMessage('Availability must be an array of time windows'),
+    body('priceOverrides').optional().isArray().withMessage('Price overrides must be an array')
+  ],
+  updateMenuItem
+);
+
+// PATCH /api/menu/:id - Partially update a menu item (e.g. just the price)
+router.patch('/:id',
+  auth,
+  requirePermission('menu:update'),
+  [
+    param('id').isMongoId().withMessage('Invalid menu item ID'),
+    body('name').optional().trim().notEmpty().withMessage('Name cannot be empty'),
+    body('price').optional().isFloat({ min: 0 }).withMessage('Price must be a positive number'),
+    body('categoryId').optional().isMongoId().withMessage('Invalid category ID'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
+    body('dietaryTags').optional().isArray().withMessage('Dietary tags must be an array'),
+    body('dietaryTags.*').optional().isIn(DIETARY_TAGS).withMessage(`Dietary tags must be from: ${DIETARY_TAGS.join(', ')}`),
+    body('spiceLevel').optional().isInt({ min: 0, max: MAX_SPICE_LEVEL }).withMessage(`Spice level must be between 0 and ${MAX_SPICE_LEVEL}`),
+    body('allergens').optional().isArray().withMessage('Allergens must be an array'),
+    body('allergens.*.allergen').optional().isIn(ALLERGENS).withMessage(`Allergens must be from: ${ALLERGENS.join(', ')}`),
+    body('itemType').optional().isIn(['single', 'combo']).withMessage('Item type must be single or combo'),
+    stationValidator(),
+    body('comboSlots').optional().isArray().withMessage('Combo slots must be an array'),
+    body('comboSlots.*.categoryId').optional().isMongoId().withMessage('Invalid combo slot category ID'),
+    body('comboSlots.*.options.*.itemId').optional().isMongoId().withMessage('Invalid combo option item ID'),
+    body('variants').optional().isArray().withMessage('Variants must be an array'),
+    body('variants.*.name').optional().trim().notEmpty().withMessage('Variant name is required'),
+    body('variants.*.price').optional().isFloat({ min: 0 }).withMessage('Variant price must be a positive number'),
+    body('availability').optional().isArray().withMessage('Availability must be an array of time windows'),
+    body('priceOverrides').optional().isArray().withMessage('Price overrides must be an array')
+  ],
+  updateMenuItem
+);
+
+// PATCH /api/menu/:id/stock - Mark a menu item sold out ("86") or restock it
+// Body: { soldOut, until, remainingCount } - remainingCount null stops tracking stock
+router.patch('/:id/stock',
+  auth,
+  requirePermission('menu:update', 'orders:update'),
+  [
+    param('id').isMongoId().withMessage('Invalid menu item ID'),
+    body('soldOut').optional().isBoolean().withMessage('soldOut must be a boolean'),
+    body('until').optional({ nullable: true }).isISO8601().withMessage('until must be an ISO 8601 date'),
+    body('remainingCount').optional({ nullable: true }).isInt({ min: 0 }).withMessage('Remaining count must be a non-negative integer')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+          success: false,
+          errors: errors.array() 
+        });
+      }
+
+      const { soldOut, until, remainingCount } = req.body;
+      const updates = {};
+
+      if (soldOut !== undefined) {
+        updates.isSoldOut = soldOut;
+        updates.soldOutUntil = soldOut && until ? new Date(until) : null;
+        updates.soldOutByStock = false;
+      }
+
+      if (remainingCount !== undefined) {
+        updates.stockCount = remainingCount;
+        // Restocking clears the sold-out flag unless the request sets it explicitly
+        if (soldOut === undefined) {
+          updates.isSoldOut = remainingCount === 0;
+          updates.soldOutUntil = null;
+          updates.soldOutByStock = remainingCount === 0;
+        }
+      }
+
+      if (Object.keys(updates).length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Provide soldOut and/or remainingCount'
+        });
+      }
+
+      const menuItem = await MenuItem.findOneAndUpdate(
+        { _id: req.params.id, outletId: req.user._id },
+        updates,
+        { new: true, runValidators: true }
+      );
+
+      if (!menuItem) {
+        return res.status(404).json({
+          success: false,
+          error: 'Menu item not found'
+        });
+      }
+
+      broadcastStockUpdate(req, menuItem);
+
+      res.json({
+        success: true,
+        data: menuItem
+      });
+    } catch (error) {
+      console.error('Error updating menu item stock:', error);
+      res.status(500).json({ 
+        success: false,
+        error: 'Failed to update menu item stock' 
+      });
+    }
+  }
+);
+
+// DELETE /api/menu/:id - Retire a menu item (soft delete via isActive)
+router.delete('/:id',
+  auth,
+  requirePermission('menu:delete'),
+  [
+    param('id').isMongoId().withMessage('Invalid menu item ID')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+          success: false,
+          errors: errors.array() 
+        });
+      }
+
+      const menuItem = await MenuItem.findOne({ _id: req.params.id, outletId: req.user._id });
+
+      if (!menuItem) {
+        return res.status(404).json({
+          success: false,
+          error: 'Menu item not found'
+        });
+      }
+
+      const before = menuItem.toObject();
+      menuItem.isActive = false;
+      await menuItem.save();
+      await recordChange({ entityType: 'MenuItem', before, after: menuItem, action: 'delete', changedBy: req.user._id });
+
+      res.json({
+        success: true,
+        data: menuItem
+      });
+    } catch (error) {
+      console.error('Error deleting menu item:', error);
+      res.status(500).json({ 
+        success: false,
+        error: 'Failed to delete menu item' 
+      });
+    }
+  }
+);
+
+// Shared handler for GET /api/menu/:id/history and GET /api/menu/categories/:id/history
+const listHistory = (entityType) => async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false,
+        errors: errors.array() 
+      });
+    }
+
+    const changes = await MenuChange.find({
+      entityType,
+      entityId: req.params.id,
+      outletId: req.user._id
+    })
+      .populate('changedBy', 'firstName lastName')
+      .sort({ version: -1 })
+      .lean();
+
+    res.json({
+      success: true,
+      data: changes
+    });
+  } catch (error) {
+    console.error('Error fetching menu history:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to fetch history' 
+    });
+  }
+};
+
+// Shared handler for POST /api/menu/:id/rollback and POST /api/menu/categories/:id/rollback
+// Body: { version } - restores the state recorded by that version as a new version
+const rollbackEntity = (Model, entityType) => async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false,
+        errors: errors.array() 
+      });
+    }
+
+    const doc = await Model.findOne({ _id: req.params.id, outletId: req.user._id });
+
+    if (!doc) {
+      return res.status(404).json({
+        success: false,
+        error: `${entityType === 'Category' ? 'Category' : 'Menu item'} not found`
+      });
+    }
+
+    await rollbackTo(doc, entityType, req.body.version, req.user._id);
+
+    res.json({
+      success: true,
+      data: doc
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        error: 'SKU already exists'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+    console.error('Error rolling back menu change:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to roll back' 
+    });
+  }
+};
+
+// GET /api/menu/categories/:id/history - List versions of a category
+router.get('/categories/:id/history',
+  auth,
+  requirePermission('menu:update'),
+  [param('id').isMongoId().withMessage('Invalid category ID')],
+  listHistory('Category')
+);
+
+// POST /api/menu/categories/:id/rollback - Restore a previous version of a category
+router.post('/categories/:id/rollback',
+  auth,
+  requirePermission('menu:update'),
+  [
+    param('id').isMongoId().withMessage('Invalid category ID'),
+    body('version').isInt({ min: 1 }).withMessage('Version must be a positive integer').toInt()
+  ],
+  rollbackEntity(Category, 'Category')
+);
+
+// GET /api/menu/:id/history - List versions of a menu item (who, when, before/after)
+router.get('/:id/history',
+  auth,
+  requirePermission('menu:update'),
+  [param('id').isMongoId().withMessage('Invalid menu item ID')],
+  listHistory('MenuItem')
+);
+
+// POST /api/menu/:id/rollback - Restore a previous version of a menu item
+router.post('/:id/rollback',
+  auth,
+  requirePermission('menu:update'),
+  [
+    param('id').isMongoId().withMessage('Invalid menu item ID'),
+    body('version').isInt({ min: 1 }).withMessage('Version must be a positive integer').toInt()
+  ],
+  rollbackEntity(MenuItem, 'MenuItem')
+);
+
+// POST /api/menu/:id/scheduled-prices - Schedule a price change for a future date
+// Body: { price, effectiveAt, variantId } - variantId targets one variant's price
+router.post('/:id/scheduled-prices',
+  auth,
+  requirePermission('menu:update'),
+  [
+    param('id').isMongoId().withMessage('Invalid menu item ID'),
+    body('price').isFloat({ min: 0 }).withMessage('Price must be a positive number').toFloat(),
+    body('effectiveAt').isISO8601().withMessage('effectiveAt must be an ISO 8601 date'),
+    body('variantId').optional().isMongoId().withMessage('Invalid variant ID')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+          success: false,
+          errors: errors.array() 
+        });
+      }
+
+      const { price, effectiveAt, variantId } = req.body;
+
+      if (new Date(effectiveAt) <= new Date()) {
+        return res.status(400).json({
+          success: false,
+          error: 'effectiveAt must be in the future; use PATCH /api/menu/:id to change the price now'
+        });
+      }
+
+      const menuItem = await MenuItem.findOne({ _id: req.params.id, outletId: req.user._id });
+
+      if (!menuItem) {
+        return res.status(404).json({
+          success: false,
+          error: 'Menu item not found'
+        });
+      }
+
+      if (variantId && !menuItem.variants.id(variantId)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Variant not found'
+        });
+      }
+
+      menuItem.scheduledPriceChanges.push({
+        price,
+        effectiveAt: new Date(effectiveAt),
+        variantId,
+        createdBy: req.user._id
+      });
+      await menuItem.save();
+
+      res.status(201).json({
+        success: true,
+        data: menuItem.scheduledPriceChanges
+      });
+    } catch (error) {
+      console.error('Error scheduling price change:', error);
+      res.status(500).json({ 
+        success: false,
+        error: 'Failed to schedule price change' 
+      });
+    }
+  }
+);
+
+// DELETE /api/menu/:id/scheduled-prices/:changeId - Cancel a scheduled price change
+router.delete('/:id/scheduled-prices/:changeId',
+  auth,
+  requirePermission('menu:update'),
+  [
+    param('id').isMongoId().withMessage('Invalid menu item ID'),
+    param('changeId').isMongoId().withMessage('Invalid scheduled change ID')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+          success: false,
+          errors: errors.array() 
+        });
+      }
+
+      const menuItem = await MenuItem.findOneAndUpdate(
+        { _id: req.params.id, outletId: req.user._id, 'scheduledPriceChanges._id': req.params.changeId },
+        { $pull: { scheduledPriceChanges: { _id: req.params.changeId } } },
+        { new: true }
+      );
+
+      if (!menuItem) {
+        return res.status(404).json({
+          success: false,
+          error: 'Scheduled price change not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: menuItem.scheduledPriceChanges
+      });
+    } catch (error) {
+      console.error('Error cancelling scheduled price change:', error);
+      res.status(500).json({ 
+        success: false,
+        error: 'Failed to cancel scheduled price change' 
+      });
+    }
+  }
+);
+
 module.exports = router;
 
@@ -1,25 +1,83 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
-const { body, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const { auth, requirePermission } = require('../middleware/auth');
 const Order = require('../models/Order');
 const OrderItem = require('../models/OrderItem');
-const MenuItem = require('../models/MenuItem');
 const Payment = require('../models/Payment');
+const MenuItem = require('../models/MenuItem');
+const User = require('../models/User');
+const { ApiError } = require('../utils/errorHandler');
+const { emitToOutlet, emitToStations } = require('../utils/socket-helpers');
+const { reserveStock, releaseStock } = require('../utils/stock-helpers');
+const { assertOrderable, buildOrderLines, calculateTotals, getServiceChargeRule, getOrderPricing, getPaidAmount, getRefundAmount, saveNewOrder, recalculateOrderTotals, transitionOrder, bumpOrderItem, rollupOrderStatus } = require('../utils/order-helpers');
+const { ITEM_STATUSES, STATION_PATTERN } = require('../config/kitchen');
+const { VOID_REASONS, VOID_REASON_CODES } = require('../config/void-reasons');
+const Void = require('../models/Void');
+const { resolveApproval } = require('../utils/approval');
+const { resolveOrderTable, refreshTables } = require('../utils/table-helpers');
+const Kot = require('../models/Kot');
+const { generateKot, cancelSentQty, recordReprint } = require('../utils/kot-helpers');
+const { renderKotText, renderKotEscPos, renderKotHtml } = require('../utils/kot-render');
+const { DEFAULT_WIDTH } = require('../utils/print-layout');
+const Check = require('../models/Check');
+const Refund = require('../models/Refund');
+const { GATEWAY_METHODS, getGateway, getPaymentGateway } = require('../utils/payment-gateway');
+const { applyPaymentStatus, settlePayment } = require('../utils/payment-helpers');
+const { DEFAULT_DRAWER, findOpenShift, requireOpenShift } = require('../utils/shift-helpers');
+const { toCents, groupLines, buildChecks, getCheckPaidAmount, syncCheckState, getActiveChecks } = require('../utils/split-helpers');
+const { renderReceiptText, renderReceiptEscPos, renderReceiptHtml } = require('../utils/receipt-render');
+const { hashRequest, claimIdempotencyKey, completeIdempotencyKey, releaseIdempotencyKey } = require('../utils/idempotency');
+const { ORDER_STATUSES, OPEN_ORDER_STATUSES, getAllowedTransitions } = require('../config/order-status');
+
+// Requested order lines, shared by order creation and appending items
+const itemValidators = [
+  body('items').isArray({ min: 1 }).withMessage('At least one item is required'),
+  body('items.*.itemId').isMongoId().withMessage('Item ID is required'),
+  body('items.*.qty').isInt({ min: 1 }).withMessage('Quantity must be at least 1').toInt(),
+  body('items.*.variantId').optional().isMongoId().withMessage('Invalid variant ID'),
+  body('items.*.modifiers').optional().isObject().withMessage('Modifiers must be an object keyed by modifier group'),
+  body('items.*.comboSelections').optional().isObject().withMessage('Combo selections must be an object keyed by combo slot'),
+  body('items.*.seat').optional().isInt({ min: 1 }).withMessage('Seat must be a positive number').toInt()
+];
+
+// Header of the station ticket for an order
+const stationTicket = (order) => ({
+  orderId: order._id,
+  orderNumber: order.orderNumber,
+  displayToken: order.displayToken,
+  tableNumber: order.tableNumber,
+  orderType: order.orderType
+});
+
+// Order with its creator and items, as returned by POST /api/orders
+const loadOrderWithItems = async (orderId) => {
+  const order = await Order.findById(orderId)
+    .populate('createdBy', 'firstName lastName')
+    .lean();
+
+  const items = await OrderItem.find({ orderId })
+    .populate('itemId', 'name price image')
+    .lean();
+
+  return { ...order, items };
+};
 
 // POST /api/orders - Create new order
 router.post('/', 
   auth,
   requirePermission('orders:create'),
   [
-    body('items').isArray({ min: 1 }).withMessage('At least one item is required'),
-    body('items.*.itemId').notEmpty().withMessage('Item ID is required'),
-    body('items.*.qty').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+    ...itemValidators,
     body('tableNumber').optional().trim(),
     body('orderType').optional().isIn(['dine-in', 'takeaway', 'delivery']),
-    body('clientRef').optional().trim()
+    body('clientRef').optional().trim().isLength({ max: 200 }).withMessage('Client reference cannot exceed 200 characters'),
+    body('waiveServiceCharge').optional().isBoolean().withMessage('waiveServiceCharge must be true or false').toBoolean()
   ],
   async (req, res) => {
+    let reservedStock = null;
+    let idempotencyClaim = null;
     try {
       const errors = validationResult(req);
       if (!errors.isEmpty()) {
@@ -29,93 +87,75 @@ router.post('/',
         });
       }
 
-      const { items, tableNumber, orderType = 'dine-in', clientRef, notes, discount = 0, discountType = 'fixed', taxRate = 0 } = req.body;
-
-      // Verify all items exist and get current prices
-      const itemIds = items.map(item => item.itemId);
-      const menuItems = await MenuItem.find({ 
-        _id: { $in: itemIds },
-        outletId: req.user._id,
-        isActive: true
-      });
-
-      if (menuItems.length !== itemIds.length) {
-        return res.status(400).json({
-          success: false,
-          error: 'One or more menu items not found or inactive'
-        });
-      }
-
-      // Calculate totals with server-verified prices
-      let subtotal = 0;
-      const orderItemsData = [];
+      const { items, tableNumber, orderType = 'dine-in', clientRef, notes, discount = 0, discountType = 'fixed', taxRate = 0, waiveServiceCharge = false } = req.body;
 
-      for (const item of items) {
-        const menuItem = menuItems.find(mi => mi._id.toString() === item.itemId);
-        if (!menuItem) {
-          return res.status(400).json({
-            success: false,
-            error: `Menu item ${item.itemId} not found`
-          });
-        }
+      // Retries of the same request (Idempotency-Key header, else clientRef) return the original order
+      const idempotencyKey = (req.get('Idempotency-Key') || clientRef || '').trim();
+      if (idempotencyKey) {
+        const requestHash = hashRequest({ items, tableNumber, orderType, clientRef, notes, discount, discountType, taxRate, waiveServiceCharge });
+        const { claim, replayOf } = await claimIdempotencyKey(req.user._id, idempotencyKey, requestHash);
 
-        // Calculate item total including modifiers
-        let itemPrice = menuItem.price;
-        if (item.modifiers && typeof item.modifiers === 'object') {
-          Object.values(item.modifiers).forEach((modifierArray) => {
-            if (Array.isArray(modifierArray)) {
-              modifierArray.forEach((mod) => {
-                if (mod.price) itemPrice += mod.price;
-              });
-            }
+        if (replayOf) {
+          const original = await loadOrderWithItems(replayOf);
+          res.set('Idempotent-Replayed', 'true');
+          return res.status(200).json({
+            success: true,
+            data: original
           });
         }
-
-        const itemTotal = itemPrice * item.qty;
-        subtotal += itemTotal;
-
-        orderItemsData.push({
-          itemId: menuItem._id,
-          itemName: menuItem.name,
-          qty: item.qty,
-          price: itemPrice,
-          modifiers: item.modifiers || {},
-          notes: item.notes || ''
-        });
+        idempotencyClaim = claim;
       }
 
-      // Calculate discount
-      let discountAmount = 0;
-      if (discountType === 'percentage') {
-        discountAmount = (subtotal * discount) / 100;
-      } else {
-        discountAmount = discount;
-      }
-      discountAmount = Math.min(discountAmount, subtotal);
+      // Check the table against the floor plan (free text until the outlet sets one up)
+      const table = await resolveOrderTable(req.user._id, tableNumber);
+
+      // Verify all items exist and price them from the menu (variants, modifiers, combos)
+      const { lines: orderItemsData, subtotal, menuItems, quantities } = await buildOrderLines(req.user, items);
 
-      // Calculate tax
-      const tax = (subtotal - discountAmount) * (taxRate / 100);
+      // Calculate discount, service charge (from the outlet's rule for this order type), tax and total
+      const serviceChargeRule = waiveServiceCharge ? null : getServiceChargeRule(req.user, orderType);
+      const serviceChargePricing = serviceChargeRule
+        ? {
+          serviceChargeType: serviceChargeRule.type,
+          serviceChargeValue: serviceChargeRule.value,
+          serviceChargeTaxable: serviceChargeRule.taxable
+        }
+        : {};
+      const { discount: discountAmount, serviceCharge, tax, totalAmount } = calculateTotals(subtotal, {
+        discountType,
+        discountValue: discount,
+        taxRate,
+        ...serviceChargePricing
+      });
 
-      // Calculate total
-      const totalAmount = subtotal - discountAmount + tax;
+      // Reserve tracked stock before the order exists so two tablets can't sell the last portion
+      reservedStock = await reserveStock(req, menuItems, quantities);
 
       // Create order
       const order = new Order({
-        tableNumber: tableNumber || null,
+        tableNumber: table.tableNumber,
+        tableId: table.table ? table.table._id : undefined,
         orderType,
         subtotal,
         discount: discountAmount,
         discountType,
+        discountValue: discount,
+        serviceCharge,
+        ...serviceChargePricing,
+        serviceChargeLabel: serviceChargeRule ? serviceChargeRule.label : undefined,
         tax,
+        taxRate,
         totalAmount,
         notes,
         outletId: req.user._id,
         clientRef,
         createdBy: req.user._id,
-        status: 'pending'
+        status: 'pending',
+        statusHistory: [{ from: null, to: 'pending', changedBy: req.user._id, changedAt: new Date() }]
       });
 
-      await order.save();
+      await saveNewOrder(order);
+      await refreshTables(req, req.user._id, [order.tableNumber]);
 
       // Create order items
       const orderItems = orderItemsData.map(itemData => ({
@@ -125,31 +165,42 @@ router.post('/',
 
       await OrderItem.insertMany(orderItems);
 
-      // Populate order with items
-      const populatedOrder = await Order.findById(order._id)
-        .populate('createdBy', 'firstName lastName')
-        .lean();
+      if (idempotencyClaim) {
+        await completeIdempotencyKey(idempotencyClaim, order._id);
+      }
 
-      const orderItemsPopulated = await OrderItem.find({ orderId: order._id })
-        .populate('itemId', 'name price image')
-        .lean();
+      // Populate order with items
+      const populatedOrder = await loadOrderWithItems(order._id);
 
       // Emit Socket.IO event for kitchen
       const io = req.app.get('io');
       if (io) {
         io.to(`kitchen-${req.user._id}`).emit('order:created', {
-          order: { ...populatedOrder, items: orderItemsPopulated }
+          order: populatedOrder
         });
       }
+      emitToStations(req, req.user._id, 'station:items-added', populatedOrder.items, stationLines => ({
+        ...stationTicket(populatedOrder),
+        items: stationLines
+      }));
 
       res.status(201).json({
         success: true,
-        data: {
-          ...populatedOrder,
-          items: orderItemsPopulated
-        }
+        data: populatedOrder
       });
     } catch (error) {
+      if (reservedStock) {
+        await releaseStock(req, reservedStock).catch(releaseError => console.error('Error releasing stock:', releaseError));
+      }
+      if (idempotencyClaim) {
+        await releaseIdempotencyKey(idempotencyClaim).catch(releaseError => console.error('Error releasing idempotency key:', releaseError));
+      }
+      if (error.isOperational) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: error.message
+        });
+      }
       console.error('Error creating order:', error);
       res.status(500).json({ 
         success: false,
@@ -159,6 +210,181 @@ router.post('/',
   }
 );
 
+// GET /api/orders/reports/voids - Cancellations and voids with totals per reason and per user
+router.get('/reports/voids',
+  auth,
+  requirePermission('reports:view'),
+  [
+    query('startDate').optional().isISO8601().withMessage('Invalid start date'),
+    query('endDate').optional().isISO8601().withMessage('Invalid end date'),
+    query('type').optional().isIn(['order', 'item']).withMessage('Type must be order or item'),
+    query('reasonCode').optional().isIn(VOID_REASON_CODES).withMessage('Invalid reason code')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+
+      const { startDate, endDate, type, reasonCode } = req.query;
+      const filter = { outletId: req.user._id };
+
+      if (type) filter.type = type;
+      if (reasonCode) filter.reasonCode = reasonCode;
+      if (startDate || endDate) {
+        filter.createdAt = {};
+        if (startDate) filter.createdAt.$gte = new Date(startDate);
+        if (endDate) filter.createdAt.$lte = new Date(endDate);
+      }
+
+      const [voids, [summary]] = await Promise.all([
+        Void.find(filter)
+          .populate('requestedBy', 'firstName lastName role')
+          .populate('approvedBy', 'firstName lastName role')
+          .sort({ createdAt: -1 })
+          .lean(),
+        Void.aggregate([
+          { $match: filter },
+          {
+            $facet: {
+              totals: [
+                { $group: { _id: null, count: { $sum: 1 }, amount: { $sum: '$amount' }, prepared: { $sum: { $cond: ['$wasPrepared', 1, 0] } } } }
+              ],
+              byReason: [
+                { $group: { _id: '$reasonCode', count: { $sum: 1 }, amount: { $sum: '$amount' } } },
+                { $sort: { amount: -1 } }
+              ],
+              byUser: [
+                { $group: { _id: '$requestedBy', count: { $sum: 1 }, amount: { $sum: '$amount' } } },
+                { $sort: { amount: -1 } }
+              ]
+            }
+          }
+        ])
+      ]);
+
+      const totals = summary.totals[0] || { count: 0, amount: 0, prepared: 0 };
+
+      res.json({
+        success: true,
+        data: {
+          summary: {
+            count: totals.count,
+            amount: totals.amount,
+            prepared: totals.prepared,
+            byReason: summary.byReason.map(entry => ({
+              reasonCode: entry._id,
+              label: VOID_REASONS[entry._id],
+              count: entry.count,
+              amount: entry.amount
+            })),
+            byUser: summary.byUser.map(entry => ({
+              userId: entry._id,
+              count: entry.count,
+              amount: entry.amount
+            }))
+          },
+          voids
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching void report:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch void report'
+      });
+    }
+  }
+);
+
+// GET /api/orders/reports/tips - Tips and service charges per staff member
+// Tips count from completed payments (by recipient), service charges from completed orders (by server)
+router.get('/reports/tips',
+  auth,
+  requirePermission('reports:view'),
+  [
+    query('startDate').optional().isISO8601().withMessage('Invalid start date'),
+    query('endDate').optional().isISO8601().withMessage('Invalid end date')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+
+      const { startDate, endDate } = req.query;
+      const range = {};
+      if (startDate) range.$gte = new Date(startDate);
+      if (endDate) range.$lte = new Date(endDate);
+      const inRange = field => (startDate || endDate ? { [field]: range } : {});
+
+      // Payments carry no outlet; only look at those of the outlet's orders, which
+      // were all placed before the end of the range
+      const orderFilter = { outletId: req.user._id };
+      if (endDate) orderFilter.createdAt = { $lte: range.$lte };
+      const orderIds = await Order.distinct('_id', orderFilter);
+
+      const [tips, serviceCharges] = await Promise.all([
+        Payment.aggregate([
+          { $match: { orderId: { $in: orderIds }, status: { $in: ['completed', 'refunded'] }, tip: { $gt: 0 }, ...inRange('paidAt') } },
+          { $group: { _id: '$tipRecipient', amount: { $sum: '$tip' }, count: { $sum: 1 } } }
+        ]),
+        Order.aggregate([
+          { $match: { outletId: req.user._id, status: 'completed', serviceCharge: { $gt: 0 }, ...inRange('createdAt') } },
+          { $group: { _id: '$createdBy', amount: { $sum: '$serviceCharge' }, count: { $sum: 1 } } }
+        ])
+      ]);
+
+      const staffIds = [...new Set([...tips, ...serviceCharges].map(entry => String(entry._id)))];
+      const staff = await User.find({ _id: { $in: staffIds } }).select('firstName lastName role').lean();
+      const staffById = new Map(staff.map(member => [member._id.toString(), member]));
+      const find = (list, id) => list.find(entry => String(entry._id) === id) || { amount: 0, count: 0 };
+
+      const byStaff = staffIds.map((id) => {
+        const tip = find(tips, id);
+        const serviceCharge = find(serviceCharges, id);
+        const member = staffById.get(id);
+        return {
+          userId: id,
+          name: member ? `${member.firstName} ${member.lastName}` : null,
+          role: member ? member.role : null,
+          tips: tip.amount,
+          tipCount: tip.count,
+          serviceCharge: serviceCharge.amount,
+          serviceChargeOrders: serviceCharge.count
+        };
+      }).sort((a, b) => (b.tips + b.serviceCharge) - (a.tips + a.serviceCharge));
+
+      res.json({
+        success: true,
+        data: {
+          summary: {
+            tips: byStaff.reduce((sum, entry) => sum + entry.tips, 0),
+            tipCount: byStaff.reduce((sum, entry) => sum + entry.tipCount, 0),
+            serviceCharge: byStaff.reduce((sum, entry) => sum + entry.serviceCharge, 0),
+            serviceChargeOrders: byStaff.reduce((sum, entry) => sum + entry.serviceChargeOrders, 0)
+          },
+          byStaff
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching tips report:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch tips report'
+      });
+    }
+  }
+);
+
 // GET /api/orders/:id - Get order by ID
 router.get('/:id', auth, async (req, res) => {
   try {
@@ -167,6 +393,7 @@ router.get('/:id', auth, async (req, res) => {
       outletId: req.user._id
     })
       .populate('createdBy', 'firstName lastName')
+      .populate('statusHistory.changedBy', 'firstName lastName role')
       .lean();
 
     if (!order) {
@@ -184,12 +411,19 @@ router.get('/:id', auth, async (req, res) => {
       .populate('processedBy', 'firstName lastName')
       .lean();
 
+    const refunds = await Refund.find({ orderId: order._id })
+      .populate('processedBy', 'firstName lastName')
+      .sort({ createdAt: 1 })
+      .lean();
+
     res.json({
       success: true,
       data: {
         ...order,
         items,
-        payments
+        payments,
+        refunds,
+        allowedTransitions: getAllowedTransitions(order.status, req.user.role)
       }
     });
   } catch (error) {
@@ -201,74 +435,167 @@ router.get('/:id', auth, async (req, res) => {
   }
 });
 
-// GET /api/orders - Get all orders (with filters)
-router.get('/', auth, async (req, res) => {
+// Cursor for GET /api/orders: the sort key (createdAt, _id) of the last order on a page
+const encodeCursor = (order) => Buffer.from(JSON.stringify({
+  createdAt: order.createdAt.toISOString(),
+  id: order._id.toString()
+})).toString('base64url');
+
+const decodeCursor = (cursor) => {
   try {
-    const { status, tableNumber, startDate, endDate, limit = 50, page = 1 } = req.query;
-    
-    const query = { outletId: req.user._id };
-    
-    if (status) {
-      query.status = status;
-    }
-    
-    if (tableNumber) {
-      query.tableNumber = tableNumber;
-    }
-    
-    if (startDate || endDate) {
-      query.createdAt = {};
-      if (startDate) query.createdAt.$gte = new Date(startDate);
-      if (endDate) query.createdAt.$lte = new Date(endDate);
-    }
+    const { createdAt, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    const date = new Date(createdAt);
+    if (Number.isNaN(date.getTime()) || !mongoose.isValidObjectId(id)) return null;
+    return { createdAt: date, id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    return null;
+  }
+};
 
-    const skip = (parseInt(page) - 1) * parseInt(limit);
+const PAYMENT_STATUSES = ['unpaid', 'partial', 'paid', 'refunded'];
 
-    const orders = await Order.find(query)
-      .populate('createdBy', 'firstName lastName')
-      .sort({ createdAt: -1 })
-      .limit(parseInt(limit))
-      .skip(skip)
-      .lean();
+// GET /api/orders - Get all orders (with filters)
+// Newest first. Pass the returned pagination.nextCursor as ?cursor= for the next page;
+// ?page= still works for offset pagination. ?includeItems=false skips order lines.
+router.get('/',
+  auth,
+  [
+    query('status').optional().custom(value => String(value).split(',').every(status => ORDER_STATUSES.includes(status)))
+      .withMessage(`Status must be from: ${ORDER_STATUSES.join(', ')}`),
+    query('orderType').optional().isIn(['dine-in', 'takeaway', 'delivery']).withMessage('Invalid order type'),
+    query('createdBy').optional().isMongoId().withMessage('Invalid user ID'),
+    query('paymentStatus').optional().isIn(PAYMENT_STATUSES).withMessage(`Payment status must be one of: ${PAYMENT_STATUSES.join(', ')}`),
+    query('startDate').optional().isISO8601().withMessage('Invalid start date'),
+    query('endDate').optional().isISO8601().withMessage('Invalid end date'),
+    query('cursor').optional().custom(value => decodeCursor(value) !== null).withMessage('Invalid cursor'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be at least 1').toInt(),
+    query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200').toInt(),
+    query('includeItems').optional().isBoolean().withMessage('includeItems must be true or false').toBoolean()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+
+      const {
+        status, tableNumber, displayToken, orderType, createdBy, paymentStatus,
+        startDate, endDate, cursor, page, limit = 50, includeItems = true
+      } = req.query;
+
+      const filter = { outletId: req.user._id };
+
+      if (status) {
+        const statuses = String(status).split(',');
+        filter.status = statuses.length > 1 ? { $in: statuses } : statuses[0];
+      }
+
+      if (tableNumber) {
+        filter.tableNumber = String(tableNumber);
+      }
+
+      // Pickup counter lookup by the short token called out to guests
+      if (displayToken) {
+        filter.displayToken = String(displayToken);
+      }
+
+      if (orderType) {
+        filter.orderType = orderType;
+      }
+
+      if (createdBy) {
+        filter.createdBy = createdBy;
+      }
+
+      // Orders from before payment state was stored get it from scripts/migrate-payment-state.js
+      if (paymentStatus) {
+        filter.paymentStatus = paymentStatus;
+      }
+
+      if (startDate || endDate) {
+        filter.createdAt = {};
+        if (startDate) filter.createdAt.$gte = new Date(startDate);
+        if (endDate) filter.createdAt.$lte = new Date(endDate);
+      }
+
+      const pageQuery = { ...filter };
+      if (cursor) {
+        const after = decodeCursor(cursor);
+        pageQuery.$and = [{
+          $or: [
+            { createdAt: { $lt: after.createdAt } },
+            { createdAt: after.createdAt, _id: { $lt: after.id } }
+          ]
+        }];
+      }
+
+      // Fetch one extra order to know whether another page follows
+      let ordersQuery = Order.find(pageQuery)
+        .populate('createdBy', 'firstName lastName')
+        .sort({ createdAt: -1, _id: -1 })
+        .limit(limit + 1);
+      if (page && !cursor) {
+        ordersQuery = ordersQuery.skip((page - 1) * limit);
+      }
 
-    const total = await Order.countDocuments(query);
+      const found = await ordersQuery.lean();
+      const hasMore = found.length > limit;
+      const orders = found.slice(0, limit);
 
-    // Get items for each order
-    const ordersWithItems = await Promise.all(
-      orders.map(async (order) => {
-        const items = await OrderItem.find({ orderId: order._id })
+      // One query for the lines of every order on the page
+      let data = orders;
+      if (includeItems) {
+        const items = await OrderItem.find({ orderId: { $in: orders.map(order => order._id) } })
           .populate('itemId', 'name price image')
+          .sort({ createdAt: 1, _id: 1 })
           .lean();
-        return { ...order, items };
-      })
-    );
 
-    res.json({
-      success: true,
-      data: ordersWithItems,
-      pagination: {
-        total,
-        page: parseInt(page),
-        limit: parseInt(limit),
-        pages: Math.ceil(total / parseInt(limit))
+        const itemsByOrder = new Map(orders.map(order => [order._id.toString(), []]));
+        items.forEach(item => itemsByOrder.get(item.orderId.toString()).push(item));
+        data = orders.map(order => ({ ...order, items: itemsByOrder.get(order._id.toString()) }));
       }
-    });
-  } catch (error) {
-    console.error('Error fetching orders:', error);
-    res.status(500).json({ 
-      success: false,
-      error: 'Failed to fetch orders' 
-    });
+
+      const pagination = {
+        limit,
+        hasMore,
+        nextCursor: hasMore ? encodeCursor(orders[orders.length - 1]) : null
+      };
+
+      // Offset pagination keeps reporting totals for existing clients
+      if (page && !cursor) {
+        const total = await Order.countDocuments(filter);
+        Object.assign(pagination, { total, page, pages: Math.ceil(total / limit) });
+      }
+
+      res.json({
+        success: true,
+        data,
+        pagination
+      });
+    } catch (error) {
+      console.error('Error fetching orders:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch orders'
+      });
+    }
   }
-});
+);
 
 // PUT /api/orders/:id/status - Update order status
+// Only transitions defined in config/order-status.js are accepted, and each one is
+// appended to the order's statusHistory with the acting user
 router.put('/:id/status',
   auth,
   requirePermission('orders:update'),
   [
-    body('status').isIn(['pending', 'confirmed', 'preparing', 'ready', 'served', 'completed', 'cancelled'])
-      .withMessage('Invalid status')
+    body('status').isIn(ORDER_STATUSES)
+      .withMessage('Invalid status'),
+    body('note').optional().trim().isLength({ max: 200 }).withMessage('Note cannot exceed 200 characters')
   ],
   async (req, res) => {
     try {
@@ -280,23 +607,47 @@ router.put('/:id/status',
         });
       }
 
-      const { status } = req.body;
+      const { status, note } = req.body;
 
-      const order = await Order.findOneAndUpdate(
-        { _id: req.params.id, outletId: req.user._id },
-        { status },
-        { new: true }
-      )
-        .populate('createdBy', 'firstName lastName')
-        .lean();
+      // Cancellations need a reason code (and sometimes approval)
+      if (status === 'cancelled') {
+        return res.status(400).json({
+          success: false,
+          error: 'Use POST /api/orders/:id/cancel to cancel an order'
+        });
+      }
+      if (status === 'merged') {
+        return res.status(400).json({
+          success: false,
+          error: 'Use POST /api/tables/merge to merge orders'
+        });
+      }
 
-      if (!order) {
+      const current = await Order.findOne({ _id: req.params.id, outletId: req.user._id });
+
+      if (!current) {
         return res.status(404).json({
           success: false,
           error: 'Order not found'
         });
       }
 
+      // Orders closed by a table merge (including those merged before 'merged' existed)
+      // gave their items to another bill; reopening them would bring back an empty order
+      if (current.mergedInto) {
+        return res.status(409).json({
+          success: false,
+          error: 'This order was merged into another order and cannot be reopened'
+        });
+      }
+
+      const updated = await transitionOrder(current, status, req.user, { note });
+      await refreshTables(req, req.user._id, [updated.tableNumber]);
+      const order = await Order.findById(updated._id)
+        .populate('createdBy', 'firstName lastName')
+        .populate('statusHistory.changedBy', 'firstName lastName role')
+        .lean();
+
       // Emit Socket.IO event
       const io = req.app.get('io');
       if (io) {
@@ -311,6 +662,12 @@ router.put('/:id/status',
         data: order
       });
     } catch (error) {
+      if (error.isOperational) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: error.message
+        });
+      }
       console.error('Error updating order status:', error);
       res.status(500).json({ 
         success: false,
@@ -320,84 +677,1187 @@ router.put('/:id/status',
   }
 );
 
-// POST /api/orders/:id/payment - Process payment
-router.post('/:id/payment',
+// Load an order of the current outlet whose items may still change.
+// Throws an ApiError when it does not exist, is closed or is fully paid.
+const loadEditableOrder = async (req) => {
+  const order = await Order.findOne({ _id: req.params.id, outletId: req.user._id });
+
+  if (!order) {
+    throw new ApiError('Order not found', 404);
+  }
+  if (!OPEN_ORDER_STATUSES.includes(order.status)) {
+    throw new ApiError(`Items cannot be changed on a ${order.status} order`, 409);
+  }
+  if (order.splitType) {
+    throw new ApiError('Remove the split before changing items', 409);
+  }
+
+  const paidAmount = await getPaidAmount(order._id);
+  if (paidAmount > 0 && paidAmount >= order.totalAmount) {
+    throw new ApiError('Items cannot be changed on a fully paid order', 409);
+  }
+
+  return { order, paidAmount };
+};
+
+// Reject a reduction that would bring the total below what has already been paid
+const assertCoversPaidAmount = (order, subtotalChange, paidAmount) => {
+  const { totalAmount } = calculateTotals(order.subtotal + subtotalChange, getOrderPricing(order));
+  if (totalAmount - (order.refundAdjustment || 0) < paidAmount) {
+    throw new ApiError(`Order total cannot drop below the amount already paid (${paidAmount.toFixed(2)})`, 409);
+  }
+};
+
+// Load a top-level line of an order that the kitchen has not started on yet
+const loadPendingLine = async (order, lineId) => {
+  const line = await OrderItem.findOne({ _id: lineId, orderId: order._id, isVoided: { $ne: true } });
+
+  if (!line) {
+    throw new ApiError('Order item not found', 404);
+  }
+  if (line.lineType === 'combo-component') {
+    throw new ApiError('Change the combo this item belongs to instead', 400);
+  }
+  if (line.status !== 'pending') {
+    throw new ApiError(`${line.itemName} is already ${line.status}`, 409);
+  }
+
+  const components = line.lineType === 'combo'
+    ? await OrderItem.find({ parentItemId: line._id }).lean()
+    : [];
+
+  return { line, components };
+};
+
+// Send the kitchen a cancellation ticket for sent portions taken off a line; the
+// change itself stands even if the ticket cannot be printed
+const cancelKitchenQty = async (req, order, lines, qty) => {
+  try {
+    const kot = await cancelSentQty(order, req.user, req.user, lines, qty);
+    if (kot) {
+      emitToOutlet(req, req.user._id, 'kot:generated', {
+        kotId: kot._id,
+        kotNumber: kot.kotNumber,
+        orderId: order._id,
+        station: kot.station,
+        type: kot.type
+      });
+    }
+  } catch (error) {
+    console.error('Error generating cancellation KOT:', error);
+  }
+};
+
+// Stock used per menu item by a line and its combo components, per unit of the line's quantity
+const lineQuantities = (line, components, qty) => {
+  const quantities = new Map();
+  [line, ...components].forEach((entry) => {
+    const key = entry.itemId.toString();
+    quantities.set(key, (quantities.get(key) || 0) + qty);
+  });
+  return quantities;
+};
+
+// Send only what changed to the kitchen, with the new totals; each prep
+// station gets the part of the change that concerns its own lines
+const emitItemsChanged = (req, order, { added = [], updated = [], removed = [], reasonCode }) => {
+  const io = req.app.get('io');
+  if (io) {
+    io.to(`kitchen-${req.user._id}`).emit('order:items-changed', {
+      ...stationTicket(order),
+      reasonCode,
+      added,
+      updated,
+      removed: removed.map(line => line._id),
+      totals: {
+        subtotal: order.subtotal,
+        discount: order.discount,
+        tax: order.tax,
+        totalAmount: order.totalAmount
+      }
+    });
+  }
+
+  const changes = [
+    ...added.map(line => ({ line, kind: 'added' })),
+    ...updated.map(line => ({ line, kind: 'updated' })),
+    ...removed.map(line => ({ line, kind: 'removed' }))
+  ].map(change => ({ ...change, station: change.line.station }));
+
+  emitToStations(req, req.user._id, 'order:items-changed', changes, stationChanges => ({
+    ...stationTicket(order),
+    reasonCode,
+    added: stationChanges.filter(change => change.kind === 'added').map(change => change.line),
+    updated: stationChanges.filter(change => change.kind === 'updated').map(change => change.line),
+    removed: stationChanges.filter(change => change.kind === 'removed').map(change => change.line._id)
+  }));
+};
+
+const sendOperationalError = (res, error) => {
+  return res.status(error.statusCode).json({
+    success: false,
+    error: error.message
+  });
+};
+
+// POST /api/orders/:id/items - Add items to an open order
+router.post('/:id/items',
   auth,
-  requirePermission('payments:process'),
+  requirePermission('orders:update'),
   [
-    body('method').isIn(['card', 'upi', 'cash', 'wallet']).withMessage('Invalid payment method'),
-    body('amount').isFloat({ min: 0 }).withMessage('Amount must be a positive number'),
-    body('transactionId').optional().trim()
+    param('id').isMongoId().withMessage('Invalid order ID'),
+    ...itemValidators
   ],
   async (req, res) => {
+    let reservedStock = null;
     try {
       const errors = validationResult(req);
       if (!errors.isEmpty()) {
-        return res.status(400).json({ 
+        return res.status(400).json({
           success: false,
-          errors: errors.array() 
+          errors: errors.array()
         });
       }
 
-      const order = await Order.findOne({
-        _id: req.params.id,
-        outletId: req.user._id
-      });
+      const { order } = await loadEditableOrder(req);
+      const { lines, menuItems, quantities } = await buildOrderLines(req.user, req.body.items);
 
-      if (!order) {
-        return res.status(404).json({
-          success: false,
-          error: 'Order not found'
-        });
-      }
+      reservedStock = await reserveStock(req, menuItems, quantities);
 
-      const { method, amount, transactionId, notes } = req.body;
+      const added = await OrderItem.insertMany(lines.map(line => ({ ...line, orderId: order._id })));
+      reservedStock = null;
 
-      // Check if payment amount matches order total
-      const existingPayments = await Payment.find({ 
-        orderId: order._id,
-        status: { $in: ['completed', 'processing'] }
-      });
-      
-      const paidAmount = existingPayments.reduce((sum, p) => sum + p.amount, 0);
-      const remainingAmount = order.totalAmount - paidAmount;
+      await recalculateOrderTotals(order);
+      emitItemsChanged(req, order, { added: added.map(line => line.toObject()) });
 
-      if (amount > remainingAmount) {
-        return res.status(400).json({
-          success: false,
-          error: `Payment amount exceeds remaining balance. Remaining: ${remainingAmount.toFixed(2)}`
-        });
+      res.status(201).json({
+        success: true,
+        data: await loadOrderWithItems(order._id)
+      });
+    } catch (error) {
+      if (reservedStock) {
+        await releaseStock(req, reservedStock).catch(releaseError => console.error('Error releasing stock:', releaseError));
       }
-
-      // Create payment
-      const payment = new Payment({
+      if (error.isOperational) {
+        return sendOperationalError(res, error);
+      }
+      console.error('Error adding order items:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to add order items'
+      });
+    }
+  }
+);
+
+// PATCH /api/orders/:id/items/:lineId - Change the quantity of a line the kitchen has not started
+router.patch('/:id/items/:lineId',
+  auth,
+  requirePermission('orders:update'),
+  [
+    param('id').isMongoId().withMessage('Invalid order ID'),
+    param('lineId').isMongoId().withMessage('Invalid order item ID'),
+    body('qty').isInt({ min: 1 }).withMessage('Quantity must be at least 1').toInt()
+  ],
+  async (req, res) => {
+    let reservedStock = null;
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+
+      const { order, paidAmount } = await loadEditableOrder(req);
+      const { line, components } = await loadPendingLine(order, req.params.lineId);
+      const previousQty = line.qty;
+      const change = req.body.qty - previousQty;
+
+      if (change === 0) {
+        return res.json({
+          success: true,
+          data: await loadOrderWithItems(order._id)
+        });
+      }
+
+      if (change > 0) {
+        const quantities = lineQuantities(line, components, change);
+        const menuItems = await MenuItem.find({ _id: { $in: [...quantities.keys()] } });
+        assertOrderable(menuItems, req.user);
+        reservedStock = await reserveStock(req, menuItems, quantities);
+      } else {
+        assertCoversPaidAmount(order, line.price * change, paidAmount);
+      }
+
+      // Only applies if the kitchen has not picked the line up in the meantime
+      const result = await OrderItem.updateOne({ _id: line._id, status: 'pending' }, { qty: req.body.qty });
+      if (result.modifiedCount === 0) {
+        throw new ApiError(`${line.itemName} was picked up by the kitchen. Reload and try again.`, 409);
+      }
+      reservedStock = null;
+
+      if (components.length > 0) {
+        await OrderItem.updateMany({ parentItemId: line._id }, { qty: req.body.qty });
+      }
+      if (change < 0) {
+        await releaseStock(req, lineQuantities(line, components, -change));
+        await cancelKitchenQty(req, order, [line, ...components], req.body.qty);
+      }
+
+      await recalculateOrderTotals(order);
+      emitItemsChanged(req, order, {
+        updated: [line, ...components].map(entry => ({
+          _id: entry._id,
+          itemName: entry.itemName,
+          parentItemId: entry.parentItemId || null,
+          station: entry.station || null,
+          previousQty,
+          qty: req.body.qty
+        }))
+      });
+
+      res.json({
+        success: true,
+        data: await loadOrderWithItems(order._id)
+      });
+    } catch (error) {
+      if (reservedStock) {
+        await releaseStock(req, reservedStock).catch(releaseError => console.error('Error releasing stock:', releaseError));
+      }
+      if (error.isOperational) {
+        return sendOperationalError(res, error);
+      }
+      console.error('Error updating order item:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update order item'
+      });
+    }
+  }
+);
+
+// DELETE /api/orders/:id/items/:lineId - Remove a line the kitchen has not started (with its combo components)
+router.delete('/:id/items/:lineId',
+  auth,
+  requirePermission('orders:update'),
+  [
+    param('id').isMongoId().withMessage('Invalid order ID'),
+    param('lineId').isMongoId().withMessage('Invalid order item ID')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+
+      const { order, paidAmount } = await loadEditableOrder(req);
+      const { line, components } = await loadPendingLine(order, req.params.lineId);
+
+      const remainingLines = await OrderItem.countDocuments({
+        orderId: order._id,
+        lineType: { $ne: 'combo-component' },
+        isVoided: { $ne: true },
+        _id: { $ne: line._id }
+      });
+      if (remainingLines === 0) {
+        throw new ApiError('An order needs at least one item; cancel the order instead', 409);
+      }
+
+      assertCoversPaidAmount(order, -line.price * line.qty, paidAmount);
+
+      const result = await OrderItem.deleteOne({ _id: line._id, status: 'pending' });
+      if (result.deletedCount === 0) {
+        throw new ApiError(`${line.itemName} was picked up by the kitchen. Reload and try again.`, 409);
+      }
+      if (components.length > 0) {
+        await OrderItem.deleteMany({ parentItemId: line._id });
+      }
+      await releaseStock(req, lineQuantities(line, components, line.qty));
+      await cancelKitchenQty(req, order, [line, ...components], 0);
+
+      await recalculateOrderTotals(order);
+      emitItemsChanged(req, order, {
+        removed: [line, ...components]
+      });
+
+      res.json({
+        success: true,
+        data: await loadOrderWithItems(order._id)
+      });
+    } catch (error) {
+      if (error.isOperational) {
+        return sendOperationalError(res, error);
+      }
+      console.error('Error removing order item:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to remove order item'
+      });
+    }
+  }
+);
+
+// PATCH /api/orders/:id/items/:lineId/status - Bump a line on the kitchen display
+// Lines only move forward (pending -> preparing -> ready -> served); the order
+// follows once all of its lines have reached a status
+router.patch('/:id/items/:lineId/status',
+  auth,
+  requirePermission('orders:update'),
+  [
+    param('id').isMongoId().withMessage('Invalid order ID'),
+    param('lineId').isMongoId().withMessage('Invalid order item ID'),
+    body('status').isIn(ITEM_STATUSES).withMessage(`Status must be one of: ${ITEM_STATUSES.join(', ')}`)
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+
+      const order = await Order.findOne({ _id: req.params.id, outletId: req.user._id });
+
+      if (!order) {
+        throw new ApiError('Order not found', 404);
+      }
+      if (!OPEN_ORDER_STATUSES.includes(order.status)) {
+        throw new ApiError(`Items cannot be bumped on a ${order.status} order`, 409);
+      }
+
+      const line = await OrderItem.findOne({ _id: req.params.lineId, orderId: order._id });
+
+      if (!line) {
+        throw new ApiError('Order item not found', 404);
+      }
+
+      const changed = await bumpOrderItem(line, req.body.status);
+      const updatedOrder = await rollupOrderStatus(order, req.user);
+
+      const payload = {
+        ...stationTicket(order),
+        items: changed.map(entry => ({
+          _id: entry._id,
+          itemName: entry.itemName,
+          parentItemId: entry.parentItemId || null,
+          station: entry.station,
+          status: entry.status
+        }))
+      };
+      emitToOutlet(req, req.user._id, 'order-item:updated', payload);
+      emitToStations(req, req.user._id, 'order-item:updated', payload.items, stationItems => ({
+        ...payload,
+        items: stationItems
+      }));
+
+      if (updatedOrder.status !== order.status) {
+        emitToOutlet(req, req.user._id, 'order:updated', {
+          orderId: order._id,
+          status: updatedOrder.status
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          ...(await loadOrderWithItems(order._id)),
+          allowedTransitions: getAllowedTransitions(updatedOrder.status, req.user.role)
+        }
+      });
+    } catch (error) {
+      if (error.isOperational) {
+        return sendOperationalError(res, error);
+      }
+      console.error('Error updating order item status:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update order item status'
+      });
+    }
+  }
+);
+
+const KOT_FORMATS = ['json', 'text', 'escpos', 'html'];
+
+const kotFormatValidators = [
+  query('format').optional().isIn(KOT_FORMATS).withMessage(`Format must be one of: ${KOT_FORMATS.join(', ')}`),
+  query('width').optional().isInt({ min: 24, max: 64 }).withMessage('Width must be between 24 and 64 characters').toInt()
+];
+
+// Send a ticket in the format the printer asked for (?format=json|text|escpos|html)
+const sendKot = (req, res, kot, { status = 200, duplicate = false } = {}) => {
+  const options = { duplicate, width: req.query.width || DEFAULT_WIDTH, timeZone: req.user.timezone };
+  const filename = `kot-${kot.orderNumber}-${kot.kotNumber}`;
+
+  switch (req.query.format) {
+    case 'text':
+      return res.status(status).type('text/plain').send(renderKotText(kot, options));
+    case 'escpos':
+      res.set('Content-Disposition', `attachment; filename="${filename}.bin"`);
+      return res.status(status).type('application/octet-stream').send(renderKotEscPos(kot, options));
+    case 'html':
+      return res.status(status).type('text/html').send(renderKotHtml(kot, options));
+    default:
+      return res.status(status).json({
+        success: true,
+        data: { ...kot.toObject(), duplicate }
+      });
+  }
+};
+
+// POST /api/orders/:id/kot - Generate a KOT for the kitchen
+// mode "new" (default) sends only items added since the last KOT, "full" resends the whole order;
+// station limits the ticket to one prep station
+router.post('/:id/kot',
+  auth,
+  requirePermission('orders:update'),
+  [
+    param('id').isMongoId().withMessage('Invalid order ID'),
+    body('mode').optional().isIn(['new', 'full']).withMessage('Mode must be new or full'),
+    body('station').optional().trim().toLowerCase().matches(STATION_PATTERN).withMessage('Invalid station'),
+    ...kotFormatValidators
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+
+      const order = await Order.findOne({ _id: req.params.id, outletId: req.user._id });
+
+      if (!order) {
+        throw new ApiError('Order not found', 404);
+      }
+      if (!OPEN_ORDER_STATUSES.includes(order.status)) {
+        throw new ApiError(`Cannot send a ${order.status} order to the kitchen`, 409);
+      }
+
+      const kot = await generateKot(order, req.user, req.user, {
+        mode: req.body.mode,
+        station: req.body.station || null
+      });
+
+      emitToOutlet(req, req.user._id, 'kot:generated', {
+        kotId: kot._id,
+        kotNumber: kot.kotNumber,
+        orderId: order._id,
+        station: kot.station,
+        type: kot.type
+      });
+
+      sendKot(req, res, kot, { status: 201 });
+    } catch (error) {
+      if (error.isOperational) {
+        return sendOperationalError(res, error);
+      }
+      console.error('Error generating KOT:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to generate KOT'
+      });
+    }
+  }
+);
+
+// GET /api/orders/:id/kots - List the KOTs printed for an order
+router.get('/:id/kots',
+  auth,
+  [param('id').isMongoId().withMessage('Invalid order ID')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+
+      const kots = await Kot.find({ orderId: req.params.id, outletId: req.user._id })
+        .populate('createdBy', 'firstName lastName')
+        .sort({ createdAt: 1 })
+        .lean();
+
+      res.json({
+        success: true,
+        data: kots
+      });
+    } catch (error) {
+      console.error('Error fetching KOTs:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch KOTs'
+      });
+    }
+  }
+);
+
+// POST /api/orders/:id/kots/:kotId/reprint - Reprint a KOT, marked DUPLICATE
+router.post('/:id/kots/:kotId/reprint',
+  auth,
+  requirePermission('orders:update'),
+  [
+    param('id').isMongoId().withMessage('Invalid order ID'),
+    param('kotId').isMongoId().withMessage('Invalid KOT ID'),
+    ...kotFormatValidators
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+
+      const kot = await Kot.findOne({ _id: req.params.kotId, orderId: req.params.id, outletId: req.user._id });
+
+      if (!kot) {
+        throw new ApiError('KOT not found', 404);
+      }
+
+      const reprinted = await recordReprint(kot);
+      sendKot(req, res, reprinted, { duplicate: true });
+    } catch (error) {
+      if (error.isOperational) {
+        return sendOperationalError(res, error);
+      }
+      console.error('Error reprinting KOT:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to reprint KOT'
+      });
+    }
+  }
+);
+
+// Reason code, note and optional manager approval, shared by cancellations and voids
+const voidValidators = [
+  body('reasonCode').isIn(VOID_REASON_CODES).withMessage(`Reason code must be one of: ${VOID_REASON_CODES.join(', ')}`),
+  body('note').optional().trim().isLength({ max: 200 }).withMessage('Note cannot exceed 200 characters'),
+  body('note').if(body('reasonCode').equals('other')).notEmpty().withMessage('A note is required for reason "other"'),
+  body('approval').optional().isObject().withMessage('Approval must be an object')
+];
+
+// Return stock for lines the kitchen never started; prepared food is used up
+const releaseUnpreparedStock = async (req, entries, qtyFor) => {
+  const quantities = new Map();
+  entries
+    .filter(entry => entry.status === 'pending')
+    .forEach((entry) => {
+      const key = entry.itemId.toString();
+      quantities.set(key, (quantities.get(key) || 0) + qtyFor(entry));
+    });
+  await releaseStock(req, quantities);
+};
+
+// POST /api/orders/:id/items/:lineId/void - Void a line (or part of its quantity) with a reason
+// Lines the kitchen has started on need manager approval
+router.post('/:id/items/:lineId/void',
+  auth,
+  requirePermission('orders:update'),
+  [
+    param('id').isMongoId().withMessage('Invalid order ID'),
+    param('lineId').isMongoId().withMessage('Invalid order item ID'),
+    body('qty').optional().isInt({ min: 1 }).withMessage('Quantity must be at least 1').toInt(),
+    ...voidValidators
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+
+      const { reasonCode, note, approval } = req.body;
+      const { order, paidAmount } = await loadEditableOrder(req);
+      const line = await OrderItem.findOne({ _id: req.params.lineId, orderId: order._id, isVoided: { $ne: true } });
+
+      if (!line) {
+        throw new ApiError('Order item not found', 404);
+      }
+      if (line.lineType === 'combo-component') {
+        throw new ApiError('Void the combo this item belongs to instead', 400);
+      }
+
+      const qty = req.body.qty || line.qty;
+      if (qty > line.qty) {
+        throw new ApiError(`Only ${line.qty} ${line.itemName} on this order`, 400);
+      }
+
+      const components = line.lineType === 'combo'
+        ? await OrderItem.find({ parentItemId: line._id, isVoided: { $ne: true } }).lean()
+        : [];
+      const wasPrepared = [line, ...components].some(entry => entry.status !== 'pending');
+      const { approvedBy, approvalMethod } = wasPrepared ? await resolveApproval(req.user, approval) : {};
+
+      assertCoversPaidAmount(order, -line.price * qty, paidAmount);
+
+      const fullVoid = qty === line.qty;
+      const now = new Date();
+      const update = fullVoid ? { isVoided: true, voidedAt: now } : { $inc: { qty: -qty } };
+
+      // Only applies if nobody changed the line in the meantime
+      const result = await OrderItem.updateOne({ _id: line._id, qty: line.qty, isVoided: { $ne: true } }, update);
+      if (result.modifiedCount === 0) {
+        throw new ApiError(`${line.itemName} was changed by someone else. Reload and try again.`, 409);
+      }
+      if (components.length > 0) {
+        await OrderItem.updateMany({ parentItemId: line._id }, update);
+      }
+      await releaseUnpreparedStock(req, [line, ...components], () => qty);
+
+      await Void.create({
+        type: 'item',
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        orderItemId: line._id,
+        itemName: line.itemName,
+        qty,
+        amount: line.price * qty,
+        reasonCode,
+        note,
+        wasPrepared,
+        requestedBy: req.user._id,
+        approvedBy,
+        approvalMethod,
+        outletId: req.user._id
+      });
+
+      await recalculateOrderTotals(order);
+
+      const entries = [line, ...components];
+      emitItemsChanged(req, order, fullVoid
+        ? { removed: entries, reasonCode }
+        : {
+          updated: entries.map(entry => ({
+            _id: entry._id,
+            itemName: entry.itemName,
+            parentItemId: entry.parentItemId || null,
+            station: entry.station || null,
+            previousQty: line.qty,
+            qty: line.qty - qty
+          })),
+          reasonCode
+        });
+
+      res.json({
+        success: true,
+        data: await loadOrderWithItems(order._id)
+      });
+    } catch (error) {
+      if (error.isOperational) {
+        return sendOperationalError(res, error);
+      }
+      console.error('Error voiding order item:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to void order item'
+      });
+    }
+  }
+);
+
+// POST /api/orders/:id/cancel - Cancel an order with a reason
+// Orders the kitchen has started on need manager approval; paid orders must be refunded first
+router.post('/:id/cancel',
+  auth,
+  requirePermission('orders:update'),
+  [
+    param('id').isMongoId().withMessage('Invalid order ID'),
+    ...voidValidators
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+
+      const { reasonCode, note, approval } = req.body;
+      const order = await Order.findOne({ _id: req.params.id, outletId: req.user._id });
+
+      if (!order) {
+        throw new ApiError('Order not found', 404);
+      }
+      if (!OPEN_ORDER_STATUSES.includes(order.status)) {
+        throw new ApiError(`A ${order.status} order cannot be cancelled`, 409);
+      }
+
+      const paidAmount = await getPaidAmount(order._id);
+      if (paidAmount > 0) {
+        throw new ApiError(`Refund the ${paidAmount.toFixed(2)} already paid before cancelling`, 409);
+      }
+
+      const lines = await OrderItem.find({ orderId: order._id, isVoided: { $ne: true } }).lean();
+      const wasPrepared = !['pending', 'confirmed'].includes(order.status)
+        || lines.some(line => line.status !== 'pending');
+      const { approvedBy, approvalMethod } = wasPrepared ? await resolveApproval(req.user, approval) : {};
+
+      // An approved cancellation carries the approver's authority, not the requester's role
+      const cancelled = await transitionOrder(order, 'cancelled', req.user, {
+        note: `${VOID_REASONS[reasonCode]}${note ? `: ${note}` : ''}`,
+        system: Boolean(approvedBy)
+      });
+
+      const now = new Date();
+      await OrderItem.updateMany({ orderId: order._id, isVoided: { $ne: true } }, { isVoided: true, voidedAt: now });
+      await releaseUnpreparedStock(req, lines, line => line.qty);
+
+      await Void.create({
+        type: 'order',
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        amount: order.subtotal,
+        reasonCode,
+        note,
+        wasPrepared,
+        requestedBy: req.user._id,
+        approvedBy,
+        approvalMethod,
+        outletId: req.user._id
+      });
+
+      await Check.updateMany({ orderId: order._id, status: 'open' }, { status: 'void' });
+      await recalculateOrderTotals(cancelled);
+      await refreshTables(req, req.user._id, [cancelled.tableNumber]);
+
+      const payload = { ...stationTicket(order), status: 'cancelled', reasonCode };
+      emitToOutlet(req, req.user._id, 'order:cancelled', payload);
+      emitToStations(req, req.user._id, 'order:cancelled', lines, () => payload);
+
+      res.json({
+        success: true,
+        data: await loadOrderWithItems(order._id)
+      });
+    } catch (error) {
+      if (error.isOperational) {
+        return sendOperationalError(res, error);
+      }
+      console.error('Error cancelling order:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to cancel order'
+      });
+    }
+  }
+);
+
+const SPLIT_TYPES = ['item', 'seat', 'equal'];
+
+// Active checks of an order with the payments taken against each
+const loadChecksWithPayments = async (orderId) => {
+  const checks = await getActiveChecks(orderId).lean();
+  const payments = await Payment.find({ checkId: { $in: checks.map(check => check._id) } })
+    .populate('processedBy', 'firstName lastName')
+    .lean();
+
+  return checks.map(check => ({
+    ...check,
+    payments: payments.filter(payment => payment.checkId.equals(check._id))
+  }));
+};
+
+// Reject changing the split of an order once any of its checks has taken a payment
+const assertChecksUnpaid = async (orderId) => {
+  const checks = await getActiveChecks(orderId).select('_id').lean();
+  for (const check of checks) {
+    if (await getCheckPaidAmount(check._id) > 0) {
+      throw new ApiError('Checks of this order already have payments', 409);
+    }
+  }
+};
+
+// POST /api/orders/:id/split - Split the bill into sub-checks
+// { type: 'item', checks: [{ lineIds, label }] } puts every item on exactly one check,
+// { type: 'seat' } gives each seat a check (items without a seat go on a "Shared" check),
+// { type: 'equal', parts } divides the whole bill into equal shares.
+// Splitting again replaces the previous split as long as none of its checks is paid.
+router.post('/:id/split',
+  auth,
+  requirePermission('orders:update'),
+  [
+    param('id').isMongoId().withMessage('Invalid order ID'),
+    body('type').isIn(SPLIT_TYPES).withMessage(`Split type must be one of: ${SPLIT_TYPES.join(', ')}`),
+    body('parts').if(body('type').equals('equal'))
+      .isInt({ min: 2, max: 50 }).withMessage('Parts must be between 2 and 50').toInt(),
+    body('checks').if(body('type').equals('item'))
+      .isArray({ min: 2 }).withMessage('At least two checks are required'),
+    body('checks.*.lineIds').if(body('type').equals('item'))
+      .isArray({ min: 1 }).withMessage('Every check needs at least one item'),
+    body('checks.*.lineIds.*').if(body('type').equals('item'))
+      .isMongoId().withMessage('Invalid order item ID'),
+    body('checks.*.label').optional().trim()
+      .isLength({ max: 50 }).withMessage('Check label cannot exceed 50 characters')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+
+      const order = await Order.findOne({ _id: req.params.id, outletId: req.user._id });
+
+      if (!order) {
+        throw new ApiError('Order not found', 404);
+      }
+      if (!OPEN_ORDER_STATUSES.includes(order.status)) {
+        throw new ApiError(`The bill of a ${order.status} order cannot be split`, 409);
+      }
+
+      const unassigned = await Payment.countDocuments({
+        orderId: order._id,
+        checkId: null,
+        status: { $in: ['completed', 'processing'] }
+      });
+      if (unassigned > 0) {
+        throw new ApiError('Payments were already taken on the whole bill', 409);
+      }
+      await assertChecksUnpaid(order._id);
+
+      const lines = await OrderItem.find({ orderId: order._id, isVoided: { $ne: true } }).lean();
+      const groups = groupLines(lines, req.body);
+      const checks = buildChecks(order, groups, req.body.type);
+
+      await Check.updateMany({ orderId: order._id, status: { $ne: 'void' } }, { status: 'void' });
+      await Check.insertMany(checks.map(check => ({
+        ...check,
+        orderId: order._id,
+        createdBy: req.user._id,
+        outletId: req.user._id
+      })));
+
+      order.splitType = req.body.type;
+      await order.save();
+
+      emitToOutlet(req, req.user._id, 'order:split', {
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        splitType: order.splitType,
+        checkCount: checks.length
+      });
+
+      res.status(201).json({
+        success: true,
+        data: await loadChecksWithPayments(order._id)
+      });
+    } catch (error) {
+      if (error.isOperational) {
+        return sendOperationalError(res, error);
+      }
+      console.error('Error splitting bill:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to split bill'
+      });
+    }
+  }
+);
+
+// DELETE /api/orders/:id/split - Go back to a single bill
+router.delete('/:id/split',
+  auth,
+  requirePermission('orders:update'),
+  [param('id').isMongoId().withMessage('Invalid order ID')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+
+      const order = await Order.findOne({ _id: req.params.id, outletId: req.user._id });
+
+      if (!order) {
+        throw new ApiError('Order not found', 404);
+      }
+      if (!order.splitType) {
+        throw new ApiError('The bill of this order is not split', 409);
+      }
+      await assertChecksUnpaid(order._id);
+
+      await Check.updateMany({ orderId: order._id, status: { $ne: 'void' } }, { status: 'void' });
+      order.splitType = null;
+      await order.save();
+
+      emitToOutlet(req, req.user._id, 'order:split', {
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        splitType: null,
+        checkCount: 0
+      });
+
+      res.json({
+        success: true,
+        data: order
+      });
+    } catch (error) {
+      if (error.isOperational) {
+        return sendOperationalError(res, error);
+      }
+      console.error('Error removing split:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to remove split'
+      });
+    }
+  }
+);
+
+// GET /api/orders/:id/checks - Sub-checks of a split bill with their payments
+router.get('/:id/checks',
+  auth,
+  [param('id').isMongoId().withMessage('Invalid order ID')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+
+      const order = await Order.findOne({ _id: req.params.id, outletId: req.user._id }).select('_id').lean();
+
+      if (!order) {
+        return res.status(404).json({
+          success: false,
+          error: 'Order not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: await loadChecksWithPayments(order._id)
+      });
+    } catch (error) {
+      console.error('Error fetching checks:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch checks'
+      });
+    }
+  }
+);
+
+// GET /api/orders/:id/checks/:checkId/receipt - Guest receipt of one check (?format=json|text|escpos|html)
+router.get('/:id/checks/:checkId/receipt',
+  auth,
+  [
+    param('id').isMongoId().withMessage('Invalid order ID'),
+    param('checkId').isMongoId().withMessage('Invalid check ID'),
+    ...kotFormatValidators
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+
+      const order = await Order.findOne({ _id: req.params.id, outletId: req.user._id }).lean();
+      const check = order && await Check.findOne({ _id: req.params.checkId, orderId: order._id }).lean();
+
+      if (!check) {
+        return res.status(404).json({
+          success: false,
+          error: 'Check not found'
+        });
+      }
+
+      const payments = await Payment.find({ checkId: check._id, status: { $in: ['completed', 'processing'] } })
+        .sort({ createdAt: 1 })
+        .lean();
+      const receipt = { outlet: req.user, order, check, payments };
+      const options = { width: req.query.width || DEFAULT_WIDTH, timeZone: req.user.timezone };
+
+      switch (req.query.format) {
+        case 'text':
+          return res.type('text/plain').send(renderReceiptText(receipt, options));
+        case 'escpos':
+          res.set('Content-Disposition', `attachment; filename="receipt-${order.orderNumber}-${check.checkNumber}.bin"`);
+          return res.type('application/octet-stream').send(renderReceiptEscPos(receipt, options));
+        case 'html':
+          return res.type('text/html').send(renderReceiptHtml(receipt, options));
+        default:
+          return res.json({
+            success: true,
+            data: { ...check, orderNumber: order.orderNumber, tableNumber: order.tableNumber, payments }
+          });
+      }
+    } catch (error) {
+      console.error('Error rendering receipt:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to render receipt'
+      });
+    }
+  }
+);
+
+// POST /api/orders/:id/payment - Process payment
+router.post('/:id/payment',
+  auth,
+  requirePermission('payments:process'),
+  [
+    body('method').isIn(['card', 'upi', 'cash', 'wallet']).withMessage('Invalid payment method'),
+    body('amount').isFloat({ min: 0 }).withMessage('Amount must be a positive number').toFloat(),
+    body('transactionId').optional().trim(),
+    body('checkId').optional().isMongoId().withMessage('Invalid check ID'),
+    body('tip').optional().isFloat({ min: 0 }).withMessage('Tip must be a positive number').toFloat(),
+    body('tipRecipient').optional().isMongoId().withMessage('Invalid tip recipient'),
+    body('drawer').optional().trim().isLength({ min: 1, max: 30 }).withMessage('Drawer must be 1-30 characters')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+          success: false,
+          errors: errors.array() 
+        });
+      }
+
+      const order = await Order.findOne({
+        _id: req.params.id,
+        outletId: req.user._id
+      });
+
+      if (!order) {
+        return res.status(404).json({
+          success: false,
+          error: 'Order not found'
+        });
+      }
+
+      const { method, amount, transactionId, notes, checkId, tip = 0, drawer = DEFAULT_DRAWER } = req.body;
+
+      // Every payment belongs to the open session of a cash drawer
+      const shift = await requireOpenShift(req.user._id, drawer);
+
+      // A split bill is paid check by check
+      let check = null;
+      if (order.splitType) {
+        if (!checkId) {
+          return res.status(400).json({
+            success: false,
+            error: 'The bill is split; choose the check this payment is for'
+          });
+        }
+        check = await Check.findOne({ _id: checkId, orderId: order._id, status: { $ne: 'void' } });
+        if (!check) {
+          return res.status(404).json({
+            success: false,
+            error: 'Check not found'
+          });
+        }
+
+        const remainingOnCheck = check.totalAmount - await getCheckPaidAmount(check._id);
+        if (toCents(amount) > toCents(remainingOnCheck)) {
+          return res.status(400).json({
+            success: false,
+            error: `Payment amount exceeds the balance of check ${check.checkNumber}. Remaining: ${remainingOnCheck.toFixed(2)}`
+          });
+        }
+      } else if (checkId) {
+        return res.status(400).json({
+          success: false,
+          error: 'The bill of this order is not split'
+        });
+      }
+
+      // Check if payment amount matches order total; a tip comes on top and is not part of the bill
+      const paidAmount = await getPaidAmount(order._id);
+      const remainingAmount = order.totalAmount - paidAmount;
+
+      if (!check && amount > remainingAmount) {
+        return res.status(400).json({
+          success: false,
+          error: `Payment amount exceeds remaining balance. Remaining: ${remainingAmount.toFixed(2)}`
+        });
+      }
+
+      // Card and UPI payments are settled through the gateway when the outlet has one; the rest,
+      // and card payments taken on a standalone terminal, are recorded as taken
+      const gateway = GATEWAY_METHODS.includes(method) ? getPaymentGateway() : null;
+
+      let payment = new Payment({
         orderId: order._id,
+        checkId: check ? check._id : undefined,
+        shiftId: shift._id,
         method,
         amount,
-        transactionId,
+        tip,
+        // Tips go to whoever served the order unless the cashier names someone else
+        tipRecipient: tip > 0 ? (req.body.tipRecipient || order.createdBy) : undefined,
+        transactionId: gateway ? undefined : transactionId,
         notes,
         processedBy: req.user._id,
-        status: 'completed',
-        paidAt: new Date()
+        gateway: gateway ? gateway.name : undefined,
+        status: gateway ? 'pending' : 'completed',
+        paidAt: gateway ? undefined : new Date()
       });
 
       await payment.save();
 
-      // Update order status if fully paid
-      const newPaidAmount = paidAmount + amount;
-      if (newPaidAmount >= order.totalAmount) {
-        await Order.findByIdAndUpdate(order._id, { status: 'completed' });
+      let nextAction;
+      if (gateway) {
+        try {
+          const result = await gateway.initiate({ paymentId: payment._id, amount: amount + tip, method, orderNumber: order.orderNumber });
+          payment.gatewayReference = result.reference;
+          await payment.save();
+          payment = await applyPaymentStatus(payment, result.status, result) || payment;
+          nextAction = result.nextAction;
+        } catch (error) {
+          console.error('Error initiating gateway payment:', error);
+          payment = await applyPaymentStatus(payment, 'failed', { failureReason: error.message }) || payment;
+        }
       }
 
+      await settlePayment(req, payment, req.user);
+
       const populatedPayment = await Payment.findById(payment._id)
         .populate('processedBy', 'firstName lastName')
         .lean();
 
       res.status(201).json({
         success: true,
-        data: populatedPayment
+        data: { ...populatedPayment, nextAction }
       });
     } catch (error) {
+      if (error.isOperational) {
+        return sendOperationalError(res, error);
+      }
       console.error('Error processing payment:', error);
       res.status(500).json({ 
         success: false,
@@ -407,5 +1867,281 @@ router.post('/:id/payment',
   }
 );
 
-module.exports = router;
+// Load a gateway payment of an order of the current outlet with its adapter
+const loadGatewayPayment = async (req) => {
+  const order = await Order.findOne({ _id: req.params.id, outletId: req.user._id }).select('_id').lean();
+  const payment = order && await Payment.findOne({ _id: req.params.paymentId, orderId: order._id });
+
+  if (!payment) {
+    throw new ApiError('Payment not found', 404);
+  }
+  if (!payment.gateway || !payment.gatewayReference) {
+    throw new ApiError('Payment was not taken through a gateway', 400);
+  }
+
+  return { payment, gateway: getGateway(payment.gateway) };
+};
+
+// POST /api/orders/:id/payments/:paymentId/capture - Capture an authorized gateway payment
+router.post('/:id/payments/:paymentId/capture',
+  auth,
+  requirePermission('payments:process'),
+  [
+    param('id').isMongoId().withMessage('Invalid order ID'),
+    param('paymentId').isMongoId().withMessage('Invalid payment ID')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+
+      const { payment, gateway } = await loadGatewayPayment(req);
+      if (payment.status !== 'processing') {
+        throw new ApiError(`Only processing payments can be captured (this one is ${payment.status})`, 409);
+      }
+
+      // The tip was authorised along with the bill and is captured with it
+      const result = await gateway.capture(payment.gatewayReference, payment.amount + (payment.tip || 0));
+      const updated = await applyPaymentStatus(payment, result.status, result);
+      if (updated) {
+        await settlePayment(req, updated, req.user);
+      }
+
+      res.json({
+        success: true,
+        data: updated || await Payment.findById(payment._id).lean()
+      });
+    } catch (error) {
+      if (error.isOperational) {
+        return sendOperationalError(res, error);
+      }
+      console.error('Error capturing payment:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to capture payment'
+      });
+    }
+  }
+);
+
+// POST /api/orders/:id/payments/:paymentId/refresh - Ask the gateway for the payment's
+// status and apply it, for when a webhook was missed
+router.post('/:id/payments/:paymentId/refresh',
+  auth,
+  requirePermission('payments:process'),
+  [
+    param('id').isMongoId().withMessage('Invalid order ID'),
+    param('paymentId').isMongoId().withMessage('Invalid payment ID')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+
+      const { payment, gateway } = await loadGatewayPayment(req);
+      const result = await gateway.status(payment.gatewayReference);
+      const updated = await applyPaymentStatus(payment, result.status, result);
+      if (updated) {
+        await settlePayment(req, updated, req.user);
+      }
+
+      res.json({
+        success: true,
+        data: updated || await Payment.findById(payment._id).lean()
+      });
+    } catch (error) {
+      if (error.isOperational) {
+        return sendOperationalError(res, error);
+      }
+      console.error('Error refreshing payment status:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to refresh payment status'
+      });
+    }
+  }
+);
+
+// POST /api/orders/:id/payments/:paymentId/refund - Refund all or part of a completed payment
+// Without an amount the whole refundable balance is returned. By default a refund leaves a
+// balance to collect again and reopens a completed order; adjustTotal lowers the bill instead.
+router.post('/:id/payments/:paymentId/refund',
+  auth,
+  requirePermission('payments:refund'),
+  [
+    param('id').isMongoId().withMessage('Invalid order ID'),
+    param('paymentId').isMongoId().withMessage('Invalid payment ID'),
+    body('amount').optional().isFloat({ min: 0.01 }).withMessage('Refund amount must be positive').toFloat(),
+    body('reason').trim().notEmpty().withMessage('A refund reason is required')
+      .isLength({ max: 200 }).withMessage('Refund reason cannot exceed 200 characters'),
+    body('method').optional().isIn(['card', 'upi', 'cash', 'wallet']).withMessage('Invalid refund method'),
+    body('adjustTotal').optional().isBoolean().withMessage('adjustTotal must be true or false').toBoolean(),
+    body('transactionId').optional().trim(),
+    body('drawer').optional().trim().isLength({ min: 1, max: 30 }).withMessage('Drawer must be 1-30 characters')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+
+      const order = await Order.findOne({ _id: req.params.id, outletId: req.user._id });
+      const payment = order && await Payment.findOne({ _id: req.params.paymentId, orderId: order._id });
+
+      if (!payment) {
+        throw new ApiError('Payment not found', 404);
+      }
+      if (payment.status === 'refunded') {
+        throw new ApiError('Payment has already been refunded in full', 409);
+      }
+      if (payment.status !== 'completed') {
+        throw new ApiError(`Only completed payments can be refunded (this one is ${payment.status})`, 409);
+      }
+
+      // Gateway payments go back the way they came; paying such a refund out in cash as
+      // well would return the money twice
+      const refundMethod = req.body.method || payment.method;
+      if (payment.gateway && refundMethod !== payment.method) {
+        throw new ApiError(`This payment was taken through the payment gateway and can only be refunded by ${payment.method}`, 400);
+      }
+
+      // Cash comes out of an open drawer; other refunds are attached to one when it is open
+      const drawer = req.body.drawer || DEFAULT_DRAWER;
+      const shift = refundMethod === 'cash'
+        ? await requireOpenShift(req.user._id, drawer)
+        : await findOpenShift(req.user._id, drawer);
+
+      const amount = getRefundAmount(payment, req.body.amount);
+
+      // Only applies if nobody refunded the payment in the meantime. Payments stored
+      // before refunds existed have no refundedAmount at all, which counts as 0.
+      const refunded = await Payment.findOneAndUpdate(
+        {
+          _id: payment._id,
+          status: 'completed',
+          refundedAmount: payment.refundedAmount ? payment.refundedAmount : { $in: [0, null] }
+        },
+        { $inc: { refundedAmount: amount } },
+        { new: true }
+      );
+      if (!refunded) {
+        throw new ApiError('Payment was refunded by someone else. Reload and try again.', 409);
+      }
+
+      // Gateway payments are refunded at the gateway first; give the amount back if it refuses.
+      // Refunds cover the bill only: a tip on the payment has been earned by staff and stays
+      // captured (and in the tips report), so the gateway never refunds more than payment.amount.
+      let gatewayRefund = {};
+      if (payment.gateway) {
+        try {
+          gatewayRefund = await getGateway(payment.gateway).refund(payment.gatewayReference, amount);
+        } catch (error) {
+          console.error('Error refunding at gateway:', error);
+          gatewayRefund = { status: 'failed', failureReason: error.message };
+        }
+        if (gatewayRefund.status === 'failed') {
+          await Payment.updateOne({ _id: payment._id }, { $inc: { refundedAmount: -amount } });
+          throw new ApiError(`The payment gateway declined the refund: ${gatewayRefund.failureReason || 'unknown error'}`, 502);
+        }
+      }
+
+      if (toCents(refunded.refundedAmount) >= toCents(refunded.amount)) {
+        refunded.status = 'refunded';
+        await refunded.save();
+      }
 
+      const adjustTotal = Boolean(req.body.adjustTotal);
+      const refund = await Refund.create({
+        paymentId: payment._id,
+        orderId: order._id,
+        checkId: payment.checkId,
+        shiftId: shift ? shift._id : undefined,
+        amount,
+        method: refundMethod,
+        originalMethod: payment.method,
+        reason: req.body.reason,
+        adjustedTotal: adjustTotal,
+        transactionId: req.body.transactionId,
+        gatewayReference: gatewayRefund.reference,
+        processedBy: req.user._id,
+        outletId: req.user._id
+      });
+
+      order.refundedAmount = (order.refundedAmount || 0) + amount;
+      if (adjustTotal) {
+        order.refundAdjustment = (order.refundAdjustment || 0) + amount;
+      }
+      let updated = await recalculateOrderTotals(order);
+
+      if (payment.checkId) {
+        const check = await Check.findById(payment.checkId);
+        if (check) {
+          if (adjustTotal) {
+            check.totalAmount = Math.max(0, check.totalAmount - amount);
+          }
+          await syncCheckState(check);
+        }
+      }
+
+      // A completed order that now has a balance due goes back to the cashier
+      if (updated.status === 'completed' && toCents(updated.paidAmount) < toCents(updated.totalAmount)) {
+        updated = await transitionOrder(updated, 'served', req.user, {
+          note: `Reopened by refund of ${amount.toFixed(2)}`,
+          system: true
+        });
+        await refreshTables(req, req.user._id, [updated.tableNumber]);
+      }
+
+      emitToOutlet(req, req.user._id, 'payment:refunded', {
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        paymentId: payment._id,
+        refundId: refund._id,
+        amount,
+        status: updated.status,
+        paymentStatus: updated.paymentStatus
+      });
+
+      res.status(201).json({
+        success: true,
+        data: {
+          refund,
+          payment: refunded,
+          order: {
+            _id: updated._id,
+            status: updated.status,
+            totalAmount: updated.totalAmount,
+            paidAmount: updated.paidAmount,
+            refundedAmount: updated.refundedAmount,
+            paymentStatus: updated.paymentStatus
+          }
+        }
+      });
+    } catch (error) {
+      if (error.isOperational) {
+        return sendOperationalError(res, error);
+      }
+      console.error('Error refunding payment:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to refund payment'
+      });
+    }
+  }
+);
+
+module.exports = router;
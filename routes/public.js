@@ -0,0 +1,116 @@
+const express = require('express');
+const crypto = require('crypto');
+const router = express.Router();
+const { optionalAuth } = require('../middleware/auth');
+const User = require('../models/User');
+const MenuItem = require('../models/MenuItem');
+const Category = require('../models/Category');
+const { isAvailableAt, isSoldOutAt, getEffectivePrice } = require('../utils/menu-availability');
+
+// Guest-facing shape of a menu item; anything not listed here stays internal
+const toPublicItem = (item, now, timeZone) => ({
+  id: item._id.toString(),
+  name: item.name,
+  description: item.description || '',
+  image: item.image || null,
+  price: getEffectivePrice(item, now, timeZone),
+  isSoldOut: isSoldOutAt(item, now),
+  dietaryTags: item.dietaryTags || [],
+  spiceLevel: item.spiceLevel || 0,
+  allergens: (item.allergens || []).map(({ allergen, level }) => ({ allergen, level })),
+  variants: (item.variants || [])
+    .filter(variant => variant.isActive)
+    .map(variant => ({
+      id: variant._id.toString(),
+      name: variant.name,
+      price: getEffectivePrice(item, now, timeZone, variant)
+    })),
+  itemType: item.itemType || 'single',
+  comboSlots: (item.comboSlots || []).map(slot => ({
+    name: slot.name,
+    categoryId: slot.categoryId ? slot.categoryId.toString() : null,
+    minSelection: slot.minSelection,
+    maxSelection: slot.maxSelection,
+    options: (slot.options || []).map(option => ({
+      itemId: option.itemId.toString(),
+      upcharge: option.upcharge
+    }))
+  })),
+  modifierGroups: (item.modifierGroups || []).map(group => ({
+    name: group.name,
+    minSelection: group.minSelection,
+    maxSelection: group.maxSelection,
+    modifiers: (group.modifiers || []).map(mod => ({
+      name: mod.name,
+      price: mod.price,
+      isRequired: mod.isRequired
+    }))
+  }))
+});
+
+// @route   GET /api/public/outlets/:outletRef/menu
+// @desc    Read-only menu for guests scanning a table QR code
+// @access  Public (staff of the outlet may pass ?preview=true to include items outside their hours)
+router.get('/outlets/:outletRef/menu', optionalAuth, async (req, res) => {
+  try {
+    const outlet = await User.findByPublicRef(req.params.outletRef);
+
+    if (!outlet) {
+      return res.status(404).json({
+        success: false,
+        error: 'Outlet not found'
+      });
+    }
+
+    const isOwnOutlet = req.user && req.user._id.equals(outlet._id);
+    const preview = isOwnOutlet && req.query.preview === 'true';
+
+    const [categories, items] = await Promise.all([
+      Category.find({ outletId: outlet._id, isActive: true }).sort({ displayOrder: 1, name: 1 }).lean(),
+      MenuItem.find({ outletId: outlet._id, isActive: true }).sort({ name: 1 }).lean()
+    ]);
+
+    const now = new Date();
+    const visibleItems = items.filter(item => preview || isAvailableAt(item, now, outlet.timezone));
+
+    const menu = {
+      outlet: {
+        slug: outlet.slug,
+        publicId: outlet.publicId,
+        name: outlet.businessName,
+        type: outlet.businessType
+      },
+      categories: categories
+        .map(category => ({
+          id: category._id.toString(),
+          name: category.name,
+          description: category.description || '',
+          items: visibleItems
+            .filter(item => item.categoryId.equals(category._id))
+            .map(item => toPublicItem(item, now, outlet.timezone))
+        }))
+        .filter(category => category.items.length > 0)
+    };
+
+    const body = JSON.stringify({ success: true, data: menu });
+    const etag = `"${crypto.createHash('sha1').update(body).digest('base64')}"`;
+
+    res.set('ETag', etag);
+    res.set('Cache-Control', preview ? 'private, no-cache' : 'public, max-age=60');
+
+    const ifNoneMatch = req.header('If-None-Match');
+    if (ifNoneMatch && ifNoneMatch.split(',').map(tag => tag.trim()).includes(etag)) {
+      return res.status(304).end();
+    }
+
+    res.type('application/json').send(body);
+  } catch (error) {
+    console.error('Error fetching public menu:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch menu'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,237 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const { auth, requirePermission } = require('../middleware/auth');
+const { getOrderNumbering, validateOrderNumberFormat, formatOrderNumber, getLocalDateKey } = require('../utils/sequence-helpers');
+const { DEFAULT_PREFIXES } = require('../utils/invoice-helpers');
+
+// Outlet settings as returned to clients, with defaults filled in
+const toSettings = (outlet) => {
+  const orderNumbering = getOrderNumbering(outlet);
+  const invoicing = outlet.invoicing || {};
+
+  return {
+    timezone: outlet.timezone,
+    slug: outlet.slug,
+    publicId: outlet.publicId,
+    orderNumbering: {
+      ...orderNumbering,
+      example: formatOrderNumber(orderNumbering.format, {
+        prefix: orderNumbering.prefix,
+        date: getLocalDateKey(new Date(), outlet.timezone),
+        seq: 1
+      })
+    },
+    serviceCharges: (outlet.serviceCharges || []).map(({ orderType, type, value, taxable, label }) => ({
+      orderType, type, value, taxable, label
+    })),
+    invoicing: {
+      legalName: invoicing.legalName || outlet.businessName,
+      address: invoicing.address,
+      taxId: invoicing.taxId,
+      email: invoicing.email || outlet.email,
+      footer: invoicing.footer,
+      invoicePrefix: invoicing.invoicePrefix || DEFAULT_PREFIXES.invoice,
+      creditNotePrefix: invoicing.creditNotePrefix || DEFAULT_PREFIXES['credit-note']
+    }
+  };
+};
+
+// GET /api/settings - Get outlet settings
+router.get('/', auth, requirePermission('settings:view'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: toSettings(req.user)
+    });
+  } catch (error) {
+    console.error('Error fetching settings:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch settings'
+    });
+  }
+});
+
+// PUT /api/settings/order-numbering - Configure order number format and reset period
+// Placeholders: {prefix}, {date} (YYYYMMDD, outlet timezone), {seq} or {seq:N}
+router.put('/order-numbering',
+  auth,
+  requirePermission('settings:update'),
+  [
+    body('prefix').optional().trim().matches(/^[A-Za-z0-9]{0,10}$/).withMessage('Prefix may only contain up to 10 letters and numbers'),
+    body('format').optional().trim().isLength({ min: 1, max: 40 }).withMessage('Format must be 1-40 characters'),
+    body('reset').optional().isIn(['daily', 'never']).withMessage('Reset must be daily or never'),
+    body('tokenDigits').optional().isInt({ min: 2, max: 4 }).withMessage('Token digits must be between 2 and 4').toInt()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+
+      const outlet = req.user;
+      const current = getOrderNumbering(outlet);
+      const numbering = { ...current };
+      ['prefix', 'format', 'reset', 'tokenDigits'].forEach((field) => {
+        if (req.body[field] !== undefined) numbering[field] = req.body[field];
+      });
+
+      // Numbers must stay unique per outlet, so a daily reset needs the date in the number
+      const formatError = validateOrderNumberFormat(numbering.format, numbering.reset);
+      if (formatError) {
+        return res.status(400).json({
+          success: false,
+          error: formatError
+        });
+      }
+
+      outlet.orderNumbering = numbering;
+      await outlet.save();
+
+      res.json({
+        success: true,
+        data: toSettings(outlet)
+      });
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+      console.error('Error updating order numbering:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update order numbering'
+      });
+    }
+  }
+);
+
+// PUT /api/settings/service-charges - Replace the outlet's service charge rules
+// One rule per order type, plus optionally one without orderType for every other order type
+router.put('/service-charges',
+  auth,
+  requirePermission('settings:update'),
+  [
+    body('serviceCharges').isArray({ max: 4 }).withMessage('Service charges must be a list of at most 4 rules'),
+    body('serviceCharges.*.orderType').optional({ values: 'null' })
+      .isIn(['dine-in', 'takeaway', 'delivery']).withMessage('Order type must be dine-in, takeaway or delivery'),
+    body('serviceCharges.*.type').isIn(['percentage', 'fixed']).withMessage('Type must be percentage or fixed'),
+    body('serviceCharges.*.value').isFloat({ min: 0 }).withMessage('Value must be a positive number').toFloat(),
+    body('serviceCharges.*.taxable').optional().isBoolean().withMessage('taxable must be true or false').toBoolean(),
+    body('serviceCharges.*.label').optional().trim()
+      .isLength({ min: 1, max: 30 }).withMessage('Label must be 1-30 characters')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+
+      const rules = req.body.serviceCharges.map(rule => ({ ...rule, orderType: rule.orderType || null }));
+
+      const orderTypes = rules.map(rule => rule.orderType);
+      if (new Set(orderTypes).size !== orderTypes.length) {
+        return res.status(400).json({
+          success: false,
+          error: 'Only one service charge rule per order type is allowed'
+        });
+      }
+      if (rules.some(rule => rule.type === 'percentage' && rule.value > 100)) {
+        return res.status(400).json({
+          success: false,
+          error: 'A percentage service charge cannot exceed 100'
+        });
+      }
+
+      const outlet = req.user;
+      outlet.serviceCharges = rules;
+      await outlet.save();
+
+      res.json({
+        success: true,
+        data: toSettings(outlet)
+      });
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+      console.error('Error updating service charges:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update service charges'
+      });
+    }
+  }
+);
+
+// PUT /api/settings/invoicing - Business details printed on invoices and the invoice number prefixes
+// Changing a prefix does not restart the series; numbering carries on from the last document
+router.put('/invoicing',
+  auth,
+  requirePermission('settings:update'),
+  [
+    body('legalName').optional({ values: 'null' }).trim()
+      .isLength({ max: 100 }).withMessage('Legal name cannot exceed 100 characters'),
+    body('address').optional({ values: 'null' }).trim()
+      .isLength({ max: 300 }).withMessage('Address cannot exceed 300 characters'),
+    body('taxId').optional({ values: 'null' }).trim()
+      .isLength({ max: 30 }).withMessage('Tax ID cannot exceed 30 characters'),
+    body('email').optional({ values: 'falsy' }).trim().isEmail().withMessage('Invalid email').normalizeEmail(),
+    body('footer').optional({ values: 'null' }).trim()
+      .isLength({ max: 300 }).withMessage('Footer cannot exceed 300 characters'),
+    body(['invoicePrefix', 'creditNotePrefix']).optional({ values: 'falsy' }).trim()
+      .matches(/^[A-Za-z0-9]{1,10}$/).withMessage('Prefix may only contain up to 10 letters and numbers')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+
+      const outlet = req.user;
+      ['legalName', 'address', 'taxId', 'email', 'footer', 'invoicePrefix', 'creditNotePrefix'].forEach((field) => {
+        if (req.body[field] !== undefined) {
+          outlet.set(`invoicing.${field}`, req.body[field] || undefined);
+        }
+      });
+      await outlet.save();
+
+      res.json({
+        success: true,
+        data: toSettings(outlet)
+      });
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+      console.error('Error updating invoicing settings:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update invoicing settings'
+      });
+    }
+  }
+);
+
+module.exports = router;
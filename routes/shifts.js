@@ -0,0 +1,451 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query, validationResult } = require('express-validator');
+const { auth, requirePermission } = require('../middleware/auth');
+const Shift = require('../models/Shift');
+const { ApiError } = require('../utils/errorHandler');
+const { emitToOutlet } = require('../utils/socket-helpers');
+const { nextSequence } = require('../utils/sequence-helpers');
+const { DEFAULT_DRAWER, findOpenShift, getShiftTotals, buildShiftReport } = require('../utils/shift-helpers');
+const { renderShiftReportText, renderShiftReportEscPos, renderShiftReportHtml } = require('../utils/shift-report-render');
+const { DEFAULT_WIDTH } = require('../utils/print-layout');
+
+const REPORT_FORMATS = ['json', 'text', 'escpos', 'html'];
+
+const reportFormatValidators = [
+  query('format').optional().isIn(REPORT_FORMATS).withMessage(`Format must be one of: ${REPORT_FORMATS.join(', ')}`),
+  query('width').optional().isInt({ min: 24, max: 64 }).withMessage('Width must be between 24 and 64 characters').toInt()
+];
+
+// Load a shift of the current outlet or throw a 404
+const findShift = async (outletId, shiftId) => {
+  const shift = await Shift.findOne({ _id: shiftId, outletId });
+  if (!shift) {
+    throw new ApiError('Shift not found', 404);
+  }
+  return shift;
+};
+
+// Send a report in the format the printer asked for (?format=json|text|escpos|html)
+const sendReport = (req, res, report) => {
+  const options = { width: req.query.width || DEFAULT_WIDTH, timeZone: req.user.timezone, businessName: req.user.businessName };
+
+  switch (req.query.format) {
+    case 'text':
+      return res.type('text/plain').send(renderShiftReportText(report, options));
+    case 'escpos':
+      res.set('Content-Disposition', `attachment; filename="${report.type.toLowerCase()}-report-${report.shiftNumber}.bin"`);
+      return res.type('application/octet-stream').send(renderShiftReportEscPos(report, options));
+    case 'html':
+      return res.type('text/html').send(renderShiftReportHtml(report, options));
+    default:
+      return res.json({
+        success: true,
+        data: report
+      });
+  }
+};
+
+const sendOperationalError = (res, error) => {
+  return res.status(error.statusCode).json({
+    success: false,
+    error: error.message
+  });
+};
+
+// GET /api/shifts - Shifts of the outlet, newest first
+router.get('/',
+  auth,
+  requirePermission('payments:view'),
+  [
+    query('status').optional().isIn(['open', 'closed']).withMessage('Status must be open or closed'),
+    query('drawer').optional().trim(),
+    query('page').optional().isInt({ min: 1 }).toInt(),
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+
+      const { status, drawer, page = 1, limit = 20 } = req.query;
+      const filter = { outletId: req.user._id };
+      if (status) filter.status = status;
+      if (drawer) filter.drawer = drawer.toLowerCase();
+
+      const [shifts, total] = await Promise.all([
+        Shift.find(filter)
+          .select('-zReport')
+          .populate('openedBy', 'firstName lastName')
+          .populate('closedBy', 'firstName lastName')
+          .sort({ openedAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .lean(),
+        Shift.countDocuments(filter)
+      ]);
+
+      res.json({
+        success: true,
+        data: shifts,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching shifts:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch shifts'
+      });
+    }
+  }
+);
+
+// GET /api/shifts/current - Open shift of a drawer (?drawer=, default "main") with its running totals
+router.get('/current',
+  auth,
+  requirePermission('payments:view'),
+  [query('drawer').optional().trim().isLength({ min: 1, max: 30 }).withMessage('Drawer must be 1-30 characters')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+
+      const shift = await findOpenShift(req.user._id, req.query.drawer || DEFAULT_DRAWER);
+
+      res.json({
+        success: true,
+        data: shift ? { ...shift.toObject(), totals: await getShiftTotals(shift) } : null
+      });
+    } catch (error) {
+      console.error('Error fetching current shift:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch current shift'
+      });
+    }
+  }
+);
+
+// POST /api/shifts/open - Open a shift on a drawer with its float
+router.post('/open',
+  auth,
+  requirePermission('payments:process'),
+  [
+    body('drawer').optional().trim().isLength({ min: 1, max: 30 }).withMessage('Drawer must be 1-30 characters'),
+    body('openingFloat').isFloat({ min: 0 }).withMessage('Opening float must be a positive number').toFloat()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+
+      const drawer = (req.body.drawer || DEFAULT_DRAWER).toLowerCase();
+      if (await findOpenShift(req.user._id, drawer)) {
+        throw new ApiError(`A shift is already open on drawer "${drawer}"`, 409);
+      }
+
+      let shift;
+      try {
+        shift = await Shift.create({
+          shiftNumber: await nextSequence(req.user._id, 'shift'),
+          drawer,
+          openingFloat: req.body.openingFloat,
+          openedBy: req.user._id,
+          outletId: req.user._id
+        });
+      } catch (error) {
+        // Another terminal opened the drawer at the same moment
+        if (error.code === 11000) {
+          throw new ApiError(`A shift is already open on drawer "${drawer}"`, 409);
+        }
+        throw error;
+      }
+
+      emitToOutlet(req, req.user._id, 'shift:opened', {
+        shiftId: shift._id,
+        shiftNumber: shift.shiftNumber,
+        drawer: shift.drawer
+      });
+
+      res.status(201).json({
+        success: true,
+        data: shift
+      });
+    } catch (error) {
+      if (error.isOperational) {
+        return sendOperationalError(res, error);
+      }
+      console.error('Error opening shift:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to open shift'
+      });
+    }
+  }
+);
+
+// GET /api/shifts/:id - Get shift by ID
+router.get('/:id',
+  auth,
+  requirePermission('payments:view'),
+  [param('id').isMongoId().withMessage('Invalid shift ID')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+
+      const shift = await findShift(req.user._id, req.params.id);
+      await shift.populate([
+        { path: 'openedBy', select: 'firstName lastName' },
+        { path: 'closedBy', select: 'firstName lastName' },
+        { path: 'movements.recordedBy', select: 'firstName lastName' }
+      ]);
+
+      res.json({
+        success: true,
+        data: { ...shift.toObject(), totals: await getShiftTotals(shift) }
+      });
+    } catch (error) {
+      if (error.isOperational) {
+        return sendOperationalError(res, error);
+      }
+      console.error('Error fetching shift:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch shift'
+      });
+    }
+  }
+);
+
+// POST /api/shifts/:id/movements - Record cash put into or taken out of the drawer
+router.post('/:id/movements',
+  auth,
+  requirePermission('payments:process'),
+  [
+    param('id').isMongoId().withMessage('Invalid shift ID'),
+    body('type').isIn(['cash-in', 'cash-out']).withMessage('Type must be cash-in or cash-out'),
+    body('amount').isFloat({ min: 0.01 }).withMessage('Amount must be positive').toFloat(),
+    body('reason').trim().notEmpty().withMessage('A reason is required')
+      .isLength({ max: 200 }).withMessage('Reason cannot exceed 200 characters')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+
+      const { type, amount, reason } = req.body;
+      const shift = await findShift(req.user._id, req.params.id);
+
+      if (shift.status !== 'open') {
+        throw new ApiError('Cash can only be moved on an open shift', 409);
+      }
+      if (type === 'cash-out') {
+        const { expectedCash } = await getShiftTotals(shift);
+        if (amount > expectedCash) {
+          throw new ApiError(`The drawer should only hold ${expectedCash.toFixed(2)}`, 409);
+        }
+      }
+
+      const updated = await Shift.findOneAndUpdate(
+        { _id: shift._id, status: 'open' },
+        { $push: { movements: { type, amount, reason, recordedBy: req.user._id } } },
+        { new: true }
+      );
+      if (!updated) {
+        throw new ApiError('Shift was closed in the meantime', 409);
+      }
+
+      res.status(201).json({
+        success: true,
+        data: { ...updated.toObject(), totals: await getShiftTotals(updated) }
+      });
+    } catch (error) {
+      if (error.isOperational) {
+        return sendOperationalError(res, error);
+      }
+      console.error('Error recording cash movement:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to record cash movement'
+      });
+    }
+  }
+);
+
+// GET /api/shifts/:id/report/x - Mid-shift reading; does not close the shift
+router.get('/:id/report/x',
+  auth,
+  requirePermission('payments:view'),
+  [
+    param('id').isMongoId().withMessage('Invalid shift ID'),
+    ...reportFormatValidators
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+
+      const shift = await findShift(req.user._id, req.params.id);
+      if (shift.status !== 'open') {
+        throw new ApiError('The shift is closed; use its Z report', 409);
+      }
+
+      sendReport(req, res, await buildShiftReport(shift, 'X'));
+    } catch (error) {
+      if (error.isOperational) {
+        return sendOperationalError(res, error);
+      }
+      console.error('Error building X report:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to build X report'
+      });
+    }
+  }
+);
+
+// POST /api/shifts/:id/close - Count the drawer, close the shift and produce its Z report
+router.post('/:id/close',
+  auth,
+  requirePermission('payments:process'),
+  [
+    param('id').isMongoId().withMessage('Invalid shift ID'),
+    body('countedCash').isFloat({ min: 0 }).withMessage('Counted cash must be a positive number').toFloat(),
+    body('note').optional().trim().isLength({ max: 500 }).withMessage('Note cannot exceed 500 characters'),
+    ...reportFormatValidators
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+
+      const shift = await findShift(req.user._id, req.params.id);
+      if (shift.status !== 'open') {
+        throw new ApiError('Shift is already closed', 409);
+      }
+
+      const closing = {
+        countedCash: req.body.countedCash,
+        closingNote: req.body.note,
+        closedBy: req.user._id,
+        closedAt: new Date()
+      };
+      const report = await buildShiftReport({ ...shift.toObject(), ...closing }, 'Z');
+
+      // Only the first close wins if two terminals close the drawer together
+      const closed = await Shift.findOneAndUpdate(
+        { _id: shift._id, status: 'open' },
+        {
+          ...closing,
+          status: 'closed',
+          expectedCash: report.expectedCash,
+          variance: report.variance,
+          zReport: report
+        },
+        { new: true }
+      );
+      if (!closed) {
+        throw new ApiError('Shift is already closed', 409);
+      }
+
+      emitToOutlet(req, req.user._id, 'shift:closed', {
+        shiftId: closed._id,
+        shiftNumber: closed.shiftNumber,
+        drawer: closed.drawer,
+        variance: closed.variance
+      });
+
+      res.status(201);
+      sendReport(req, res, report);
+    } catch (error) {
+      if (error.isOperational) {
+        return sendOperationalError(res, error);
+      }
+      console.error('Error closing shift:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to close shift'
+      });
+    }
+  }
+);
+
+// GET /api/shifts/:id/report/z - Z report of a closed shift, as it was at close
+router.get('/:id/report/z',
+  auth,
+  requirePermission('payments:view'),
+  [
+    param('id').isMongoId().withMessage('Invalid shift ID'),
+    ...reportFormatValidators
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+
+      const shift = await findShift(req.user._id, req.params.id);
+      if (shift.status !== 'closed' || !shift.zReport) {
+        throw new ApiError('The shift is still open; use its X report', 409);
+      }
+
+      sendReport(req, res, shift.zReport);
+    } catch (error) {
+      if (error.isOperational) {
+        return sendOperationalError(res, error);
+      }
+      console.error('Error fetching Z report:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch Z report'
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,505 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query, validationResult } = require('express-validator');
+const { auth, requirePermission } = require('../middleware/auth');
+const Table = require('../models/Table');
+const Order = require('../models/Order');
+const OrderItem = require('../models/OrderItem');
+const { ApiError } = require('../utils/errorHandler');
+const { emitToOutlet } = require('../utils/socket-helpers');
+const { tablePayload, getOpenOrdersByTable, refreshTables } = require('../utils/table-helpers');
+const { getPaidAmount, recalculateOrderTotals, transitionOrder } = require('../utils/order-helpers');
+const { MANUAL_TABLE_STATUSES } = require('../config/tables');
+const { OPEN_ORDER_STATUSES } = require('../config/order-status');
+
+// Fields a client may set on a table; status and merges are managed by the endpoints below
+const TABLE_FIELDS = ['number', 'area', 'section', 'capacity', 'position', 'isActive'];
+
+const pickFields = (source, fields) => {
+  return fields.reduce((picked, field) => {
+    if (source[field] !== undefined) picked[field] = source[field];
+    return picked;
+  }, {});
+};
+
+const tableValidators = (required) => {
+  const optionalUnlessRequired = chain => (required ? chain : chain.optional());
+  return [
+    optionalUnlessRequired(body('number')).trim().notEmpty().withMessage('Table number is required')
+      .isLength({ max: 20 }).withMessage('Table number cannot exceed 20 characters'),
+    optionalUnlessRequired(body('capacity')).isInt({ min: 1 }).withMessage('Capacity must be at least 1').toInt(),
+    body('area').optional().trim().isLength({ min: 1, max: 50 }).withMessage('Area must be 1-50 characters'),
+    body('section').optional().trim().isLength({ max: 50 }).withMessage('Section cannot exceed 50 characters'),
+    body('position.x').optional().isFloat().withMessage('Position x must be a number').toFloat(),
+    body('position.y').optional().isFloat().withMessage('Position y must be a number').toFloat(),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean').toBoolean()
+  ];
+};
+
+// Load an active table of the current outlet or throw a 404
+const findTable = async (outletId, tableId) => {
+  const table = await Table.findOne({ _id: tableId, outletId, isActive: true });
+  if (!table) {
+    throw new ApiError('Table not found', 404);
+  }
+  return table;
+};
+
+// GET /api/tables - Floor plan with each table's open orders
+router.get('/',
+  auth,
+  requirePermission('orders:view'),
+  [
+    query('area').optional().trim(),
+    query('includeInactive').optional().isBoolean().toBoolean()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+
+      const filter = { outletId: req.user._id };
+      if (!req.query.includeInactive) filter.isActive = true;
+      if (req.query.area) filter.area = req.query.area;
+
+      const tables = await Table.find(filter).sort({ area: 1, number: 1 }).lean();
+      const openOrders = await getOpenOrdersByTable(req.user._id, tables.map(table => table.number));
+
+      res.json({
+        success: true,
+        data: tables.map((table) => {
+          const orders = openOrders.get(table.number) || [];
+          return {
+            ...table,
+            occupancy: {
+              orderCount: orders.length,
+              since: orders.length > 0 ? orders[0].createdAt : null,
+              totalAmount: orders.reduce((sum, order) => sum + order.totalAmount, 0),
+              orders
+            }
+          };
+        })
+      });
+    } catch (error) {
+      if (error.isOperational) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: error.message
+        });
+      }
+      console.error('Error fetching tables:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch tables'
+      });
+    }
+  }
+);
+
+// POST /api/tables - Add a table to the floor plan
+router.post('/',
+  auth,
+  requirePermission('settings:update'),
+  tableValidators(true),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+
+      const table = await Table.create({
+        ...pickFields(req.body, TABLE_FIELDS),
+        outletId: req.user._id
+      });
+
+      emitToOutlet(req, req.user._id, 'table:updated', tablePayload(table));
+
+      res.status(201).json({
+        success: true,
+        data: table
+      });
+    } catch (error) {
+      if (error.isOperational) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: error.message
+        });
+      }
+      if (error.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          error: 'A table with this number already exists'
+        });
+      }
+      console.error('Error creating table:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to create table'
+      });
+    }
+  }
+);
+
+// PUT /api/tables/:id - Update a table (renumbering is blocked while it has open orders)
+router.put('/:id',
+  auth,
+  requirePermission('settings:update'),
+  [
+    param('id').isMongoId().withMessage('Invalid table ID'),
+    ...tableValidators(false)
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+
+      const table = await Table.findOne({ _id: req.params.id, outletId: req.user._id });
+      if (!table) {
+        throw new ApiError('Table not found', 404);
+      }
+
+      const fields = pickFields(req.body, TABLE_FIELDS);
+      const renumbered = fields.number !== undefined && fields.number !== table.number;
+      const deactivated = fields.isActive === false && table.isActive;
+      if ((renumbered || deactivated) && table.status === 'occupied') {
+        throw new ApiError(`Table ${table.number} has open orders`, 409);
+      }
+
+      table.set(fields);
+      await table.save();
+
+      emitToOutlet(req, req.user._id, 'table:updated', tablePayload(table));
+
+      res.json({
+        success: true,
+        data: table
+      });
+    } catch (error) {
+      if (error.isOperational) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: error.message
+        });
+      }
+      if (error.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          error: 'A table with this number already exists'
+        });
+      }
+      console.error('Error updating table:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update table'
+      });
+    }
+  }
+);
+
+// DELETE /api/tables/:id - Remove a table from the floor plan (soft delete)
+router.delete('/:id',
+  auth,
+  requirePermission('settings:update'),
+  [param('id').isMongoId().withMessage('Invalid table ID')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+
+      const table = await findTable(req.user._id, req.params.id);
+      if (table.status === 'occupied') {
+        throw new ApiError(`Table ${table.number} has open orders`, 409);
+      }
+
+      table.isActive = false;
+      await table.save();
+
+      emitToOutlet(req, req.user._id, 'table:updated', tablePayload(table));
+
+      res.json({
+        success: true,
+        message: 'Table removed'
+      });
+    } catch (error) {
+      if (error.isOperational) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: error.message
+        });
+      }
+      console.error('Error deleting table:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to delete table'
+      });
+    }
+  }
+);
+
+// PATCH /api/tables/:id/status - Mark a table available, reserved, cleaning or out of service
+// Occupancy itself follows the table's open orders
+router.patch('/:id/status',
+  auth,
+  requirePermission('orders:update'),
+  [
+    param('id').isMongoId().withMessage('Invalid table ID'),
+    body('status').isIn(MANUAL_TABLE_STATUSES).withMessage(`Status must be one of: ${MANUAL_TABLE_STATUSES.join(', ')}`)
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+
+      const table = await findTable(req.user._id, req.params.id);
+      if (table.status === 'occupied') {
+        throw new ApiError(`Table ${table.number} has open orders`, 409);
+      }
+
+      table.status = req.body.status;
+      await table.save();
+
+      emitToOutlet(req, req.user._id, 'table:updated', tablePayload(table));
+
+      res.json({
+        success: true,
+        data: table
+      });
+    } catch (error) {
+      if (error.isOperational) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: error.message
+        });
+      }
+      console.error('Error updating table status:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update table status'
+      });
+    }
+  }
+);
+
+// POST /api/tables/:id/transfer - Move a party's open orders to another (free) table
+// Pass orderIds to move only some of the table's orders
+router.post('/:id/transfer',
+  auth,
+  requirePermission('orders:update'),
+  [
+    param('id').isMongoId().withMessage('Invalid table ID'),
+    body('toTableId').isMongoId().withMessage('Target table is required'),
+    body('orderIds').optional().isArray({ min: 1 }).withMessage('Order IDs must be a non-empty array'),
+    body('orderIds.*').optional().isMongoId().withMessage('Invalid order ID')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+
+      const from = await findTable(req.user._id, req.params.id);
+      const to = await findTable(req.user._id, req.body.toTableId);
+
+      if (from._id.equals(to._id)) {
+        throw new ApiError('Choose a different table', 400);
+      }
+      if (to.status === 'out-of-service') {
+        throw new ApiError(`Table ${to.number} is out of service`, 409);
+      }
+      if (to.status === 'occupied' || to.mergedInto) {
+        throw new ApiError(`Table ${to.number} is occupied; merge the tables instead`, 409);
+      }
+
+      const filter = { outletId: req.user._id, tableNumber: from.number, status: { $in: OPEN_ORDER_STATUSES } };
+      if (req.body.orderIds) filter._id = { $in: req.body.orderIds };
+
+      const orders = await Order.find(filter).select('_id orderNumber').lean();
+      if (orders.length === 0) {
+        throw new ApiError(`Table ${from.number} has no open orders to move`, 409);
+      }
+
+      await Order.updateMany(
+        { _id: { $in: orders.map(order => order._id) } },
+        { tableNumber: to.number, tableId: to._id }
+      );
+
+      await refreshTables(req, req.user._id, [from.number, to.number]);
+      emitToOutlet(req, req.user._id, 'table:transferred', {
+        fromTableId: from._id,
+        toTableId: to._id,
+        orderIds: orders.map(order => order._id)
+      });
+
+      res.json({
+        success: true,
+        data: {
+          from: tablePayload(await Table.findById(from._id)),
+          to: tablePayload(await Table.findById(to._id)),
+          orders: orders.map(order => ({ _id: order._id, orderNumber: order.orderNumber, tableNumber: to.number }))
+        }
+      });
+    } catch (error) {
+      if (error.isOperational) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: error.message
+        });
+      }
+      console.error('Error transferring table:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to transfer table'
+      });
+    }
+  }
+);
+
+// POST /api/tables/merge - Join tables into one bill
+// Every open order on the tables is folded into one order on the target table (its
+// oldest open order); the other orders close with status 'merged'. Orders with payments cannot be
+// merged. Discount and tax settings of the surviving order apply to the combined bill.
+router.post('/merge',
+  auth,
+  requirePermission('orders:update'),
+  [
+    body('targetTableId').isMongoId().withMessage('Target table is required'),
+    body('tableIds').isArray({ min: 1 }).withMessage('At least one table to merge is required'),
+    body('tableIds.*').isMongoId().withMessage('Invalid table ID')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+
+      const target = await findTable(req.user._id, req.body.targetTableId);
+      const sourceIds = [...new Set(req.body.tableIds)].filter(id => !target._id.equals(id));
+      const sources = await Table.find({ _id: { $in: sourceIds }, outletId: req.user._id, isActive: true });
+
+      if (sources.length === 0 || sources.length !== sourceIds.length) {
+        throw new ApiError('One or more tables not found', 404);
+      }
+      const unavailable = [target, ...sources].filter(table => table.status === 'out-of-service');
+      if (unavailable.length > 0) {
+        throw new ApiError(`Out of service: ${unavailable.map(table => table.number).join(', ')}`, 409);
+      }
+
+      const orders = await Order.find({
+        outletId: req.user._id,
+        tableNumber: { $in: [target.number, ...sources.map(table => table.number)] },
+        status: { $in: OPEN_ORDER_STATUSES }
+      }).sort({ createdAt: 1 });
+
+      if (orders.length === 0) {
+        throw new ApiError('The tables have no open orders to merge', 409);
+      }
+
+      const billOrder = orders.find(order => order.tableNumber === target.number) || orders[0];
+      const mergedOrders = orders.filter(order => !order._id.equals(billOrder._id));
+
+      const split = orders.find(order => order.splitType);
+      if (split) {
+        throw new ApiError(`Order ${split.orderNumber} has a split bill; remove the split before merging`, 409);
+      }
+
+      for (const order of mergedOrders) {
+        if (await getPaidAmount(order._id) > 0) {
+          throw new ApiError(`Order ${order.orderNumber} has payments and cannot be merged`, 409);
+        }
+      }
+
+      // Close the merged orders before touching their items, so an order someone changed
+      // in the meantime stops the merge while every line is still on its own bill
+      const closedOrders = [];
+      try {
+        for (const order of mergedOrders) {
+          const closed = await transitionOrder(order, 'merged', req.user, {
+            note: `Merged into ${billOrder.orderNumber}`,
+            system: true
+          });
+          closedOrders.push({ closed, from: order.status });
+        }
+      } catch (error) {
+        await Promise.all(closedOrders.map(({ closed, from }) => Order.updateOne(
+          { _id: closed._id, status: 'merged' },
+          { status: from, $pop: { statusHistory: 1 } }
+        ))).catch(reopenError => console.error('Error reopening merged orders:', reopenError));
+        throw error;
+      }
+
+      for (const { closed } of closedOrders) {
+        await OrderItem.updateMany({ orderId: closed._id }, { orderId: billOrder._id });
+        closed.mergedInto = billOrder._id;
+        await recalculateOrderTotals(closed);
+      }
+
+      billOrder.set({ tableNumber: target.number, tableId: target._id });
+      await recalculateOrderTotals(billOrder);
+
+      await Table.updateMany({ _id: { $in: sources.map(table => table._id) } }, { mergedInto: target._id });
+      await refreshTables(req, req.user._id, [target.number, ...sources.map(table => table.number)]);
+
+      emitToOutlet(req, req.user._id, 'table:merged', {
+        targetTableId: target._id,
+        tableIds: sources.map(table => table._id),
+        orderId: billOrder._id,
+        mergedOrderIds: mergedOrders.map(order => order._id)
+      });
+
+      res.json({
+        success: true,
+        data: {
+          table: tablePayload(await Table.findById(target._id)),
+          order: await Order.findById(billOrder._id).lean(),
+          mergedOrders: mergedOrders.map(order => ({ _id: order._id, orderNumber: order.orderNumber }))
+        }
+      });
+    } catch (error) {
+      if (error.isOperational) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: error.message
+        });
+      }
+      console.error('Error merging tables:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to merge tables'
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,77 @@
+const express = require('express');
+const router = express.Router();
+const Payment = require('../models/Payment');
+const WebhookEvent = require('../models/WebhookEvent');
+const { getGateway, hasGateway } = require('../utils/payment-gateway');
+const { applyPaymentStatus, settlePayment } = require('../utils/payment-helpers');
+
+// @route   POST /api/webhooks/payments/:gateway
+// @desc    Payment status callbacks from a gateway. The signature is checked against the
+//          raw body; events already processed are acknowledged without being applied again.
+// @access  Public (signed by the gateway)
+router.post('/payments/:gateway', async (req, res) => {
+  try {
+    if (!hasGateway(req.params.gateway)) {
+      return res.status(404).json({
+        success: false,
+        error: `Unknown payment gateway "${req.params.gateway}"`
+      });
+    }
+
+    const gateway = getGateway(req.params.gateway);
+    const event = gateway.parseWebhook(req.rawBody, req.headers);
+
+    if (!event.eventId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Webhook event has no ID'
+      });
+    }
+
+    let record;
+    try {
+      record = await WebhookEvent.create({ gateway: gateway.name, eventId: event.eventId, type: event.type });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      return res.json({ success: true, duplicate: true });
+    }
+
+    try {
+      const payment = event.reference
+        ? await Payment.findOne({ gateway: gateway.name, gatewayReference: event.reference })
+        : null;
+
+      if (payment && event.status) {
+        const updated = await applyPaymentStatus(payment, event.status, event);
+        if (updated) {
+          // Nobody is signed in for a webhook; the cashier who took the payment completes the order
+          await settlePayment(req, updated, { _id: updated.processedBy });
+        }
+      }
+
+      record.paymentId = payment ? payment._id : undefined;
+      record.processedAt = new Date();
+      await record.save();
+    } catch (error) {
+      // Let the gateway's retry apply the event
+      await WebhookEvent.deleteOne({ _id: record._id });
+      throw error;
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+    console.error('Error handling payment webhook:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to handle webhook'
+    });
+  }
+});
+
+module.exports = router;
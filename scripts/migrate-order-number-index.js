@@ -0,0 +1,104 @@
+/**
+ * Migration Script: Scope Order Numbers per Outlet
+ *
+ * Order numbers used to be unique across all outlets, so two outlets taking
+ * their first order of the day would collide. This script drops the old global
+ * `orderNumber_1` index and builds the per-outlet `{ outletId, orderNumber }`
+ * index from the schema.
+ *
+ * Orders numbered before the per-outlet counters existed can hold numbers in
+ * the current format for today (or tomorrow, as the old numbers used UTC
+ * dates). Each outlet's order counter for those periods is moved past them so
+ * new orders do not collide with existing ones.
+ *
+ * Usage: node scripts/migrate-order-number-index.js
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Counter = require('../models/Counter');
+const User = require('../models/User');
+const { getOrderNumbering, formatOrderNumber, getLocalDateKey } = require('../utils/sequence-helpers');
+
+const escapeRegex = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Pattern matching the numbers a format produces for a date, capturing the sequence
+const orderNumberPattern = (format, prefix, date) => {
+  const [before, after = ''] = format.split(/\{seq(?::\d+)?\}/);
+  const literal = text => escapeRegex(formatOrderNumber(text, { prefix, date, seq: 0 }));
+  return new RegExp(`^${literal(before)}(\\d+)${literal(after)}$`);
+};
+
+// Move an outlet's order counters past the numbers its existing orders already use
+const seedOrderCounters = async (outlet) => {
+  const numbering = getOrderNumbering(outlet);
+  const now = new Date();
+  const dateKeys = numbering.reset === 'daily'
+    ? [getLocalDateKey(now, outlet.timezone), getLocalDateKey(new Date(now.getTime() + 24 * 60 * 60 * 1000), outlet.timezone)]
+    : [getLocalDateKey(now, outlet.timezone)];
+
+  for (const dateKey of [...new Set(dateKeys)]) {
+    const pattern = orderNumberPattern(numbering.format, numbering.prefix, dateKey);
+    const orders = await Order.find({ outletId: outlet._id, orderNumber: pattern }).select('orderNumber').lean();
+    const highest = orders.reduce((max, order) => Math.max(max, parseInt(pattern.exec(order.orderNumber)[1], 10)), 0);
+    if (highest === 0) continue;
+
+    const period = numbering.reset === 'daily' ? dateKey : 'all';
+    await Counter.updateOne(
+      { outletId: outlet._id, name: 'order', period },
+      { $max: { seq: highest } },
+      { upsert: true }
+    );
+    console.log(`   ${outlet.businessName || outlet._id}: order counter for ${period} starts after ${highest}`);
+  }
+};
+
+const migrateOrderNumberIndex = async () => {
+  try {
+    // Connect to database
+    await mongoose.connect(
+      process.env.MONGODB_URI || 'mongodb://localhost:27017/restrosphere',
+      {
+        useNewUrlParser: true,
+        useUnifiedTopology: true,
+      }
+    );
+
+    console.log('✅ Connected to MongoDB');
+
+    const indexes = await Order.collection.indexes();
+    const legacyIndex = indexes.find(index => index.name === 'orderNumber_1');
+
+    if (legacyIndex) {
+      await Order.collection.dropIndex('orderNumber_1');
+      console.log('✅ Dropped global orderNumber_1 index');
+    } else {
+      console.log('✅ No global orderNumber_1 index found');
+    }
+
+    // Build the indexes declared on the schemas, including { outletId, orderNumber }
+    await Order.syncIndexes();
+    await Counter.syncIndexes();
+
+    const outletIds = await Order.distinct('outletId');
+    const outlets = await User.find({ _id: { $in: outletIds } }).select('businessName timezone orderNumbering').lean();
+    for (const outlet of outlets) {
+      await seedOrderCounters(outlet);
+    }
+    console.log(`✅ Seeded order counters for ${outlets.length} outlets`);
+    console.log('\n✅ Migration complete! Order numbers are now unique per outlet');
+
+    // Close connection
+    await mongoose.connection.close();
+    process.exit(0);
+
+  } catch (error) {
+    console.error('❌ Migration error:', error);
+    await mongoose.connection.close();
+    process.exit(1);
+  }
+};
+
+// Run migration
+migrateOrderNumberIndex();
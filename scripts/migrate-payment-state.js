@@ -0,0 +1,61 @@
+/**
+ * Migration Script: Store Payment State on Orders
+ *
+ * Orders now carry paidAmount and paymentStatus, kept up to date as payments
+ * and refunds are taken. Orders created before that have neither, so they
+ * would not show up when filtering by payment status or be invoiced. This
+ * script computes both from each order's payments.
+ *
+ * Usage: node scripts/migrate-payment-state.js
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const { syncPaymentState } = require('../utils/order-helpers');
+
+const migratePaymentState = async () => {
+  try {
+    // Connect to database
+    await mongoose.connect(
+      process.env.MONGODB_URI || 'mongodb://localhost:27017/restrosphere',
+      {
+        useNewUrlParser: true,
+        useUnifiedTopology: true,
+      }
+    );
+
+    console.log('✅ Connected to MongoDB');
+
+    const cursor = Order.find({
+      $or: [
+        { paymentStatus: { $exists: false } },
+        { paymentStatus: null },
+        { paidAmount: { $exists: false } }
+      ]
+    }).select('_id totalAmount refundedAmount').lean().cursor();
+
+    const counts = {};
+    let updated = 0;
+    for await (const order of cursor) {
+      const { paymentStatus } = await syncPaymentState(order);
+      counts[paymentStatus] = (counts[paymentStatus] || 0) + 1;
+      updated++;
+    }
+
+    Object.entries(counts).forEach(([status, count]) => console.log(`   ${status}: ${count}`));
+    console.log(`\n✅ Migration complete! Payment state stored on ${updated} orders`);
+
+    // Close connection
+    await mongoose.connection.close();
+    process.exit(0);
+
+  } catch (error) {
+    console.error('❌ Migration error:', error);
+    await mongoose.connection.close();
+    process.exit(1);
+  }
+};
+
+// Run migration
+migratePaymentState();
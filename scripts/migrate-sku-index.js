@@ -0,0 +1,54 @@
+/**
+ * Migration Script: Scope Menu Item SKUs per Outlet
+ *
+ * Menu item SKUs used to be unique across all outlets, which prevents copying
+ * a menu from one outlet to another. This script drops the old global `sku_1`
+ * index and builds the per-outlet `{ outletId, sku }` index from the schema.
+ *
+ * Usage: node scripts/migrate-sku-index.js
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const MenuItem = require('../models/MenuItem');
+
+const migrateSkuIndex = async () => {
+  try {
+    // Connect to database
+    await mongoose.connect(
+      process.env.MONGODB_URI || 'mongodb://localhost:27017/restrosphere',
+      {
+        useNewUrlParser: true,
+        useUnifiedTopology: true,
+      }
+    );
+
+    console.log('✅ Connected to MongoDB');
+
+    const indexes = await MenuItem.collection.indexes();
+    const legacyIndex = indexes.find(index => index.name === 'sku_1');
+
+    if (legacyIndex) {
+      await MenuItem.collection.dropIndex('sku_1');
+      console.log('✅ Dropped global sku_1 index');
+    } else {
+      console.log('✅ No global sku_1 index found');
+    }
+
+    // Build the indexes declared on the schema, including { outletId, sku }
+    await MenuItem.syncIndexes();
+    console.log('\n✅ Migration complete! SKUs are now unique per outlet');
+
+    // Close connection
+    await mongoose.connection.close();
+    process.exit(0);
+
+  } catch (error) {
+    console.error('❌ Migration error:', error);
+    await mongoose.connection.close();
+    process.exit(1);
+  }
+};
+
+// Run migration
+migrateSkuIndex();
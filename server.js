@@ -8,9 +8,16 @@ const { Server } = require('socket.io');
 require('dotenv').config();
 
 const connectDB = require('./config/database');
+const { applyDueScheduledPrices } = require('./utils/menu-history');
 const authRoutes = require('./routes/auth');
 const menuRoutes = require('./routes/menu');
 const orderRoutes = require('./routes/orders');
+const publicRoutes = require('./routes/public');
+const settingsRoutes = require('./routes/settings');
+const tableRoutes = require('./routes/tables');
+const webhookRoutes = require('./routes/webhooks');
+const shiftRoutes = require('./routes/shifts');
+const invoiceRoutes = require('./routes/invoices');
 
 const app = express();
 const server = http.createServer(app);
@@ -51,8 +58,8 @@ const corsOptions = {
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
-  exposedHeaders: ['Content-Range', 'X-Content-Range'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Idempotency-Key'],
+  exposedHeaders: ['Content-Range', 'X-Content-Range', 'Idempotent-Replayed'],
   optionsSuccessStatus: 200
 };
 app.use(cors(corsOptions));
@@ -73,8 +80,13 @@ const limiter = rateLimit({
 });
 app.use('/api/', limiter);
 
-// Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+// Body parsing middleware; gateway webhooks keep the raw body for signature checks
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/webhooks/')) req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Logging middleware
@@ -95,6 +107,12 @@ app.get('/health', (req, res) => {
 app.use('/api/auth', authRoutes);
 app.use('/api/menu', menuRoutes);
 app.use('/api/orders', orderRoutes);
+app.use('/api/public', publicRoutes);
+app.use('/api/settings', settingsRoutes);
+app.use('/api/tables', tableRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/shifts', shiftRoutes);
+app.use('/api/invoices', invoiceRoutes);
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -130,11 +148,41 @@ io.on('connection', (socket) => {
     console.log(`Socket ${socket.id} left kitchen room for outlet ${outletId}`);
   });
 
+  // Join outlet room (POS terminals) for menu and table updates
+  socket.on('join-outlet', (outletId) => {
+    socket.join(`outlet-${outletId}`);
+    console.log(`Socket ${socket.id} joined outlet room for outlet ${outletId}`);
+  });
+
+  // Leave outlet room
+  socket.on('leave-outlet', (outletId) => {
+    socket.leave(`outlet-${outletId}`);
+    console.log(`Socket ${socket.id} left outlet room for outlet ${outletId}`);
+  });
+
+  // Join a prep station room (grill, bar, ...) to receive only that station's items
+  socket.on('join-station', ({ outletId, station } = {}) => {
+    socket.join(`station-${outletId}-${station}`);
+    console.log(`Socket ${socket.id} joined station ${station} for outlet ${outletId}`);
+  });
+
+  // Leave prep station room
+  socket.on('leave-station', ({ outletId, station } = {}) => {
+    socket.leave(`station-${outletId}-${station}`);
+    console.log(`Socket ${socket.id} left station ${station} for outlet ${outletId}`);
+  });
+
   socket.on('disconnect', () => {
     console.log('Client disconnected:', socket.id);
   });
 });
 
+// Apply scheduled menu price changes once they take effect
+const scheduledPriceTimer = setInterval(() => {
+  applyDueScheduledPrices().catch(error => console.error('Error applying scheduled prices:', error));
+}, 60 * 1000);
+scheduledPriceTimer.unref();
+
 // Start server
 server.listen(PORT, () => {
   console.log(`🚀 RestroSphere Backend server running on port ${PORT}`);
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { resolveApproval } = require('../utils/approval');
+
+// Model queries here end in .select(); resolve them with a fixed result
+const query = result => ({ select: jest.fn().mockResolvedValue(result) });
+
+describe('resolveApproval', () => {
+  const outletId = new mongoose.Types.ObjectId();
+  const waiter = { _id: new mongoose.Types.ObjectId(), role: 'waiter' };
+  const admin = {
+    _id: new mongoose.Types.ObjectId(),
+    compareApprovalPin: jest.fn(async pin => pin === '4321'),
+    comparePassword: jest.fn(async () => false)
+  };
+  let findOne;
+  let findByIdAndUpdate;
+
+  beforeEach(() => {
+    jest.spyOn(User, 'findById').mockReturnValue(query({ _id: waiter._id, outletId }));
+    findOne = jest.spyOn(User, 'findOne').mockReturnValue(query(admin));
+    findByIdAndUpdate = jest.spyOn(User, 'findByIdAndUpdate').mockReturnValue(query({ approvalFailures: 1 }));
+    jest.spyOn(User, 'updateOne').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('lets admins approve their own actions', async () => {
+    await expect(resolveApproval({ _id: admin._id, role: 'admin' })).resolves.toEqual({ approvedBy: admin._id, approvalMethod: 'role' });
+    expect(findOne).not.toHaveBeenCalled();
+  });
+
+  it('requires credentials from everyone else', async () => {
+    await expect(resolveApproval(waiter, { email: 'boss@example.com' })).rejects.toMatchObject({ statusCode: 403 });
+  });
+
+  it('only looks for admins of the requester\'s outlet', async () => {
+    await expect(resolveApproval(waiter, { email: 'Boss@Example.com', pin: '4321' }))
+      .resolves.toEqual({ approvedBy: admin._id, approvalMethod: 'pin' });
+
+    expect(findOne).toHaveBeenCalledWith(expect.objectContaining({
+      email: 'boss@example.com',
+      $or: [{ _id: outletId }, { outletId }]
+    }));
+  });
+
+  it('counts a wrong PIN against the requester only', async () => {
+    await expect(resolveApproval(waiter, { email: 'boss@example.com', pin: '0000' })).rejects.toMatchObject({ statusCode: 403 });
+
+    expect(findByIdAndUpdate).toHaveBeenCalledTimes(1);
+    expect(findByIdAndUpdate).toHaveBeenCalledWith(waiter._id, { $inc: { approvalFailures: 1 } }, { new: true });
+  });
+
+  it('locks the requester after too many failures in a row', async () => {
+    findByIdAndUpdate.mockReturnValue(query({ approvalFailures: 5 }));
+
+    await expect(resolveApproval(waiter, { email: 'boss@example.com', pin: '0000' })).rejects.toMatchObject({ statusCode: 403 });
+
+    const [filter, update] = User.updateOne.mock.calls[0];
+    expect(filter).toEqual({ _id: waiter._id });
+    expect(update.approvalLockedUntil.getTime()).toBeGreaterThan(Date.now());
+  });
+
+  it('refuses requests while the requester is locked', async () => {
+    User.findById.mockReturnValue(query({ _id: waiter._id, approvalLockedUntil: new Date(Date.now() + 60000) }));
+
+    await expect(resolveApproval(waiter, { email: 'boss@example.com', pin: '4321' })).rejects.toMatchObject({ statusCode: 429 });
+    expect(findOne).not.toHaveBeenCalled();
+  });
+});
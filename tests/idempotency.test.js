@@ -0,0 +1,60 @@
+const IdempotencyKey = require('../models/IdempotencyKey');
+const { IDEMPOTENCY_LEASE_MS, hashRequest, claimIdempotencyKey } = require('../utils/idempotency');
+
+const duplicateKey = Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+
+// findOne(...).lean() resolving to a fixed document
+const leanQuery = doc => ({ lean: () => Promise.resolve(doc) });
+
+describe('hashRequest', () => {
+  it('hashes payloads equal regardless of key order', () => {
+    expect(hashRequest({ a: 1, b: [{ x: 1, y: 2 }] })).toBe(hashRequest({ b: [{ y: 2, x: 1 }], a: 1 }));
+    expect(hashRequest({ a: 1 })).not.toBe(hashRequest({ a: 2 }));
+  });
+});
+
+describe('claimIdempotencyKey', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('claims a new key', async () => {
+    const claim = { _id: 'claim-1' };
+    jest.spyOn(IdempotencyKey, 'create').mockResolvedValue(claim);
+
+    await expect(claimIdempotencyKey('outlet-1', 'key-1', 'hash')).resolves.toEqual({ claim });
+  });
+
+  it('takes over an expired key or an unfinished claim older than the lease', async () => {
+    jest.spyOn(IdempotencyKey, 'create').mockRejectedValue(duplicateKey);
+    const reclaimed = { _id: 'claim-1' };
+    const findOneAndUpdate = jest.spyOn(IdempotencyKey, 'findOneAndUpdate').mockResolvedValue(reclaimed);
+
+    await expect(claimIdempotencyKey('outlet-1', 'key-1', 'hash')).resolves.toEqual({ claim: reclaimed });
+
+    const [filter, update] = findOneAndUpdate.mock.calls[0];
+    const [expired, stale] = filter.$or;
+    expect(stale).toMatchObject({ orderId: null, requestHash: 'hash' });
+    expect(update.claimedAt - stale.claimedAt.$lte).toBe(IDEMPOTENCY_LEASE_MS);
+    expect(expired.expiresAt.$lte).toEqual(update.claimedAt);
+  });
+
+  it('replays a finished request', async () => {
+    jest.spyOn(IdempotencyKey, 'create').mockRejectedValue(duplicateKey);
+    jest.spyOn(IdempotencyKey, 'findOneAndUpdate').mockResolvedValue(null);
+    jest.spyOn(IdempotencyKey, 'findOne').mockReturnValue(leanQuery({ requestHash: 'hash', orderId: 'order-1' }));
+
+    await expect(claimIdempotencyKey('outlet-1', 'key-1', 'hash')).resolves.toEqual({ replayOf: 'order-1' });
+  });
+
+  it('refuses a different payload and a request still within its lease', async () => {
+    jest.spyOn(IdempotencyKey, 'create').mockRejectedValue(duplicateKey);
+    jest.spyOn(IdempotencyKey, 'findOneAndUpdate').mockResolvedValue(null);
+    const findOne = jest.spyOn(IdempotencyKey, 'findOne').mockReturnValue(leanQuery({ requestHash: 'other', orderId: null }));
+
+    await expect(claimIdempotencyKey('outlet-1', 'key-1', 'hash')).rejects.toMatchObject({ statusCode: 422 });
+
+    findOne.mockReturnValue(leanQuery({ requestHash: 'hash', orderId: null }));
+    await expect(claimIdempotencyKey('outlet-1', 'key-1', 'hash')).rejects.toMatchObject({ statusCode: 409 });
+  });
+});
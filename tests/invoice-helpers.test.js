@@ -0,0 +1,138 @@
+const mongoose = require('mongoose');
+const Invoice = require('../models/Invoice');
+const { buildCreditLines, applyCredit, revertCredit } = require('../utils/invoice-helpers');
+
+const makeInvoice = (lines, totals) => new Invoice({
+  type: 'invoice',
+  sequence: 1,
+  invoiceNumber: 'INV-000001',
+  orderId: new mongoose.Types.ObjectId(),
+  orderNumber: 'ORD-1',
+  lines,
+  issuedBy: new mongoose.Types.ObjectId(),
+  outletId: new mongoose.Types.ObjectId(),
+  ...totals
+});
+
+// 3 x 10.00 with a 10% discount and 5% tax, an untaxed service charge and
+// a refund of 1.00 taken off the bill before it was invoiced
+const sampleInvoice = () => makeInvoice([
+  {
+    kind: 'item',
+    description: 'Curry',
+    qty: 3,
+    unitPrice: 10,
+    grossAmount: 30,
+    discount: 3,
+    taxableAmount: 27,
+    taxRate: 5,
+    tax: 1.35,
+    total: 28.35
+  },
+  {
+    kind: 'service-charge',
+    description: 'Service charge',
+    qty: 1,
+    unitPrice: 2.7,
+    grossAmount: 2.7,
+    discount: 0,
+    taxableAmount: 2.7,
+    taxRate: 0,
+    tax: 0,
+    total: 2.7
+  }
+], { subtotal: 30, discount: 3, serviceCharge: 2.7, tax: 1.35, adjustment: 1, totalAmount: 30.05 });
+
+const credit = (invoice, requested) => {
+  const creditNote = buildCreditLines(invoice, requested);
+  applyCredit(invoice, creditNote);
+  return creditNote;
+};
+
+describe('buildCreditLines', () => {
+  it('credits a partial quantity in proportion', () => {
+    const invoice = sampleInvoice();
+    const creditNote = credit(invoice, [{ lineId: invoice.lines[0]._id, qty: 1 }]);
+
+    expect(creditNote.lines).toHaveLength(1);
+    expect(creditNote.lines[0]).toMatchObject({ qty: 1, grossAmount: 10, discount: 1, taxableAmount: 9, tax: 0.45, total: 9.45 });
+    expect(creditNote).toMatchObject({ subtotal: 10, discount: 1, tax: 0.45, adjustment: 0, totalAmount: 9.45 });
+    expect(invoice.status).toBe('partially-credited');
+    expect(invoice.creditedAmount).toBe(9.45);
+  });
+
+  it('credits exactly what is left and caps the total at the invoice total', () => {
+    const invoice = sampleInvoice();
+    credit(invoice, [{ lineId: invoice.lines[0]._id, qty: 1 }]);
+    const creditNote = credit(invoice);
+
+    expect(creditNote.lines.map(line => line.total)).toEqual([18.9, 2.7]);
+    expect(creditNote.adjustment).toBe(1);
+    expect(creditNote.totalAmount).toBe(20.6);
+    expect(invoice.status).toBe('credited');
+    expect(invoice.creditedAmount).toBe(30.05);
+  });
+
+  it('adds partial credits of an uneven line up to the line amounts', () => {
+    const invoice = makeInvoice([{
+      kind: 'item',
+      description: 'Tea',
+      qty: 3,
+      unitPrice: 3.33,
+      grossAmount: 10,
+      discount: 0,
+      taxableAmount: 10,
+      taxRate: 5,
+      tax: 0.5,
+      total: 10.5
+    }], { subtotal: 10, tax: 0.5, totalAmount: 10.5 });
+    const lineId = invoice.lines[0]._id;
+
+    const taxes = [1, 1, 1].map(() => credit(invoice, [{ lineId, qty: 1 }]).lines[0].tax);
+
+    expect(taxes).toEqual([0.17, 0.17, 0.16]);
+    expect(invoice.lines[0].credited.toObject()).toMatchObject({ qty: 3, grossAmount: 10, taxableAmount: 10, tax: 0.5 });
+    expect(invoice.creditedAmount).toBe(10.5);
+    expect(invoice.status).toBe('credited');
+  });
+
+  it('rejects more than is left of a line', () => {
+    const invoice = sampleInvoice();
+    credit(invoice, [{ lineId: invoice.lines[0]._id, qty: 2 }]);
+
+    expect(() => buildCreditLines(invoice, [{ lineId: invoice.lines[0]._id, qty: 2 }]))
+      .toThrow(expect.objectContaining({ statusCode: 400, message: 'Only 1 of Curry can still be credited' }));
+  });
+
+  it('rejects lines listed twice or not on the invoice', () => {
+    const invoice = sampleInvoice();
+    const lineId = invoice.lines[0]._id;
+
+    expect(() => buildCreditLines(invoice, [{ lineId, qty: 1 }, { lineId: String(lineId), qty: 1 }]))
+      .toThrow(expect.objectContaining({ statusCode: 400 }));
+    expect(() => buildCreditLines(invoice, [{ lineId: new mongoose.Types.ObjectId() }]))
+      .toThrow(expect.objectContaining({ statusCode: 400 }));
+  });
+
+  it('rejects an invoice that has been credited in full', () => {
+    const invoice = sampleInvoice();
+    credit(invoice);
+
+    expect(() => buildCreditLines(invoice)).toThrow(expect.objectContaining({ statusCode: 409 }));
+  });
+});
+
+describe('revertCredit', () => {
+  it('releases the amounts of a credit note that was not issued', () => {
+    const invoice = sampleInvoice();
+    credit(invoice, [{ lineId: invoice.lines[0]._id, qty: 1 }]);
+    const creditNote = credit(invoice);
+
+    revertCredit(invoice, creditNote);
+
+    expect(invoice.status).toBe('partially-credited');
+    expect(invoice.creditedAmount).toBe(9.45);
+    expect(invoice.lines[0].credited.qty).toBe(1);
+    expect(invoice.lines[1].credited.qty).toBe(0);
+  });
+});
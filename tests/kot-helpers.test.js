@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+jest.mock('../utils/sequence-helpers', () => ({
+  ...jest.requireActual('../utils/sequence-helpers'),
+  allocateKotNumber: jest.fn().mockResolvedValue(7)
+}));
+
+const Kot = require('../models/Kot');
+const OrderItem = require('../models/OrderItem');
+const { cancelSentQty } = require('../utils/kot-helpers');
+
+describe('cancelSentQty', () => {
+  const outlet = { _id: new mongoose.Types.ObjectId(), timezone: 'UTC' };
+  const user = { _id: new mongoose.Types.ObjectId() };
+  const order = { _id: new mongoose.Types.ObjectId(), orderNumber: 'A-001', outletId: outlet._id };
+  const line = fields => ({ _id: new mongoose.Types.ObjectId(), lineType: 'item', modifiers: [], ...fields });
+  let updateOne;
+  let create;
+
+  beforeEach(() => {
+    updateOne = jest.spyOn(OrderItem, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    create = jest.spyOn(Kot, 'create').mockImplementation(async data => data);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('cancels the sent portions a lower quantity drops and lowers kotQty', async () => {
+    const curry = line({ itemName: 'Curry', qty: 4, kotQty: 3, station: 'hot' });
+
+    const kot = await cancelSentQty(order, outlet, user, [curry], 1);
+
+    expect(updateOne).toHaveBeenCalledWith({ _id: curry._id, kotQty: 3 }, { kotQty: 1 });
+    expect(kot).toMatchObject({ kotNumber: 7, type: 'cancellation', station: null, orderNumber: 'A-001' });
+    expect(kot.lines).toEqual([expect.objectContaining({ orderItemId: curry._id, itemName: 'Curry', qty: 2, station: 'hot' })]);
+  });
+
+  it('needs no ticket when the dropped portions were never sent', async () => {
+    const kot = await cancelSentQty(order, outlet, user, [line({ itemName: 'Curry', qty: 4, kotQty: 2 })], 2);
+
+    expect(kot).toBeNull();
+    expect(updateOne).not.toHaveBeenCalled();
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  it('cancels everything sent for removed lines, listing combo components under the combo', async () => {
+    const combo = line({ itemName: 'Lunch Deal', lineType: 'combo', qty: 2 });
+    const main = line({ itemName: 'Burger', lineType: 'combo-component', parentItemId: combo._id, comboSlot: 'Main', qty: 2, kotQty: 2 });
+    const side = line({ itemName: 'Fries', lineType: 'combo-component', parentItemId: combo._id, comboSlot: 'Side', qty: 2, kotQty: 0 });
+
+    const kot = await cancelSentQty(order, outlet, user, [combo, main, side], 0);
+
+    expect(updateOne).not.toHaveBeenCalled();
+    expect(kot.lines).toEqual([expect.objectContaining({ itemName: 'Burger', comboName: 'Lunch Deal', comboSlot: 'Main', qty: 2 })]);
+  });
+
+  it('leaves a line alone when another ticket claimed it in the meantime', async () => {
+    updateOne.mockResolvedValue({ modifiedCount: 0 });
+
+    const kot = await cancelSentQty(order, outlet, user, [line({ itemName: 'Curry', qty: 3, kotQty: 3 })], 1);
+
+    expect(kot).toBeNull();
+  });
+});
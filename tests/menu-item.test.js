@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+const MenuItem = require('../models/MenuItem');
+
+describe('MenuItem.mergeVariantIds', () => {
+  const half = { _id: new mongoose.Types.ObjectId(), name: 'Half', sku: 'CUR-H' };
+  const full = { _id: new mongoose.Types.ObjectId(), name: 'Full' };
+
+  it('keeps the IDs of variants sent back with their _id', () => {
+    const merged = MenuItem.mergeVariantIds([{ _id: String(half._id), name: 'Small', price: 5 }], [half, full]);
+
+    expect(merged).toEqual([{ _id: half._id, name: 'Small', price: 5 }]);
+  });
+
+  it('matches variants sent without _id by SKU, then by name', () => {
+    const merged = MenuItem.mergeVariantIds(
+      [{ name: 'Regular', sku: 'CUR-H', price: 6 }, { name: 'FULL', price: 9 }, { name: 'Family', price: 14 }],
+      [half, full]
+    );
+
+    expect(merged.map(variant => variant._id)).toEqual([half._id, full._id, undefined]);
+  });
+
+  it('gives each existing ID to one variant only, preferring an _id match', () => {
+    const merged = MenuItem.mergeVariantIds([{ name: 'Half', price: 5 }, { _id: half._id, name: 'Quarter', price: 3 }], [half]);
+
+    expect(merged.map(variant => variant._id)).toEqual([undefined, half._id]);
+  });
+});
@@ -0,0 +1,92 @@
+const { SIGNATURE_HEADER, createMockGateway } = require('../utils/mock-gateway');
+
+const webhook = (gateway, event) => {
+  const rawBody = Buffer.from(JSON.stringify(event));
+  return { rawBody, headers: { [SIGNATURE_HEADER]: gateway.sign(rawBody) } };
+};
+
+describe('mock gateway', () => {
+  let gateway;
+
+  beforeEach(() => {
+    gateway = createMockGateway({ secret: 'test-secret' });
+  });
+
+  it('authorises a payment and completes it on capture', async () => {
+    const { reference, status } = await gateway.initiate({ amount: 25, method: 'card' });
+    expect(status).toBe('processing');
+
+    const captured = await gateway.capture(reference);
+    expect(captured.status).toBe('completed');
+    expect(captured.transactionId).toMatch(/^mock_txn_/);
+    await expect(gateway.status(reference)).resolves.toEqual(captured);
+  });
+
+  it('captures the bill with its tip up to the authorised amount', async () => {
+    const { reference } = await gateway.initiate({ amount: 55, method: 'card' });
+
+    await expect(gateway.capture(reference, 60)).resolves.toMatchObject({ status: 'processing' });
+    await expect(gateway.capture(reference, 55)).resolves.toMatchObject({ status: 'completed' });
+    await expect(gateway.refund(reference, 55)).resolves.toMatchObject({ status: 'completed' });
+  });
+
+  it('declines amounts ending in .51', async () => {
+    const result = await gateway.initiate({ amount: 10.51, method: 'upi' });
+
+    expect(result.status).toBe('failed');
+    await expect(gateway.capture(result.reference)).resolves.toMatchObject({ status: 'failed' });
+  });
+
+  it('refunds captured payments up to what was taken', async () => {
+    const { reference } = await gateway.initiate({ amount: 20, method: 'card' });
+    await expect(gateway.refund(reference, 5)).resolves.toMatchObject({ status: 'failed' });
+
+    await gateway.capture(reference);
+    await expect(gateway.refund(reference, 15)).resolves.toMatchObject({ status: 'completed' });
+    await expect(gateway.refund(reference, 5.01)).resolves.toMatchObject({ status: 'failed' });
+    await expect(gateway.refund(reference, 5)).resolves.toMatchObject({ status: 'completed' });
+  });
+
+  it('maps webhook events to payment statuses', async () => {
+    const { reference } = await gateway.initiate({ amount: 30, method: 'card' });
+    const { rawBody, headers } = webhook(gateway, {
+      id: 'evt_1',
+      type: 'payment.succeeded',
+      data: { reference, transactionId: 'txn_1' }
+    });
+
+    expect(gateway.parseWebhook(rawBody, headers)).toEqual({
+      eventId: 'evt_1',
+      type: 'payment.succeeded',
+      reference,
+      status: 'completed',
+      transactionId: 'txn_1',
+      failureReason: undefined
+    });
+    await expect(gateway.status(reference)).resolves.toEqual({ status: 'completed', transactionId: 'txn_1' });
+  });
+
+  it('does not move a settled transaction back on a late event', async () => {
+    const { reference } = await gateway.initiate({ amount: 30, method: 'card' });
+    await gateway.capture(reference);
+    const { rawBody, headers } = webhook(gateway, { id: 'evt_2', type: 'payment.failed', data: { reference } });
+
+    expect(gateway.parseWebhook(rawBody, headers).status).toBe('failed');
+    await expect(gateway.status(reference)).resolves.toMatchObject({ status: 'completed' });
+  });
+
+  it('reports events that do not concern payment state with a null status', () => {
+    const { rawBody, headers } = webhook(gateway, { id: 'evt_3', type: 'payout.created', data: {} });
+
+    expect(gateway.parseWebhook(rawBody, headers).status).toBeNull();
+  });
+
+  it('rejects webhooks with a missing or wrong signature', () => {
+    const { rawBody } = webhook(gateway, { id: 'evt_4', type: 'payment.succeeded', data: {} });
+    const forged = createMockGateway({ secret: 'other-secret' }).sign(rawBody);
+
+    expect(() => gateway.parseWebhook(rawBody, {})).toThrow(expect.objectContaining({ statusCode: 401 }));
+    expect(() => gateway.parseWebhook(rawBody, { [SIGNATURE_HEADER]: forged }))
+      .toThrow(expect.objectContaining({ statusCode: 401 }));
+  });
+});
@@ -0,0 +1,64 @@
+const { assertOrderable, getPaymentStatus, getRefundAmount } = require('../utils/order-helpers');
+
+describe('assertOrderable', () => {
+  const outlet = { timezone: 'UTC' };
+  const noon = new Date('2026-03-04T12:00:00Z');
+  const item = fields => ({ name: 'Curry', isActive: true, availability: [], stockCount: null, ...fields });
+
+  it('accepts active items inside their windows with stock left', () => {
+    expect(() => assertOrderable([item({ stockCount: 2, availability: [{ startTime: '11:00', endTime: '15:00', daysOfWeek: [0, 1, 2, 3, 4, 5, 6] }] })], outlet, noon))
+      .not.toThrow();
+  });
+
+  it('rejects items marked sold out until the flag lapses', () => {
+    const soldOut = item({ isSoldOut: true, soldOutUntil: new Date('2026-03-04T18:00:00Z') });
+
+    expect(() => assertOrderable([soldOut], outlet, noon)).toThrow(expect.objectContaining({ statusCode: 409, message: 'Sold out: Curry' }));
+    expect(() => assertOrderable([soldOut], outlet, new Date('2026-03-04T19:00:00Z'))).not.toThrow();
+  });
+
+  it('rejects items that ran out of stock', () => {
+    expect(() => assertOrderable([item({ stockCount: 0 })], outlet, noon)).toThrow(expect.objectContaining({ statusCode: 409 }));
+  });
+
+  it('rejects inactive items and items outside their windows', () => {
+    const lunch = item({ name: 'Thali', availability: [{ startTime: '11:00', endTime: '15:00', daysOfWeek: [0, 1, 2, 3, 4, 5, 6] }] });
+
+    expect(() => assertOrderable([item({ isActive: false })], outlet, noon)).toThrow(expect.objectContaining({ statusCode: 400 }));
+    expect(() => assertOrderable([lunch], outlet, new Date('2026-03-04T20:00:00Z')))
+      .toThrow(expect.objectContaining({ statusCode: 400, message: 'Not available at this time: Thali' }));
+  });
+});
+
+describe('getRefundAmount', () => {
+  it('refunds everything left on the payment when no amount is given', () => {
+    expect(getRefundAmount({ amount: 50, refundedAmount: 20 })).toBe(30);
+  });
+
+  it('counts a payment stored without refundedAmount as not refunded', () => {
+    expect(getRefundAmount({ amount: 50 })).toBe(50);
+    expect(getRefundAmount({ amount: 50, refundedAmount: null }, 12.5)).toBe(12.5);
+  });
+
+  it('allows refunding exactly what is left despite floating point sums', () => {
+    expect(getRefundAmount({ amount: 0.3, refundedAmount: 0.1 }, 0.2)).toBe(0.2);
+  });
+
+  it('rejects a refund above what is left on the payment', () => {
+    expect(() => getRefundAmount({ amount: 50, refundedAmount: 20 }, 30.01))
+      .toThrow(expect.objectContaining({ statusCode: 400, message: 'Refund exceeds what is left on the payment. Refundable: 30.00' }));
+  });
+});
+
+describe('getPaymentStatus', () => {
+  it('follows what was paid against the total', () => {
+    expect(getPaymentStatus(0, 40)).toBe('unpaid');
+    expect(getPaymentStatus(10, 40)).toBe('partial');
+    expect(getPaymentStatus(40, 40)).toBe('paid');
+  });
+
+  it('reports refunded once everything paid was returned', () => {
+    expect(getPaymentStatus(0, 40, 40)).toBe('refunded');
+    expect(getPaymentStatus(25, 40, 15)).toBe('partial');
+  });
+});
@@ -0,0 +1,55 @@
+const Payment = require('../models/Payment');
+const { applyPaymentStatus } = require('../utils/payment-helpers');
+
+describe('applyPaymentStatus', () => {
+  const payment = { _id: 'payment-1' };
+  let findOneAndUpdate;
+
+  beforeEach(() => {
+    findOneAndUpdate = jest.spyOn(Payment, 'findOneAndUpdate').mockResolvedValue({ _id: 'payment-1' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('moves pending payments to processing', async () => {
+    await applyPaymentStatus(payment, 'processing');
+
+    expect(findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: 'payment-1', status: { $in: ['pending'] } },
+      { status: 'processing' },
+      { new: true }
+    );
+  });
+
+  it('completes pending or processing payments with the gateway transaction ID', async () => {
+    await applyPaymentStatus(payment, 'completed', { transactionId: 'txn_42' });
+
+    const [filter, update] = findOneAndUpdate.mock.calls[0];
+    expect(filter).toEqual({ _id: 'payment-1', status: { $in: ['pending', 'processing'] } });
+    expect(update).toMatchObject({ status: 'completed', transactionId: 'txn_42' });
+    expect(update.paidAt).toBeInstanceOf(Date);
+  });
+
+  it('records why a payment failed', async () => {
+    await applyPaymentStatus(payment, 'failed', { failureReason: 'Card declined' });
+    await applyPaymentStatus(payment, 'failed');
+
+    expect(findOneAndUpdate.mock.calls[0][1]).toEqual({ status: 'failed', failureReason: 'Card declined' });
+    expect(findOneAndUpdate.mock.calls[1][1]).toEqual({ status: 'failed', failureReason: 'Payment failed' });
+  });
+
+  it('leaves the payment alone for statuses no transition leads to', async () => {
+    await expect(applyPaymentStatus(payment, 'pending')).resolves.toBeNull();
+    await expect(applyPaymentStatus(payment, 'refunded')).resolves.toBeNull();
+
+    expect(findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('returns null when the payment already moved on', async () => {
+    findOneAndUpdate.mockResolvedValue(null);
+
+    await expect(applyPaymentStatus(payment, 'processing')).resolves.toBeNull();
+  });
+});
@@ -0,0 +1,84 @@
+const Payment = require('../models/Payment');
+const Refund = require('../models/Refund');
+const { getShiftTotals } = require('../utils/shift-helpers');
+
+// Model queries here end in .select().lean(); resolve them with fixed documents
+const query = docs => ({ select: () => ({ lean: () => Promise.resolve(docs) }) });
+
+const shift = {
+  _id: 'shift-1',
+  openingFloat: 100,
+  movements: [
+    { type: 'cash-in', amount: 20 },
+    { type: 'cash-out', amount: 15.5 },
+    { type: 'cash-out', amount: 4.5 }
+  ]
+};
+
+describe('getShiftTotals', () => {
+  const mockShift = (payments, refunds = []) => {
+    jest.spyOn(Payment, 'find').mockReturnValue(query(payments));
+    jest.spyOn(Refund, 'find').mockReturnValue(query(refunds));
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('expects the float, cash takings, cash tips and movements in the drawer', async () => {
+    mockShift([
+      { method: 'cash', amount: 40.1, tip: 5, status: 'completed' },
+      { method: 'cash', amount: 19.9, tip: 0, status: 'completed' },
+      { method: 'card', amount: 80, tip: 8, status: 'completed' }
+    ]);
+
+    const totals = await getShiftTotals(shift);
+
+    expect(totals.sales).toBe(140);
+    expect(totals.tips).toBe(13);
+    expect(totals.cashIn).toBe(20);
+    expect(totals.cashOut).toBe(20);
+    expect(totals.expectedCash).toBe(165);
+  });
+
+  it('takes cash refunds out of the drawer but not refunds by other methods', async () => {
+    mockShift(
+      [
+        { method: 'cash', amount: 50, status: 'completed' },
+        { method: 'card', amount: 30, status: 'refunded' }
+      ],
+      [
+        { method: 'cash', amount: 12.25 },
+        { method: 'card', amount: 30 }
+      ]
+    );
+
+    const totals = await getShiftTotals(shift);
+
+    expect(totals.paymentCount).toBe(2);
+    expect(totals.sales).toBe(80);
+    expect(totals.refunds).toBe(42.25);
+    expect(totals.netSales).toBe(37.75);
+    expect(totals.expectedCash).toBe(137.75);
+    expect(totals.byMethod).toEqual([
+      { method: 'cash', count: 1, amount: 50, tips: 0, refundCount: 1, refunds: 12.25 },
+      { method: 'card', count: 1, amount: 30, tips: 0, refundCount: 1, refunds: 30 }
+    ]);
+  });
+
+  it('leaves payments still in flight and failed ones out of the takings', async () => {
+    mockShift([
+      { method: 'cash', amount: 10, status: 'completed' },
+      { method: 'card', amount: 25, status: 'processing' },
+      { method: 'upi', amount: 5, status: 'pending' },
+      { method: 'card', amount: 60, status: 'failed' }
+    ]);
+
+    const totals = await getShiftTotals(shift);
+
+    expect(totals.sales).toBe(10);
+    expect(totals.inFlight).toEqual({ count: 2, amount: 30 });
+    expect(totals.byMethod.map(entry => entry.method)).toEqual(['cash']);
+    expect(totals.expectedCash).toBe(110);
+  });
+});
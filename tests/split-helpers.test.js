@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+const { toCents, allocateCents, groupLines, buildChecks } = require('../utils/split-helpers');
+
+const sum = values => values.reduce((acc, value) => acc + value, 0);
+const sumCents = (checks, field) => sum(checks.map(check => toCents(check[field])));
+
+const line = (fields) => ({ _id: new mongoose.Types.ObjectId(), lineType: 'item', ...fields });
+
+describe('allocateCents', () => {
+  it('splits in proportion to the weights', () => {
+    expect(allocateCents(1000, [1, 3])).toEqual([250, 750]);
+  });
+
+  it('hands rounding cents to the largest remainders', () => {
+    expect(allocateCents(100, [1, 1, 1])).toEqual([34, 33, 33]);
+    expect(allocateCents(200, [1, 1, 1])).toEqual([67, 67, 66]);
+    expect(allocateCents(101, [1, 2])).toEqual([34, 67]);
+  });
+
+  it('splits equally when every weight is zero', () => {
+    expect(allocateCents(10, [0, 0, 0])).toEqual([4, 3, 3]);
+  });
+
+  it('gives nothing to zero weights when others are set', () => {
+    expect(allocateCents(99, [0, 5, 0])).toEqual([0, 99, 0]);
+  });
+
+  it('always adds up to the total', () => {
+    [[1, 7, 13], [3, 3, 3, 3, 3, 3, 3], [999, 1], [1, 1]].forEach((weights) => {
+      [1, 99, 100, 12345].forEach((total) => {
+        expect(sum(allocateCents(total, weights))).toBe(total);
+      });
+    });
+  });
+});
+
+describe('buildChecks', () => {
+  const order = {
+    subtotal: 100,
+    discount: 10,
+    serviceCharge: 9,
+    tax: 4.95,
+    totalAmount: 103.95
+  };
+
+  it('adds up to the order totals when split by item', () => {
+    const lines = [
+      line({ itemName: 'Soup', price: 12.5, qty: 2 }),
+      line({ itemName: 'Curry', price: 33.33, qty: 1 }),
+      line({ itemName: 'Naan', price: 41.67, qty: 1 })
+    ];
+    const groups = groupLines(lines, {
+      type: 'item',
+      checks: [{ lineIds: [lines[0]._id] }, { lineIds: [lines[1]._id] }, { lineIds: [lines[2]._id] }]
+    });
+    const checks = buildChecks(order, groups, 'item');
+
+    expect(checks.map(check => check.subtotal)).toEqual([25, 33.33, 41.67]);
+    expect(sumCents(checks, 'subtotal')).toBe(toCents(order.subtotal));
+    expect(sumCents(checks, 'discount')).toBe(toCents(order.discount));
+    expect(sumCents(checks, 'serviceCharge')).toBe(toCents(order.serviceCharge));
+    expect(sumCents(checks, 'totalAmount')).toBe(toCents(order.totalAmount));
+  });
+
+  it('spreads equal-share remainders one cent at a time', () => {
+    const checks = buildChecks({ subtotal: 100, discount: 0, serviceCharge: 0, tax: 0, totalAmount: 100 }, groupLines([], { type: 'equal', parts: 3 }), 'equal');
+
+    expect(checks.map(check => check.totalAmount)).toEqual([33.34, 33.33, 33.33]);
+    expect(checks.map(check => check.label)).toEqual(['Share 1 of 3', 'Share 2 of 3', 'Share 3 of 3']);
+  });
+
+  it('adds up to the order total for equal shares with discount, service charge and tax', () => {
+    [2, 3, 6, 7].forEach((parts) => {
+      const checks = buildChecks(order, groupLines([], { type: 'equal', parts }), 'equal');
+      expect(sumCents(checks, 'totalAmount')).toBe(toCents(order.totalAmount));
+      expect(Math.max(...checks.map(c => toCents(c.totalAmount))) - Math.min(...checks.map(c => toCents(c.totalAmount))))
+        .toBeLessThanOrEqual(4);
+    });
+  });
+
+  it('lets tax absorb rounding the order total carried', () => {
+    const rounded = { subtotal: 10, discount: 0, serviceCharge: 0, tax: 0.83, totalAmount: 10.84 };
+    const checks = buildChecks(rounded, groupLines([], { type: 'equal', parts: 2 }), 'equal');
+
+    expect(sumCents(checks, 'tax')).toBe(84);
+    expect(sumCents(checks, 'totalAmount')).toBe(1084);
+  });
+});
@@ -0,0 +1,88 @@
+/**
+ * Approval Utilities
+ * Manager sign-off for sensitive actions (voids, cancellations): either the
+ * acting user is an admin, or an admin approves with their PIN or password
+ */
+
+const User = require('../models/User');
+const { ApiError } = require('./errorHandler');
+
+const APPROVER_ROLES = ['admin'];
+const MAX_APPROVAL_FAILURES = 5;
+const APPROVAL_LOCKOUT_MINUTES = 15;
+
+// Throw an ApiError (429) while a user's approval requests are locked
+const assertNotLocked = (account) => {
+  if (account && account.approvalLockedUntil && account.approvalLockedUntil > new Date()) {
+    const minutes = Math.ceil((account.approvalLockedUntil - Date.now()) / 60000);
+    throw new ApiError(`Too many failed approvals from this account. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`, 429);
+  }
+};
+
+// Count a failed approval against the requester, locking their requests after too many in a row
+const recordFailure = async (userId) => {
+  const updated = await User.findByIdAndUpdate(
+    userId,
+    { $inc: { approvalFailures: 1 } },
+    { new: true }
+  ).select('approvalFailures');
+
+  if (updated && updated.approvalFailures >= MAX_APPROVAL_FAILURES) {
+    await User.updateOne(
+      { _id: userId },
+      { approvalFailures: 0, approvalLockedUntil: new Date(Date.now() + APPROVAL_LOCKOUT_MINUTES * 60000) }
+    );
+  }
+};
+
+/**
+ * Resolve who approves an action. Admins approve their own actions; anyone
+ * else must send `approval: { email, pin }` or `approval: { email, password }`
+ * for an active admin of their own outlet. Throws an ApiError (403) when
+ * approval is missing or invalid. After MAX_APPROVAL_FAILURES failures in a
+ * row the acting user's requests are refused with a 429 for
+ * APPROVAL_LOCKOUT_MINUTES; the admin they named is not affected.
+ * @param {Object} user - Acting user
+ * @param {Object} [approval] - Approval credentials from the request body
+ * @returns {Promise<{ approvedBy: Object, approvalMethod: string }>} Approver and method
+ */
+const resolveApproval = async (user, approval) => {
+  if (APPROVER_ROLES.includes(user.role)) {
+    return { approvedBy: user._id, approvalMethod: 'role' };
+  }
+
+  if (!approval || !approval.email || (!approval.pin && !approval.password)) {
+    throw new ApiError('Manager approval is required: send approval.email with approval.pin or approval.password', 403);
+  }
+
+  const requester = await User.findById(user._id).select('+approvalLockedUntil');
+  assertNotLocked(requester);
+
+  // The outlet account itself or an admin working for it
+  const outletId = (requester && requester.outletId) || user._id;
+  const approver = await User.findOne({
+    email: String(approval.email).toLowerCase(),
+    role: { $in: APPROVER_ROLES },
+    isActive: true,
+    $or: [{ _id: outletId }, { outletId }]
+  }).select('+approvalPin +password');
+
+  const approvalMethod = approval.pin ? 'pin' : 'password';
+  const isValid = approver && (approval.pin
+    ? await approver.compareApprovalPin(approval.pin)
+    : await approver.comparePassword(approval.password));
+
+  if (!isValid) {
+    await recordFailure(user._id);
+    throw new ApiError('Approval credentials are invalid', 403);
+  }
+
+  await User.updateOne({ _id: user._id, approvalFailures: { $gt: 0 } }, { approvalFailures: 0 });
+
+  return { approvedBy: approver._id, approvalMethod };
+};
+
+module.exports = {
+  APPROVER_ROLES,
+  resolveApproval,
+};
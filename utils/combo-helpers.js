@@ -0,0 +1,148 @@
+/**
+ * Combo Helper Utilities
+ * Validates combo slot definitions and resolves a guest's choices per slot
+ */
+
+const MenuItem = require('../models/MenuItem');
+const Category = require('../models/Category');
+const { ApiError } = require('./errorHandler');
+
+/**
+ * Normalize the client's slot choices into a map of slot name -> selections.
+ * Clients send `{ [slotName]: [choice, ...] }` where a choice is a menu item ID
+ * or `{ itemId, variantId, modifiers }`.
+ * @param {Object} selections - Raw `item.comboSelections` from the request body
+ * @returns {Map<string, Object[]>} Selections per slot
+ */
+const normalizeComboSelections = (selections) => {
+  const selected = new Map();
+
+  if (!selections || typeof selections !== 'object' || Array.isArray(selections)) {
+    return selected;
+  }
+
+  Object.entries(selections).forEach(([slotName, choices]) => {
+    const list = Array.isArray(choices) ? choices : [choices];
+    selected.set(slotName, list
+      .filter(choice => choice !== null && choice !== undefined)
+      .map(choice => (typeof choice === 'object' ? { ...choice, itemId: String(choice.itemId) } : { itemId: String(choice) })));
+  });
+
+  return selected;
+};
+
+/**
+ * Collect every menu item ID referenced by combo selections in an order payload
+ * @param {Object[]} items - `req.body.items`
+ * @returns {string[]} Unique component item IDs
+ */
+const collectComponentIds = (items) => {
+  const ids = new Set();
+  items.forEach((item) => {
+    normalizeComboSelections(item.comboSelections).forEach((choices) => {
+      choices.forEach(choice => ids.add(choice.itemId));
+    });
+  });
+  return [...ids];
+};
+
+/**
+ * Resolve a combo's slot choices. Throws an ApiError (400) when a slot is
+ * missing, over-filled, or a choice is not eligible for the slot.
+ * @param {Object} combo - Combo MenuItem document
+ * @param {Object} selections - Raw `item.comboSelections`
+ * @param {Map<string, Object>} componentsById - Eligible component MenuItems keyed by ID
+ * @returns {{ components: Object[], upchargeTotal: number }} Chosen components with their upcharge
+ */
+const resolveComboSelections = (combo, selections, componentsById) => {
+  const selected = normalizeComboSelections(selections);
+  const components = [];
+
+  selected.forEach((choices, slotName) => {
+    if (!combo.comboSlots.some(slot => slot.name === slotName)) {
+      throw new ApiError(`"${slotName}" is not a slot of ${combo.name}`, 400);
+    }
+  });
+
+  combo.comboSlots.forEach((slot) => {
+    const choices = selected.get(slot.name) || [];
+
+    if (choices.length < slot.minSelection) {
+      throw new ApiError(`Choose at least ${slot.minSelection} item(s) for "${slot.name}" in ${combo.name}`, 400);
+    }
+    if (choices.length > slot.maxSelection) {
+      throw new ApiError(`Choose at most ${slot.maxSelection} item(s) for "${slot.name}" in ${combo.name}`, 400);
+    }
+
+    choices.forEach((choice) => {
+      const menuItem = componentsById.get(choice.itemId);
+      const option = slot.options.find(opt => opt.itemId.toString() === choice.itemId);
+      const inCategory = menuItem && slot.categoryId && menuItem.categoryId.equals(slot.categoryId);
+
+      if (!menuItem || menuItem.itemType === 'combo' || (!option && !inCategory)) {
+        throw new ApiError(`Item ${choice.itemId} is not an option for "${slot.name}" in ${combo.name}`, 400);
+      }
+
+      components.push({
+        slotName: slot.name,
+        menuItem,
+        choice,
+        upcharge: option ? option.upcharge : 0
+      });
+    });
+  });
+
+  const upchargeTotal = components.reduce((sum, component) => sum + component.upcharge, 0);
+
+  return { components, upchargeTotal };
+};
+
+/**
+ * Validate combo slots when a combo is created or edited: options must be
+ * single (non-combo) items and categories must belong to the same outlet.
+ * @param {string|Object} outletId - Outlet ID
+ * @param {Object[]} slots - comboSlots from the request body
+ * @returns {Promise<string|null>} Error message, or null when valid
+ */
+const validateComboSlots = async (outletId, slots) => {
+  if (!Array.isArray(slots) || slots.length === 0) {
+    return 'A combo needs at least one slot';
+  }
+
+  const optionIds = [];
+  const categoryIds = [];
+  for (const slot of slots) {
+    if (!slot || !slot.name) return 'Every combo slot needs a name';
+    const options = slot.options || [];
+    if (options.length === 0 && !slot.categoryId) {
+      return `Slot "${slot.name}" needs options or a category`;
+    }
+    options.forEach(option => optionIds.push(String(option.itemId)));
+    if (slot.categoryId) categoryIds.push(String(slot.categoryId));
+  }
+
+  const uniqueOptionIds = [...new Set(optionIds)];
+  const singles = await MenuItem.countDocuments({
+    _id: { $in: uniqueOptionIds },
+    outletId,
+    itemType: { $ne: 'combo' }
+  });
+  if (singles !== uniqueOptionIds.length) {
+    return 'Combo options must be existing, non-combo items of this outlet';
+  }
+
+  const uniqueCategoryIds = [...new Set(categoryIds)];
+  const categories = await Category.countDocuments({ _id: { $in: uniqueCategoryIds }, outletId });
+  if (categories !== uniqueCategoryIds.length) {
+    return 'Combo slot category not found';
+  }
+
+  return null;
+};
+
+module.exports = {
+  normalizeComboSelections,
+  collectComponentIds,
+  resolveComboSelections,
+  validateComboSlots,
+};
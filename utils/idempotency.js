@@ -0,0 +1,125 @@
+/**
+ * Idempotency Utilities
+ * Lets clients safely retry create requests: the first request claims the
+ * key, replays get the original result, mismatched replays are rejected
+ */
+
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const { ApiError } = require('./errorHandler');
+
+// How long a key is remembered (IDEMPOTENCY_WINDOW_HOURS, default 24h)
+const IDEMPOTENCY_WINDOW_MS = (parseFloat(process.env.IDEMPOTENCY_WINDOW_HOURS) || 24) * 60 * 60 * 1000;
+
+// How long a request may hold a key without finishing (IDEMPOTENCY_LEASE_SECONDS, default 60s);
+// past that its process is assumed dead and a retry takes the key over
+const IDEMPOTENCY_LEASE_MS = (parseFloat(process.env.IDEMPOTENCY_LEASE_SECONDS) || 60) * 1000;
+
+/**
+ * JSON with object keys sorted, so equal payloads hash equally
+ * @param {*} value - Any JSON value
+ * @returns {string} Canonical JSON
+ */
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+/**
+ * Hash a request payload
+ * @param {Object} payload - Request body (or the relevant part of it)
+ * @returns {string} SHA-256 hex digest
+ */
+const hashRequest = (payload) => {
+  return crypto.createHash('sha256').update(canonicalJson(payload)).digest('hex');
+};
+
+/**
+ * Claim an idempotency key for a request. Resolves to `{ claim }` when this
+ * request should proceed, or `{ replayOf }` with the original order ID when it
+ * is a replay. Throws an ApiError (422) when the key was used for a different
+ * payload and (409) while the original request is still in flight. A claim
+ * left unfinished for longer than IDEMPOTENCY_LEASE_MS is taken over by a
+ * retry of the same request.
+ * @param {string|Object} outletId - Outlet ID
+ * @param {string} key - Client-supplied key
+ * @param {string} requestHash - Hash of the request payload
+ * @returns {Promise<{ claim?: Object, replayOf?: Object }>} Claim or original order ID
+ */
+const claimIdempotencyKey = async (outletId, key, requestHash) => {
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + IDEMPOTENCY_WINDOW_MS);
+
+  try {
+    const claim = await IdempotencyKey.create({ outletId, key, requestHash, claimedAt: now, expiresAt });
+    return { claim };
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  // Expired keys linger until the TTL monitor removes them, and a claim whose
+  // request died never finishes; take either over
+  const reclaimed = await IdempotencyKey.findOneAndUpdate(
+    {
+      outletId,
+      key,
+      $or: [
+        { expiresAt: { $lte: now } },
+        { orderId: null, requestHash, claimedAt: { $lte: new Date(now.getTime() - IDEMPOTENCY_LEASE_MS) } }
+      ]
+    },
+    { requestHash, orderId: null, claimedAt: now, expiresAt },
+    { new: true }
+  );
+  if (reclaimed) {
+    return { claim: reclaimed };
+  }
+
+  const existing = await IdempotencyKey.findOne({ outletId, key }).lean();
+  if (!existing) {
+    throw new ApiError('Idempotency key is being released. Retry the request.', 409);
+  }
+  if (existing.requestHash !== requestHash) {
+    throw new ApiError('Idempotency key was already used for a different request', 422);
+  }
+  if (!existing.orderId) {
+    throw new ApiError('A request with this idempotency key is still being processed', 409);
+  }
+
+  return { replayOf: existing.orderId };
+};
+
+/**
+ * Record the order created under a claimed key, unless a retry has taken the key over
+ * @param {Object} claim - IdempotencyKey document from claimIdempotencyKey
+ * @param {Object} orderId - Created order ID
+ */
+const completeIdempotencyKey = async (claim, orderId) => {
+  await IdempotencyKey.updateOne({ _id: claim._id, claimedAt: claim.claimedAt }, { orderId });
+};
+
+/**
+ * Give up a claimed key after the request failed so the client can retry
+ * @param {Object} claim - IdempotencyKey document from claimIdempotencyKey
+ */
+const releaseIdempotencyKey = async (claim) => {
+  await IdempotencyKey.deleteOne({ _id: claim._id, claimedAt: claim.claimedAt, orderId: null });
+};
+
+module.exports = {
+  IDEMPOTENCY_WINDOW_MS,
+  IDEMPOTENCY_LEASE_MS,
+  hashRequest,
+  claimIdempotencyKey,
+  completeIdempotencyKey,
+  releaseIdempotencyKey,
+};
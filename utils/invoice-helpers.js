@@ -0,0 +1,288 @@
+/**
+ * Invoice Helper Utilities
+ * Builds invoices from paid orders, issues them in a gap-free series per
+ * outlet and works out credit notes against issued invoices
+ */
+
+const Invoice = require('../models/Invoice');
+const OrderItem = require('../models/OrderItem');
+const { ApiError } = require('./errorHandler');
+const { getOrderPricing } = require('./order-helpers');
+const { toCents, fromCents, allocateCents } = require('./split-helpers');
+
+const DEFAULT_PREFIXES = { invoice: 'INV', 'credit-note': 'CN' };
+const NUMBER_DIGITS = 6;
+const AMOUNT_FIELDS = ['grossAmount', 'discount', 'taxableAmount', 'tax'];
+
+/**
+ * Business details of an outlet as printed on its invoices
+ * @param {Object} outlet - Outlet user
+ * @returns {Object} { name, address, taxId, email, phone }
+ */
+const getSellerDetails = (outlet) => {
+  const invoicing = outlet.invoicing || {};
+  return {
+    name: invoicing.legalName || outlet.businessName,
+    address: invoicing.address,
+    taxId: invoicing.taxId,
+    email: invoicing.email || outlet.email,
+    phone: outlet.phone
+  };
+};
+
+/**
+ * Document number for a position in a series, e.g. INV-000042
+ * @param {Object} outlet - Outlet user
+ * @param {string} type - 'invoice' or 'credit-note'
+ * @param {number} sequence - Position in the series
+ * @returns {string} Document number
+ */
+const formatInvoiceNumber = (outlet, type, sequence) => {
+  const invoicing = outlet.invoicing || {};
+  const prefix = (type === 'invoice' ? invoicing.invoicePrefix : invoicing.creditNotePrefix) || DEFAULT_PREFIXES[type];
+  return `${prefix}-${String(sequence).padStart(NUMBER_DIGITS, '0')}`;
+};
+
+// Group line amounts by tax rate
+const buildTaxBreakdown = (lines) => {
+  const byRate = new Map();
+  lines.forEach((line) => {
+    const rate = Math.round(line.taxRate * 100) / 100;
+    const entry = byRate.get(rate) || { taxRate: rate, taxableCents: 0, taxCents: 0 };
+    entry.taxableCents += toCents(line.taxableAmount);
+    entry.taxCents += toCents(line.tax);
+    byRate.set(rate, entry);
+  });
+
+  return [...byRate.values()]
+    .sort((a, b) => a.taxRate - b.taxRate)
+    .map(entry => ({ taxRate: entry.taxRate, taxableAmount: fromCents(entry.taxableCents), tax: fromCents(entry.taxCents) }));
+};
+
+// Document totals from its lines
+const summarizeLines = (lines, adjustment = 0) => {
+  const sum = (field, kind) => lines
+    .filter(line => !kind || line.kind === kind)
+    .reduce((cents, line) => cents + toCents(line[field]), 0);
+
+  return {
+    subtotal: fromCents(sum('grossAmount', 'item')),
+    discount: fromCents(sum('discount')),
+    serviceCharge: fromCents(sum('taxableAmount', 'service-charge')),
+    tax: fromCents(sum('tax')),
+    adjustment,
+    totalAmount: fromCents(Math.max(0, sum('total') - toCents(adjustment))),
+    taxBreakdown: buildTaxBreakdown(lines)
+  };
+};
+
+/**
+ * Invoice lines and totals for an order. The order's discount is spread over
+ * its items and its tax over the taxable lines, in cents, so the lines add up
+ * to the order's own totals.
+ * @param {Object} order - Order document
+ * @returns {Promise<Object>} { lines, subtotal, discount, serviceCharge, tax, adjustment, totalAmount, taxBreakdown }
+ */
+const buildInvoiceLines = async (order) => {
+  const orderLines = await OrderItem.find({
+    orderId: order._id,
+    isVoided: { $ne: true },
+    lineType: { $ne: 'combo-component' }
+  }).sort({ createdAt: 1 }).lean();
+
+  const { taxRate, serviceChargeTaxable } = getOrderPricing(order);
+
+  const lines = orderLines.map(line => ({
+    kind: 'item',
+    orderItemId: line._id,
+    description: `${line.itemName}${line.variantName ? ` (${line.variantName})` : ''}`,
+    qty: line.qty,
+    unitPrice: line.price,
+    grossCents: toCents(line.price * line.qty),
+    taxRate
+  }));
+
+  const discounts = allocateCents(toCents(order.discount), lines.map(line => line.grossCents));
+  lines.forEach((line, index) => {
+    line.discountCents = discounts[index];
+    line.taxableCents = line.grossCents - discounts[index];
+  });
+
+  if (order.serviceCharge > 0) {
+    const serviceChargeCents = toCents(order.serviceCharge);
+    lines.push({
+      kind: 'service-charge',
+      description: order.serviceChargeLabel || 'Service charge',
+      qty: 1,
+      unitPrice: fromCents(serviceChargeCents),
+      grossCents: serviceChargeCents,
+      discountCents: 0,
+      taxableCents: serviceChargeCents,
+      taxRate: serviceChargeTaxable ? taxRate : 0
+    });
+  }
+
+  const taxes = allocateCents(toCents(order.tax), lines.map(line => (line.taxRate > 0 ? line.taxableCents : 0)));
+
+  const invoiceLines = lines.map((line, index) => ({
+    kind: line.kind,
+    orderItemId: line.orderItemId,
+    description: line.description,
+    qty: line.qty,
+    unitPrice: line.unitPrice,
+    grossAmount: fromCents(line.grossCents),
+    discount: fromCents(line.discountCents),
+    taxableAmount: fromCents(line.taxableCents),
+    taxRate: line.taxRate,
+    tax: fromCents(taxes[index]),
+    total: fromCents(line.taxableCents + taxes[index])
+  }));
+
+  return { lines: invoiceLines, ...summarizeLines(invoiceLines, order.refundAdjustment || 0) };
+};
+
+/**
+ * Credit note lines for part or all of an invoice. Crediting what is left of
+ * a line takes back exactly its remaining amounts; a partial quantity takes
+ * its share, rounded to the cent. The total never goes beyond what is left
+ * to credit on the invoice. Throws an ApiError (400) for unknown or repeated
+ * lines and quantities beyond what is left.
+ * @param {Object} invoice - Invoice document
+ * @param {Object[]} [requested] - [{ lineId, qty }]; omitted credits everything left
+ * @returns {Object} { lines, ...totals } of the credit note
+ */
+const buildCreditLines = (invoice, requested) => {
+  const remainingQty = line => line.qty - (line.credited ? line.credited.qty : 0);
+
+  if (requested && new Set(requested.map(entry => String(entry.lineId))).size !== requested.length) {
+    throw new ApiError('Each invoice line can only be listed once', 400);
+  }
+
+  const wanted = requested
+    ? requested.map((entry) => {
+      const line = invoice.lines.id(entry.lineId);
+      if (!line) {
+        throw new ApiError(`Line ${entry.lineId} is not on invoice ${invoice.invoiceNumber}`, 400);
+      }
+      return { line, qty: entry.qty || remainingQty(line) };
+    })
+    : invoice.lines.filter(line => remainingQty(line) > 0).map(line => ({ line, qty: remainingQty(line) }));
+
+  if (wanted.length === 0) {
+    throw new ApiError(`Invoice ${invoice.invoiceNumber} has been credited in full`, 409);
+  }
+
+  const lines = wanted.map(({ line, qty }) => {
+    if (qty > remainingQty(line)) {
+      throw new ApiError(`Only ${remainingQty(line)} of ${line.description} can still be credited`, 400);
+    }
+
+    const rest = qty === remainingQty(line);
+    const amounts = {};
+    AMOUNT_FIELDS.forEach((field) => {
+      const cents = rest
+        ? toCents(line[field]) - toCents(line.credited[field])
+        : Math.round((toCents(line[field]) * qty) / line.qty);
+      amounts[field] = fromCents(cents);
+    });
+
+    return {
+      kind: line.kind,
+      orderItemId: line.orderItemId,
+      sourceLineId: line._id,
+      description: line.description,
+      qty,
+      unitPrice: line.unitPrice,
+      ...amounts,
+      taxRate: line.taxRate,
+      total: fromCents(toCents(amounts.taxableAmount) + toCents(amounts.tax))
+    };
+  });
+
+  // Refunds already taken off the invoice total are not credited a second time
+  const totals = summarizeLines(lines);
+  const creditable = toCents(invoice.totalAmount) - toCents(invoice.creditedAmount);
+  const excess = toCents(totals.totalAmount) - creditable;
+  return { lines, ...(excess > 0 ? summarizeLines(lines, fromCents(excess)) : totals) };
+};
+
+/**
+ * Record credit note lines against the invoice lines they correct and update
+ * the invoice's status (not saved)
+ * @param {Object} invoice - Invoice document
+ * @param {Object} creditNote - Credit note data from buildCreditLines
+ */
+const applyCredit = (invoice, creditNote) => {
+  creditNote.lines.forEach((creditLine) => {
+    const line = invoice.lines.id(creditLine.sourceLineId);
+    line.credited.qty += creditLine.qty;
+    AMOUNT_FIELDS.forEach((field) => {
+      line.credited[field] = fromCents(toCents(line.credited[field]) + toCents(creditLine[field]));
+    });
+  });
+
+  invoice.creditedAmount = fromCents(toCents(invoice.creditedAmount) + toCents(creditNote.totalAmount));
+  if (invoice.lines.every(line => line.credited.qty >= line.qty)) {
+    invoice.status = 'credited';
+  } else {
+    invoice.status = invoice.lines.some(line => line.credited.qty > 0) ? 'partially-credited' : 'issued';
+  }
+};
+
+/**
+ * Undo applyCredit for a credit note that could not be issued (not saved)
+ * @param {Object} invoice - Invoice document
+ * @param {Object} creditNote - Credit note data from buildCreditLines
+ */
+const revertCredit = (invoice, creditNote) => {
+  const negate = entry => Object.fromEntries(Object.entries(entry).map(([key, value]) => [key, typeof value === 'number' ? -value : value]));
+  applyCredit(invoice, { lines: creditNote.lines.map(negate), totalAmount: -creditNote.totalAmount });
+};
+
+/**
+ * Issue a document with the next number of its series. Numbers come from the
+ * documents themselves (last number + 1, unique per outlet and type), so a
+ * failed issue never leaves a gap; a concurrent issue that takes the number
+ * first makes this one retry with the next.
+ * @param {Object} outlet - Outlet user
+ * @param {Object} data - Invoice data without sequence and invoiceNumber
+ * @returns {Promise<Object>} The Invoice document
+ */
+const issueInvoice = async (outlet, data) => {
+  // Reject invalid documents before they can take a number
+  await new Invoice({ ...data, sequence: 1, invoiceNumber: '-' }).validate();
+
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const last = await Invoice.findOne({ outletId: outlet._id, type: data.type })
+      .sort({ sequence: -1 })
+      .select('sequence')
+      .lean();
+    const sequence = last ? last.sequence + 1 : 1;
+
+    try {
+      return await Invoice.create({
+        ...data,
+        sequence,
+        invoiceNumber: formatInvoiceNumber(outlet, data.type, sequence)
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      if (error.keyPattern && error.keyPattern.orderId) {
+        throw new ApiError(`Order ${data.orderNumber} has already been invoiced`, 409);
+      }
+    }
+  }
+
+  throw new ApiError('Could not allocate an invoice number. Try again.', 409);
+};
+
+module.exports = {
+  DEFAULT_PREFIXES,
+  getSellerDetails,
+  formatInvoiceNumber,
+  buildInvoiceLines,
+  buildCreditLines,
+  applyCredit,
+  revertCredit,
+  issueInvoice,
+};
@@ -0,0 +1,219 @@
+/**
+ * Invoice Rendering Utilities
+ * Lays out an invoice or credit note on an A4 page and renders it as plain
+ * text, PDF, or an HTML page for printing or emailing
+ */
+
+const { DEFAULT_TIMEZONE } = require('./menu-availability');
+const { wrap, columns, formatPrintedAt, rowsToText, escapeHtml } = require('./print-layout');
+const { DEFAULT_PDF_WIDTH, rowsToPdf } = require('./pdf-writer');
+
+const money = amount => (amount || 0).toFixed(2);
+const rate = taxRate => `${Number((taxRate || 0).toFixed(2))}%`;
+
+const DOCUMENT_TITLES = { invoice: 'TAX INVOICE', 'credit-note': 'CREDIT NOTE' };
+
+// Line table columns after the description, right-aligned
+const LINE_COLUMNS = [
+  { label: 'Qty', width: 5, value: line => String(line.qty) },
+  { label: 'Unit', width: 10, value: line => money(line.unitPrice) },
+  { label: 'Discount', width: 10, value: line => money(line.discount) },
+  { label: 'Taxable', width: 11, value: line => money(line.taxableAmount) },
+  { label: 'Rate', width: 7, value: line => rate(line.taxRate) },
+  { label: 'Tax', width: 9, value: line => money(line.tax) },
+  { label: 'Total', width: 11, value: line => money(line.total) }
+];
+
+// Description lines of a party block
+const partyLines = (party = {}) => [
+  party.name,
+  party.address,
+  party.taxId && `Tax ID: ${party.taxId}`,
+  party.email,
+  party.phone && `Tel: ${party.phone}`
+].filter(Boolean);
+
+const documentTitle = invoice => `${DOCUMENT_TITLES[invoice.type]} ${invoice.invoiceNumber}`;
+
+/**
+ * Lay out an invoice or credit note as rows of { text, align, bold, large }
+ * @param {Object} invoice - Invoice document or plain object
+ * @param {Object} options - { width, timeZone, footer }
+ * @returns {Object[]} Rows
+ */
+const layoutInvoice = (invoice, { width = DEFAULT_PDF_WIDTH, timeZone = DEFAULT_TIMEZONE, footer } = {}) => {
+  const rows = [];
+  const rule = { text: '-'.repeat(width) };
+  const blank = { text: '' };
+  const descriptionWidth = width - LINE_COLUMNS.reduce((sum, column) => sum + column.width, 0);
+  const tableRow = (description, cells) => description.padEnd(descriptionWidth).slice(0, descriptionWidth)
+    + cells.map((cell, index) => cell.padStart(LINE_COLUMNS[index].width)).join('');
+  const amountRow = (label, amount, bold = false) => ({
+    text: ' '.repeat(width - 36) + columns(label, money(amount), 36),
+    bold
+  });
+
+  rows.push({ text: DOCUMENT_TITLES[invoice.type], align: 'center', bold: true, large: true });
+  rows.push(blank);
+  partyLines(invoice.seller).forEach((text, index) => {
+    wrap(text, width).forEach(line => rows.push({ text: line, bold: index === 0 }));
+  });
+  rows.push(blank);
+
+  rows.push({ text: columns(`${invoice.type === 'invoice' ? 'Invoice' : 'Credit note'} no: ${invoice.invoiceNumber}`,
+    `Date: ${formatPrintedAt(invoice.issuedAt, timeZone)}`, width), bold: true });
+  rows.push({ text: `Order: ${invoice.orderNumber}` });
+  if (invoice.type === 'credit-note') {
+    rows.push({ text: `Credits invoice: ${invoice.creditNoteForNumber}` });
+    if (invoice.reason) wrap(`Reason: ${invoice.reason}`, width).forEach(text => rows.push({ text }));
+  }
+
+  const customer = partyLines(invoice.customer);
+  if (customer.length > 0) {
+    rows.push(blank);
+    rows.push({ text: 'Bill to:', bold: true });
+    customer.forEach(text => wrap(text, width).forEach(line => rows.push({ text: line })));
+  }
+
+  rows.push(blank);
+  rows.push({ text: tableRow('Description', LINE_COLUMNS.map(column => column.label)), bold: true });
+  rows.push(rule);
+  invoice.lines.forEach((line) => {
+    const [first, ...rest] = wrap(line.description, descriptionWidth - 1);
+    rows.push({ text: tableRow(first, LINE_COLUMNS.map(column => column.value(line))) });
+    rest.forEach(text => rows.push({ text: `  ${text}` }));
+  });
+  rows.push(rule);
+
+  rows.push(amountRow('Subtotal', invoice.subtotal));
+  if (invoice.discount > 0) rows.push(amountRow('Discount', -invoice.discount));
+  if (invoice.serviceCharge > 0) rows.push(amountRow('Service charge', invoice.serviceCharge));
+  rows.push(amountRow('Tax', invoice.tax));
+  if (invoice.adjustment > 0) rows.push(amountRow('Adjustment', -invoice.adjustment));
+  rows.push(amountRow(invoice.type === 'invoice' ? 'TOTAL' : 'TOTAL CREDITED', invoice.totalAmount, true));
+  if (invoice.type === 'invoice' && invoice.creditedAmount > 0) {
+    rows.push(amountRow('Credited', -invoice.creditedAmount));
+  }
+
+  rows.push(blank);
+  rows.push({ text: 'TAX SUMMARY', bold: true });
+  rows.push({ text: `${'Rate'.padEnd(10)}${'Taxable'.padStart(14)}${'Tax'.padStart(12)}`, bold: true });
+  invoice.taxBreakdown.forEach((entry) => {
+    rows.push({ text: `${rate(entry.taxRate).padEnd(10)}${money(entry.taxableAmount).padStart(14)}${money(entry.tax).padStart(12)}` });
+  });
+
+  if (invoice.notes) {
+    rows.push(blank);
+    wrap(invoice.notes, width).forEach(text => rows.push({ text }));
+  }
+  if (footer) {
+    rows.push(blank);
+    wrap(footer, width).forEach(text => rows.push({ text, align: 'center' }));
+  }
+
+  return rows;
+};
+
+/**
+ * Render an invoice or credit note as plain text
+ * @param {Object} invoice - Invoice document or plain object
+ * @param {Object} options - { width, timeZone, footer }
+ * @returns {string} Document text
+ */
+const renderInvoiceText = (invoice, options = {}) => {
+  return rowsToText(layoutInvoice(invoice, options), options.width || DEFAULT_PDF_WIDTH);
+};
+
+/**
+ * Render an invoice or credit note as an A4 PDF
+ * @param {Object} invoice - Invoice document or plain object
+ * @param {Object} options - { timeZone, footer }
+ * @returns {Buffer} PDF bytes
+ */
+const renderInvoicePdf = (invoice, options = {}) => {
+  return rowsToPdf(layoutInvoice(invoice, { ...options, width: DEFAULT_PDF_WIDTH }), { title: documentTitle(invoice) });
+};
+
+/**
+ * Render an invoice or credit note as a standalone HTML page sized for A4
+ * @param {Object} invoice - Invoice document or plain object
+ * @param {Object} options - { timeZone, footer }
+ * @returns {string} HTML document
+ */
+const renderInvoiceHtml = (invoice, { timeZone = DEFAULT_TIMEZONE, footer } = {}) => {
+  const party = details => partyLines(details)
+    .map((text, index) => (index === 0 ? `<strong>${escapeHtml(text)}</strong>` : escapeHtml(text)))
+    .join('<br>');
+  const totalRow = (label, amount, className = '') => `<tr${className ? ` class="${className}"` : ''}><th>${label}</th><td>${money(amount)}</td></tr>`;
+
+  const lines = invoice.lines.map(line => `<tr><td class="text">${escapeHtml(line.description)}</td>`
+    + LINE_COLUMNS.map(column => `<td>${escapeHtml(column.value(line))}</td>`).join('') + '</tr>').join('\n');
+  const taxes = invoice.taxBreakdown.map(entry => `<tr><td class="text">${rate(entry.taxRate)}</td>`
+    + `<td>${money(entry.taxableAmount)}</td><td>${money(entry.tax)}</td></tr>`).join('\n');
+
+  const totals = [
+    totalRow('Subtotal', invoice.subtotal),
+    invoice.discount > 0 && totalRow('Discount', -invoice.discount),
+    invoice.serviceCharge > 0 && totalRow('Service charge', invoice.serviceCharge),
+    totalRow('Tax', invoice.tax),
+    invoice.adjustment > 0 && totalRow('Adjustment', -invoice.adjustment),
+    totalRow(invoice.type === 'invoice' ? 'Total' : 'Total credited', invoice.totalAmount, 'grand'),
+    invoice.type === 'invoice' && invoice.creditedAmount > 0 && totalRow('Credited', -invoice.creditedAmount)
+  ].filter(Boolean).join('\n');
+
+  const customer = party(invoice.customer);
+  const reference = invoice.type === 'credit-note'
+    ? `<br>Credits invoice: ${escapeHtml(invoice.creditNoteForNumber)}${invoice.reason ? `<br>Reason: ${escapeHtml(invoice.reason)}` : ''}`
+    : '';
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(documentTitle(invoice))}</title>
+<style>
+  @page { size: A4; margin: 15mm; }
+  body { font-family: Helvetica, Arial, sans-serif; font-size: 12px; color: #222; margin: 0; }
+  h1 { font-size: 22px; margin: 0 0 16px; }
+  .parties { display: flex; justify-content: space-between; margin-bottom: 16px; }
+  .meta { text-align: right; }
+  table { border-collapse: collapse; width: 100%; margin-bottom: 16px; }
+  th, td { padding: 4px 6px; text-align: right; }
+  .lines th { border-bottom: 1px solid #222; }
+  .lines td { border-bottom: 1px solid #ddd; }
+  .text { text-align: left; }
+  .totals { width: 40%; margin-left: auto; }
+  .totals .grand { font-weight: bold; border-top: 1px solid #222; }
+  .taxes { width: 50%; }
+  .taxes th { border-bottom: 1px solid #222; }
+  footer { margin-top: 24px; text-align: center; color: #555; }
+</style>
+</head>
+<body>
+<h1>${DOCUMENT_TITLES[invoice.type]}</h1>
+<div class="parties">
+<div>${party(invoice.seller)}</div>
+<div class="meta"><strong>${escapeHtml(invoice.invoiceNumber)}</strong><br>${escapeHtml(formatPrintedAt(invoice.issuedAt, timeZone))}<br>Order: ${escapeHtml(invoice.orderNumber)}${reference}</div>
+</div>
+${customer ? `<p>Bill to:<br>${customer}</p>\n` : ''}<table class="lines">
+<tr><th class="text">Description</th>${LINE_COLUMNS.map(column => `<th>${column.label}</th>`).join('')}</tr>
+${lines}
+</table>
+<table class="totals">
+${totals}
+</table>
+<table class="taxes">
+<tr><th class="text">Tax rate</th><th>Taxable</th><th>Tax</th></tr>
+${taxes}
+</table>
+${invoice.notes ? `<p>${escapeHtml(invoice.notes)}</p>\n` : ''}${footer ? `<footer>${escapeHtml(footer)}</footer>\n` : ''}</body>
+</html>
+`;
+};
+
+module.exports = {
+  layoutInvoice,
+  renderInvoiceText,
+  renderInvoicePdf,
+  renderInvoiceHtml,
+};
@@ -0,0 +1,167 @@
+/**
+ * KOT Helper Utilities
+ * Generates kitchen order tickets from an order's lines, either for the
+ * whole order or only for what was added since the last ticket, and
+ * cancellation tickets for sent portions taken off an order
+ */
+
+const Kot = require('../models/Kot');
+const Order = require('../models/Order');
+const OrderItem = require('../models/OrderItem');
+const { ApiError } = require('./errorHandler');
+const { allocateKotNumber } = require('./sequence-helpers');
+
+// Ticket line for an order line; components are printed under their combo's name
+const toKotLine = (line, qty, comboName) => ({
+  orderItemId: line._id,
+  itemName: line.itemName,
+  variantName: line.variantName,
+  comboName,
+  comboSlot: line.comboSlot,
+  qty,
+  modifiers: (line.modifiers || []).map(mod => (mod.groupName ? `${mod.groupName}: ${mod.name}` : mod.name)),
+  notes: line.notes,
+  station: line.station
+});
+
+// Number and save a ticket for an order
+const createKot = async (order, outlet, user, { type, station, lines }) => {
+  const now = new Date();
+  return Kot.create({
+    kotNumber: await allocateKotNumber(outlet, now),
+    orderId: order._id,
+    orderNumber: order.orderNumber,
+    displayToken: order.displayToken,
+    tableNumber: order.tableNumber,
+    orderType: order.orderType,
+    type,
+    station,
+    lines,
+    orderNotes: order.notes,
+    printCount: 1,
+    lastPrintedAt: now,
+    createdBy: user._id,
+    outletId: order.outletId
+  });
+};
+
+/**
+ * Generate a KOT for an order. Lines are claimed atomically (their kotQty is
+ * raised to qty) so two terminals printing at once never send the same
+ * portion to the kitchen twice; if the ticket cannot be created the claims
+ * are released again. Throws an ApiError (409) when there is nothing new to
+ * send.
+ * @param {Object} order - Order document
+ * @param {Object} outlet - Outlet user (provides _id, timezone, orderNumbering)
+ * @param {Object} user - User generating the ticket
+ * @param {Object} [options] - { mode: 'new' | 'full', station }
+ * @returns {Promise<Object>} The saved Kot document
+ */
+const generateKot = async (order, outlet, user, { mode = 'new', station = null } = {}) => {
+  const query = { orderId: order._id, lineType: { $ne: 'combo' }, isVoided: { $ne: true } };
+  if (station) query.station = station;
+
+  const candidates = await OrderItem.find(query).sort({ createdAt: 1, _id: 1 }).lean();
+  const comboIds = [...new Set(candidates.filter(line => line.parentItemId).map(line => line.parentItemId.toString()))];
+  const combos = await OrderItem.find({ _id: { $in: comboIds } }).select('itemName').lean();
+  const comboNames = new Map(combos.map(combo => [combo._id.toString(), combo.itemName]));
+
+  const lines = [];
+  const claims = [];
+  for (const line of candidates) {
+    const sentQty = line.kotQty || 0;
+    const qty = mode === 'full' ? line.qty : line.qty - sentQty;
+    if (qty <= 0) continue;
+
+    // Claim the unsent quantity; skip the line if another ticket just took it
+    if (line.qty > sentQty) {
+      const claimed = await OrderItem.updateOne({ _id: line._id, kotQty: line.kotQty }, { kotQty: line.qty });
+      if (claimed.modifiedCount > 0) {
+        claims.push({ _id: line._id, from: sentQty, to: line.qty });
+      } else if (mode !== 'full') {
+        continue;
+      }
+    }
+
+    lines.push(toKotLine(line, qty, line.parentItemId ? comboNames.get(line.parentItemId.toString()) : undefined));
+  }
+
+  if (lines.length === 0) {
+    throw new ApiError(mode === 'full' ? 'Order has no items to send to the kitchen' : 'No new items since the last KOT', 409);
+  }
+
+  let kot;
+  try {
+    const hasEarlierTicket = await Kot.exists({ orderId: order._id, station, type: { $ne: 'cancellation' } });
+    kot = await createKot(order, outlet, user, {
+      type: mode === 'new' && hasEarlierTicket ? 'incremental' : 'full',
+      station,
+      lines
+    });
+  } catch (error) {
+    // No ticket was printed; hand the claimed quantities back so the next KOT sends them
+    await Promise.all(claims.map(claim => (
+      OrderItem.updateOne({ _id: claim._id, kotQty: claim.to }, { kotQty: claim.from })
+    ))).catch(releaseError => console.error('Error releasing KOT claims:', releaseError));
+    throw error;
+  }
+
+  await Order.updateOne(
+    { _id: order._id },
+    { kotGenerated: true, kotGeneratedAt: kot.lastPrintedAt }
+  );
+
+  return kot;
+};
+
+/**
+ * Tell the kitchen about portions that were sent on a ticket and have since
+ * been taken off the order. Each line's kotQty is lowered to its new quantity,
+ * so a later increase is sent again, and a cancellation ticket lists what was
+ * dropped. Portions that were never sent need no ticket.
+ * @param {Object} order - Order document
+ * @param {Object} outlet - Outlet user (provides _id, timezone, orderNumbering)
+ * @param {Object} user - User changing the order
+ * @param {Object[]} lines - The changed line and its combo components, as loaded before the change
+ * @param {number} qty - Their new quantity; 0 when they were removed
+ * @returns {Promise<Object|null>} The cancellation Kot, or null when nothing sent was dropped
+ */
+const cancelSentQty = async (order, outlet, user, lines, qty) => {
+  const combo = lines.find(line => line.lineType === 'combo');
+  const cancelled = [];
+
+  for (const line of lines) {
+    const sentQty = line.kotQty || 0;
+    if (line.lineType === 'combo' || sentQty <= qty) continue;
+
+    // Removed lines are gone already; a line a ticket claimed in the meantime is left as it is
+    if (qty > 0) {
+      const lowered = await OrderItem.updateOne({ _id: line._id, kotQty: sentQty }, { kotQty: qty });
+      if (lowered.modifiedCount === 0) continue;
+    }
+
+    cancelled.push(toKotLine(line, sentQty - qty, line.parentItemId && combo ? combo.itemName : undefined));
+  }
+
+  if (cancelled.length === 0) return null;
+  return createKot(order, outlet, user, { type: 'cancellation', station: null, lines: cancelled });
+};
+
+/**
+ * Record a reprint of a ticket
+ * @param {Object} kot - Kot document
+ * @returns {Promise<Object>} The updated Kot document
+ */
+const recordReprint = async (kot) => {
+  return Kot.findByIdAndUpdate(
+    kot._id,
+    { $inc: { printCount: 1 }, lastPrintedAt: new Date() },
+    { new: true }
+  );
+};
+
+module.exports = {
+  generateKot,
+  cancelSentQty,
+  recordReprint,
+};
@@ -0,0 +1,117 @@
+/**
+ * KOT Rendering Utilities
+ * Lays out a kitchen order ticket once and renders it as plain text,
+ * ESC/POS bytes for thermal printers, or HTML
+ */
+
+const { DEFAULT_TIMEZONE } = require('./menu-availability');
+const { DEFAULT_WIDTH, wrap, formatPrintedAt, rowsToText, rowsToEscPos, rowsToHtml } = require('./print-layout');
+
+const ORDER_TYPE_LABELS = { 'dine-in': 'Dine-in', takeaway: 'Takeaway', delivery: 'Delivery' };
+
+/**
+ * Lay out a ticket as rows of { text, align, bold, large }, independent of the output format
+ * @param {Object} kot - Kot document or plain object
+ * @param {Object} options - { duplicate, width, timeZone }
+ * @returns {Object[]} Rows
+ */
+const layoutKot = (kot, { duplicate = false, width = DEFAULT_WIDTH, timeZone = DEFAULT_TIMEZONE } = {}) => {
+  const rows = [];
+  const rule = { text: '-'.repeat(width) };
+  const printedAt = formatPrintedAt(kot.createdAt, timeZone);
+
+  rows.push({ text: `KOT #${kot.kotNumber}`, align: 'center', bold: true, large: true });
+  if (duplicate) {
+    rows.push({ text: '*** DUPLICATE ***', align: 'center', bold: true });
+  }
+  if (kot.type === 'incremental') {
+    rows.push({ text: 'ADDITIONAL ITEMS', align: 'center', bold: true });
+  }
+  if (kot.type === 'cancellation') {
+    rows.push({ text: '*** CANCELLED ITEMS ***', align: 'center', bold: true });
+  }
+  if (kot.station) {
+    rows.push({ text: `Station: ${kot.station.toUpperCase()}`, align: 'center', bold: true });
+  }
+
+  rows.push(rule);
+  rows.push({ text: `Order: ${kot.orderNumber}` });
+  if (kot.displayToken) rows.push({ text: `Token: ${kot.displayToken}`, bold: true });
+  if (kot.tableNumber) rows.push({ text: `Table: ${kot.tableNumber}`, bold: true });
+  if (kot.orderType) rows.push({ text: ORDER_TYPE_LABELS[kot.orderType] || kot.orderType });
+  rows.push({ text: printedAt });
+  rows.push(rule);
+
+  let currentCombo = null;
+  kot.lines.forEach((line) => {
+    if (line.comboName && line.comboName !== currentCombo) {
+      rows.push({ text: `[${line.comboName}]`, bold: true });
+    }
+    currentCombo = line.comboName || null;
+
+    const qty = `${line.qty} x `;
+    const indent = ' '.repeat(qty.length);
+    const name = [line.comboSlot ? `${line.comboSlot}: ` : '', line.itemName, line.variantName ? ` (${line.variantName})` : ''].join('');
+
+    wrap(name, width - qty.length).forEach((text, index) => {
+      rows.push({ text: `${index === 0 ? qty : indent}${text}`, bold: true });
+    });
+    // Modifiers and notes hang under the item name with a marker
+    const addDetail = (marker, text) => {
+      wrap(text, width - indent.length - 2).forEach((part, index) => {
+        rows.push({ text: `${indent}${index === 0 ? marker : ' '} ${part}` });
+      });
+    };
+    (line.modifiers || []).forEach(modifier => addDetail('+', modifier));
+    if (line.notes) addDetail('*', line.notes);
+  });
+
+  rows.push(rule);
+  if (kot.orderNotes) {
+    wrap(`Notes: ${kot.orderNotes}`, width).forEach(text => rows.push({ text }));
+    rows.push(rule);
+  }
+  if (duplicate) {
+    rows.push({ text: `Reprint ${kot.printCount - 1}`, align: 'center' });
+  }
+
+  return rows;
+};
+
+/**
+ * Render a ticket as plain text
+ * @param {Object} kot - Kot document or plain object
+ * @param {Object} options - { duplicate, width, timeZone }
+ * @returns {string} Ticket text
+ */
+const renderKotText = (kot, options = {}) => {
+  return rowsToText(layoutKot(kot, options), options.width || DEFAULT_WIDTH);
+};
+
+/**
+ * Render a ticket as ESC/POS commands for thermal printers
+ * @param {Object} kot - Kot document or plain object
+ * @param {Object} options - { duplicate, width, timeZone }
+ * @returns {Buffer} Printer bytes
+ */
+const renderKotEscPos = (kot, options = {}) => {
+  return rowsToEscPos(layoutKot(kot, options));
+};
+
+/**
+ * Render a ticket as a standalone HTML page sized for an 80mm roll
+ * @param {Object} kot - Kot document or plain object
+ * @param {Object} options - { duplicate, width, timeZone }
+ * @returns {string} HTML document
+ */
+const renderKotHtml = (kot, options = {}) => {
+  return rowsToHtml(layoutKot(kot, options), `KOT #${kot.kotNumber}${options.duplicate ? ' (DUPLICATE)' : ''}`);
+};
+
+module.exports = {
+  ORDER_TYPE_LABELS,
+  layoutKot,
+  renderKotText,
+  renderKotEscPos,
+  renderKotHtml,
+};
@@ -0,0 +1,179 @@
+/**
+ * Menu Availability Utilities
+ * Evaluates day-part availability windows and time-bound price overrides
+ * in the outlet's local timezone
+ */
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'Asia/Kolkata';
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Check whether a string is a timezone the runtime understands
+ * @param {string} timeZone - IANA timezone name
+ * @returns {boolean} True if valid
+ */
+const isValidTimezone = (timeZone) => {
+  if (typeof timeZone !== 'string' || timeZone.length === 0) {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Get the day of week and minutes since midnight for an instant in a timezone
+ * @param {Date} date - Instant to convert
+ * @param {string} timeZone - IANA timezone name
+ * @returns {{ dayOfWeek: number, minutes: number }} Local day (0 = Sunday) and minute of day
+ */
+const getLocalTime = (date, timeZone = DEFAULT_TIMEZONE) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: isValidTimezone(timeZone) ? timeZone : DEFAULT_TIMEZONE,
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+
+  const part = (type) => parts.find(p => p.type === type).value;
+
+  return {
+    dayOfWeek: WEEKDAYS.indexOf(part('weekday')),
+    minutes: parseInt(part('hour')) * 60 + parseInt(part('minute'))
+  };
+};
+
+/**
+ * Convert an HH:mm string to minutes since midnight
+ * @param {string} time - Time of day in HH:mm
+ * @returns {number} Minutes since midnight
+ */
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Check if a local time falls inside a recurring window.
+ * Windows that end before they start run past midnight and belong to their start day.
+ * @param {Object} window - Object with daysOfWeek, startTime, endTime
+ * @param {{ dayOfWeek: number, minutes: number }} local - Result of getLocalTime
+ * @returns {boolean} True if inside the window
+ */
+const isWithinWindow = (window, local) => {
+  const days = window.daysOfWeek && window.daysOfWeek.length > 0 ? window.daysOfWeek : [0, 1, 2, 3, 4, 5, 6];
+  const start = toMinutes(window.startTime);
+  const end = toMinutes(window.endTime);
+
+  if (start <= end) {
+    return days.includes(local.dayOfWeek) && local.minutes >= start && local.minutes < end;
+  }
+
+  // Overnight window: the evening part is on the start day, the early hours on the next day
+  if (local.minutes >= start) {
+    return days.includes(local.dayOfWeek);
+  }
+  if (local.minutes < end) {
+    return days.includes((local.dayOfWeek + 6) % 7);
+  }
+  return false;
+};
+
+/**
+ * Check whether a menu item can be ordered at a given instant
+ * @param {Object} menuItem - MenuItem document or plain object
+ * @param {Date} date - Instant to check
+ * @param {string} timeZone - Outlet timezone
+ * @returns {boolean} True if the item is active and inside one of its windows
+ */
+const isAvailableAt = (menuItem, date = new Date(), timeZone = DEFAULT_TIMEZONE) => {
+  if (!menuItem.isActive) {
+    return false;
+  }
+
+  const windows = menuItem.availability || [];
+  if (windows.length === 0) {
+    return true;
+  }
+
+  const local = getLocalTime(date, timeZone);
+  return windows.some(window => isWithinWindow(window, local));
+};
+
+/**
+ * Check whether a menu item is "86'd" at a given instant.
+ * A sold-out flag with an expired soldOutUntil no longer counts.
+ * @param {Object} menuItem - MenuItem document or plain object
+ * @param {Date} date - Instant to check
+ * @returns {boolean} True if the item cannot be ordered because it ran out
+ */
+const isSoldOutAt = (menuItem, date = new Date()) => {
+  if (menuItem.stockCount !== null && menuItem.stockCount !== undefined && menuItem.stockCount <= 0) {
+    return true;
+  }
+  if (!menuItem.isSoldOut) {
+    return false;
+  }
+  return !menuItem.soldOutUntil || new Date(menuItem.soldOutUntil) > date;
+};
+
+/**
+ * Get the base price once scheduled price changes that are already due are taken
+ * into account, so pricing is correct before the scheduler persists them
+ * @param {Object} menuItem - MenuItem document or plain object
+ * @param {Date} date - Instant to check
+ * @param {string|null} variantId - Variant the price belongs to, or null for the item
+ * @param {number} currentPrice - Stored price
+ * @returns {number} Base price in effect
+ */
+const getScheduledBasePrice = (menuItem, date, variantId, currentPrice) => {
+  const due = (menuItem.scheduledPriceChanges || [])
+    .filter(change => (change.variantId ? change.variantId.toString() : null) === variantId)
+    .filter(change => new Date(change.effectiveAt) <= date)
+    .sort((a, b) => new Date(b.effectiveAt) - new Date(a.effectiveAt));
+
+  return due.length > 0 ? due[0].price : currentPrice;
+};
+
+/**
+ * Get the price that applies at a given instant, honoring price overrides.
+ * The first matching override wins, so list more specific overrides first.
+ * @param {Object} menuItem - MenuItem document or plain object
+ * @param {Date} date - Instant to check
+ * @param {string} timeZone - Outlet timezone
+ * @param {Object} [variant] - Chosen variant; its price replaces the item price
+ * @returns {number} Effective unit price
+ */
+const getEffectivePrice = (menuItem, date = new Date(), timeZone = DEFAULT_TIMEZONE, variant = null) => {
+  const variantId = variant ? variant._id.toString() : null;
+  const basePrice = getScheduledBasePrice(menuItem, date, variantId, variant ? variant.price : menuItem.price);
+  const overrides = (menuItem.priceOverrides || []).filter(candidate => (
+    (candidate.variantId ? candidate.variantId.toString() : null) === variantId
+  ));
+  if (overrides.length === 0) {
+    return basePrice;
+  }
+
+  const local = getLocalTime(date, timeZone);
+  const override = overrides.find((candidate) => {
+    if (candidate.startDate && date < new Date(candidate.startDate)) return false;
+    if (candidate.endDate && date > new Date(candidate.endDate)) return false;
+    return isWithinWindow(candidate, local);
+  });
+
+  return override ? override.price : basePrice;
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  getLocalTime,
+  isWithinWindow,
+  isAvailableAt,
+  isSoldOutAt,
+  getEffectivePrice,
+};
@@ -0,0 +1,160 @@
+/**
+ * Menu History Utilities
+ * Versioned snapshots of menu items and categories, rollback, and the
+ * scheduler that applies future-dated price changes
+ */
+
+const MenuChange = require('../models/MenuChange');
+const MenuItem = require('../models/MenuItem');
+const { ApiError } = require('./errorHandler');
+
+// Operational or bookkeeping fields that do not create a new version
+const NON_VERSIONED_FIELDS = ['_id', 'id', '__v', 'outletId', 'createdAt', 'updatedAt', 'isSoldOut', 'soldOutUntil', 'stockCount', 'scheduledPriceChanges'];
+
+/**
+ * Plain, JSON-safe snapshot of the versioned fields of a document
+ * @param {Object} doc - Mongoose document or plain object
+ * @returns {Object|null} Snapshot
+ */
+const snapshot = (doc) => {
+  if (!doc) return null;
+  const plain = typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true }) : { ...doc };
+  NON_VERSIONED_FIELDS.forEach(field => delete plain[field]);
+  return JSON.parse(JSON.stringify(plain));
+};
+
+/**
+ * List the top-level fields that differ between two snapshots
+ * @param {Object|null} before - Snapshot before the change
+ * @param {Object|null} after - Snapshot after the change
+ * @returns {string[]} Changed field names
+ */
+const diffFields = (before, after) => {
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  return [...keys].filter(key => (
+    JSON.stringify((before || {})[key]) !== JSON.stringify((after || {})[key])
+  ));
+};
+
+/**
+ * Record a new version of a menu item or category. Updates that change no
+ * versioned field are not recorded.
+ * @param {Object} change - { entityType, before, after, action, changedBy, rolledBackTo }
+ *   where before/after are documents (or null) of the same entity
+ * @returns {Promise<Object|null>} The MenuChange, or null when nothing changed
+ */
+const recordChange = async ({ entityType, before, after, action, changedBy, rolledBackTo }) => {
+  const entity = after || before;
+  const beforeSnapshot = snapshot(before);
+  const afterSnapshot = snapshot(after);
+  const changedFields = diffFields(beforeSnapshot, afterSnapshot);
+
+  if (before && changedFields.length === 0) {
+    return null;
+  }
+
+  // Versions are sequential per entity; retry if a concurrent edit took the number
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const latest = await MenuChange.findOne({ entityId: entity._id }).sort({ version: -1 }).select('version').lean();
+
+    try {
+      return await MenuChange.create({
+        entityType,
+        entityId: entity._id,
+        version: latest ? latest.version + 1 : 1,
+        action,
+        changedFields,
+        before: beforeSnapshot,
+        after: afterSnapshot,
+        rolledBackTo,
+        changedBy,
+        outletId: entity.outletId
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  throw new Error(`Could not record version for ${entityType} ${entity._id}`);
+};
+
+/**
+ * Restore a document to the state recorded by one of its versions and record
+ * the rollback as a new version. Throws an ApiError (404) for unknown versions.
+ * @param {Object} doc - Current Mongoose document (MenuItem or Category)
+ * @param {string} entityType - 'MenuItem' or 'Category'
+ * @param {number} version - Version to restore
+ * @param {Object} changedBy - User ID performing the rollback
+ * @returns {Promise<Object>} The saved document
+ */
+const rollbackTo = async (doc, entityType, version, changedBy) => {
+  const target = await MenuChange.findOne({ entityId: doc._id, version }).lean();
+
+  if (!target || !target.after) {
+    throw new ApiError(`Version ${version} not found`, 404);
+  }
+
+  const before = doc.toObject();
+  Object.entries(target.after).forEach(([field, value]) => {
+    doc.set(field, value);
+  });
+  await doc.save();
+
+  await recordChange({ entityType, before, after: doc, action: 'rollback', changedBy, rolledBackTo: version });
+  return doc;
+};
+
+/**
+ * Apply every scheduled price change that is due. Each change is pulled and
+ * applied atomically, so running this from several processes is safe.
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} Number of changes applied
+ */
+const applyDueScheduledPrices = async (now = new Date()) => {
+  const items = await MenuItem.find({ 'scheduledPriceChanges.effectiveAt': { $lte: now } })
+    .select('_id scheduledPriceChanges')
+    .lean();
+
+  let applied = 0;
+
+  for (const item of items) {
+    const due = item.scheduledPriceChanges
+      .filter(change => change.effectiveAt <= now)
+      .sort((a, b) => a.effectiveAt - b.effectiveAt);
+
+    for (const change of due) {
+      const update = { $pull: { scheduledPriceChanges: { _id: change._id } } };
+      const options = { new: false };
+
+      if (change.variantId) {
+        update.$set = { 'variants.$[variant].price': change.price };
+        options.arrayFilters = [{ 'variant._id': change.variantId }];
+      } else {
+        update.$set = { price: change.price };
+      }
+
+      const before = await MenuItem.findOneAndUpdate(
+        { _id: item._id, 'scheduledPriceChanges._id': change._id },
+        update,
+        options
+      );
+
+      // Another process already applied it
+      if (!before) continue;
+
+      const after = await MenuItem.findById(item._id);
+      await recordChange({ entityType: 'MenuItem', before, after, action: 'scheduled-price', changedBy: change.createdBy });
+      applied++;
+    }
+  }
+
+  return applied;
+};
+
+module.exports = {
+  snapshot,
+  diffFields,
+  recordChange,
+  rollbackTo,
+  applyDueScheduledPrices,
+};
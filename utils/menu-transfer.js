@@ -0,0 +1,439 @@
+/**
+ * Menu Transfer Utilities
+ * CSV/JSON export of an outlet's menu and SKU-keyed bulk import with dry-run planning
+ */
+
+const mongoose = require('mongoose');
+const MenuItem = require('../models/MenuItem');
+const Category = require('../models/Category');
+const { recordChange } = require('./menu-history');
+
+// Column order for CSV files; nested structures are stored as JSON inside a cell
+const CSV_COLUMNS = ['sku', 'name', 'description', 'category', 'station', 'price', 'image', 'isActive', 'dietaryTags', 'spiceLevel', 'allergens', 'variants', 'modifierGroups', 'availability', 'priceOverrides'];
+const JSON_CELL_COLUMNS = ['dietaryTags', 'allergens', 'variants', 'modifierGroups', 'availability', 'priceOverrides'];
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, escaped quotes, embedded newlines)
+ * @param {string} text - CSV content
+ * @returns {string[][]} Records as arrays of fields
+ */
+const parseCsv = (text) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  // Drop blank lines
+  return records.filter(r => r.some(value => value.trim() !== ''));
+};
+
+/**
+ * Quote a value for CSV output when needed
+ * @param {*} value - Cell value
+ * @returns {string} CSV-safe cell
+ */
+const toCsvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const str = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+/**
+ * Serialize exported items to CSV
+ * @param {Object[]} items - Items from exportMenu
+ * @returns {string} CSV content with a header row
+ */
+const itemsToCsv = (items) => {
+  const lines = [CSV_COLUMNS.join(',')];
+  items.forEach((item) => {
+    lines.push(CSV_COLUMNS.map(column => toCsvCell(item[column])).join(','));
+  });
+  return lines.join('\r\n') + '\r\n';
+};
+
+/**
+ * Convert CSV text into import rows. Cells that fail to parse are reported
+ * on the row instead of aborting the whole file.
+ * @param {string} text - CSV content with a header row
+ * @returns {{ categories: Object[], items: Object[] }} Import payload
+ */
+const csvToImport = (text) => {
+  const [header = [], ...records] = parseCsv(text);
+  const columns = header.map(column => column.trim());
+
+  const items = records.map((record) => {
+    const item = { _parseErrors: [] };
+    columns.forEach((column, index) => {
+      const raw = (record[index] || '').trim();
+      if (raw === '') return;
+
+      if (JSON_CELL_COLUMNS.includes(column)) {
+        try {
+          item[column] = JSON.parse(raw);
+        } catch (error) {
+          item._parseErrors.push(`${column} must be valid JSON`);
+        }
+      } else if (column === 'price' || column === 'spiceLevel') {
+        item[column] = Number(raw);
+      } else if (column === 'isActive') {
+        item.isActive = !['false', '0', 'no'].includes(raw.toLowerCase());
+      } else {
+        item[column] = raw;
+      }
+    });
+    return item;
+  });
+
+  return { categories: [], items };
+};
+
+// Variants are referred to by SKU, or by name when they have none, so references survive a copy
+const variantKey = variant => variant.sku || variant.name;
+
+const findVariant = (variants, key) => {
+  const wanted = String(key).toLowerCase();
+  return variants.find(variant => variant.sku === key)
+    || variants.find(variant => (variant.name || '').toLowerCase() === wanted);
+};
+
+/**
+ * Export an outlet's menu in a portable shape (categories referenced by name, no IDs)
+ * @param {string|Object} outletId - Outlet ID
+ * @returns {Promise<{ categories: Object[], items: Object[] }>} Portable menu
+ */
+const exportMenu = async (outletId) => {
+  const categories = await Category.find({ outletId }).sort({ displayOrder: 1, name: 1 }).lean();
+  const categoryNames = new Map(categories.map(category => [category._id.toString(), category.name]));
+
+  const items = await MenuItem.find({ outletId }).sort({ name: 1 }).lean();
+
+  return {
+    categories: categories.map(category => ({
+      name: category.name,
+      description: category.description,
+      displayOrder: category.displayOrder,
+      station: category.station || null,
+      isActive: category.isActive
+    })),
+    items: items.map(item => ({
+      sku: item.sku,
+      name: item.name,
+      description: item.description,
+      category: categoryNames.get(item.categoryId.toString()),
+      station: item.station || null,
+      price: item.price,
+      image: item.image,
+      isActive: item.isActive,
+      dietaryTags: item.dietaryTags || [],
+      spiceLevel: item.spiceLevel,
+      allergens: (item.allergens || []).map(({ allergen, level }) => ({ allergen, level })),
+      variants: (item.variants || []).map(({ name, price, sku, isActive }) => ({ name, price, sku, isActive })),
+      modifierGroups: item.modifierGroups || [],
+      availability: item.availability || [],
+      priceOverrides: (item.priceOverrides || []).map(({ name, price, variantId, daysOfWeek, startTime, endTime, startDate, endDate }) => {
+        const variant = variantId && (item.variants || []).find(v => v._id.equals(variantId));
+        return { name, price, variant: variant ? variantKey(variant) : undefined, daysOfWeek, startTime, endTime, startDate, endDate };
+      })
+    }))
+  };
+};
+
+/**
+ * Build the item fields to write from an import row
+ * @param {Object} row - Import row
+ * @returns {Object} MenuItem fields (without categoryId/outletId)
+ */
+const itemFieldsFromRow = (row) => {
+  const fields = {};
+  ['sku', 'name', 'description', 'station', 'price', 'image', 'isActive', 'dietaryTags', 'spiceLevel', 'allergens', 'variants', 'modifierGroups', 'availability', 'priceOverrides']
+    .forEach((field) => {
+      if (row[field] !== undefined) fields[field] = row[field];
+    });
+  return fields;
+};
+
+/**
+ * Point imported price overrides at the item's variants. Overrides name their
+ * variant (`variant`: SKU or name) instead of carrying an ID.
+ * @param {Object[]} overrides - Price overrides from the import row
+ * @param {Object[]} variants - Variants the item will have, with _id set
+ * @returns {{ priceOverrides: Object[], errors: string[] }} Overrides with variantId, and unknown variants
+ */
+const resolvePriceOverrides = (overrides, variants) => {
+  const errors = [];
+  const priceOverrides = overrides.map(({ variant, variantId, ...override }) => {
+    if (variant === undefined || variant === null || variant === '') return override;
+    const match = findVariant(variants, variant);
+    if (!match) {
+      errors.push(`Price override refers to unknown variant ${variant}`);
+      return override;
+    }
+    return { ...override, variantId: match._id };
+  });
+  return { priceOverrides, errors };
+};
+
+/**
+ * Validate an import against the outlet's current menu without writing anything
+ * @param {string|Object} outletId - Outlet ID
+ * @param {{ categories: Object[], items: Object[] }} payload - Parsed import
+ * @returns {Promise<Object>} Plan with per-category and per-row actions and errors
+ */
+const planImport = async (outletId, payload) => {
+  const existingCategories = await Category.find({ outletId }).lean();
+  const categoryByName = new Map(existingCategories.map(category => [category.name.toLowerCase(), category]));
+
+  const categoryPlan = new Map();
+  const planCategory = (source, explicit = false) => {
+    const key = source.name.toLowerCase();
+    if (categoryPlan.has(key)) return categoryPlan.get(key);
+
+    const existing = categoryByName.get(key);
+    const entry = {
+      name: existing ? existing.name : source.name,
+      action: existing ? 'update' : 'create',
+      categoryId: existing ? existing._id : new mongoose.Types.ObjectId(),
+      explicit,
+      fields: {}
+    };
+    ['description', 'displayOrder', 'station', 'isActive'].forEach((field) => {
+      if (source[field] !== undefined) entry.fields[field] = source[field];
+    });
+    if (existing && Object.keys(entry.fields).length === 0) entry.action = 'unchanged';
+
+    categoryPlan.set(key, entry);
+    return entry;
+  };
+
+  (payload.categories || []).forEach((category) => {
+    if (category && typeof category.name === 'string' && category.name.trim()) {
+      planCategory({ ...category, name: category.name.trim() }, true);
+    }
+  });
+
+  const items = payload.items || [];
+  const skus = items.map(row => (row && typeof row.sku === 'string' ? row.sku.trim() : null)).filter(Boolean);
+  const existingItems = await MenuItem.find({ outletId, sku: { $in: skus } });
+  const itemBySku = new Map(existingItems.map(item => [item.sku, item]));
+  const seenSkus = new Set();
+
+  const rows = [];
+  for (let index = 0; index < items.length; index++) {
+    const row = items[index] || {};
+    const sku = typeof row.sku === 'string' ? row.sku.trim() : '';
+    const errors = [...(row._parseErrors || [])];
+    const entry = { row: index + 1, sku: sku || null, name: row.name || null, action: 'create', errors };
+
+    if (!sku) errors.push('SKU is required');
+    if (sku && seenSkus.has(sku)) errors.push('Duplicate SKU in import');
+    if (typeof row.category !== 'string' || !row.category.trim()) errors.push('Category is required');
+    if (typeof row.price !== 'number' || Number.isNaN(row.price)) errors.push('Price must be a number');
+    if (sku) seenSkus.add(sku);
+
+    const existing = itemBySku.get(sku);
+    if (existing) entry.action = 'update';
+
+    if (errors.length === 0) {
+      const category = planCategory({ name: row.category.trim() });
+      const fields = { ...itemFieldsFromRow({ ...row, sku }), categoryId: category.categoryId, outletId };
+      if (existing && fields.variants) fields.variants = MenuItem.mergeVariantIds(fields.variants, existing.variants);
+      if (fields.variants) {
+        // New variants get their IDs now so price overrides can point at them
+        fields.variants = fields.variants.map(variant => (variant._id ? variant : { ...variant, _id: new mongoose.Types.ObjectId() }));
+      }
+      if (Array.isArray(fields.priceOverrides)) {
+        const resolved = resolvePriceOverrides(fields.priceOverrides, fields.variants || (existing ? existing.variants : []));
+        fields.priceOverrides = resolved.priceOverrides;
+        errors.push(...resolved.errors);
+      }
+
+      const validationError = new MenuItem(fields).validateSync();
+      if (validationError) {
+        Object.values(validationError.errors).forEach(err => errors.push(err.message));
+      }
+
+      const skuConflict = await MenuItem.findSkuConflict(outletId, fields, existing ? existing._id : null);
+      if (skuConflict && skuConflict !== sku) errors.push(`SKU ${skuConflict} already exists`);
+
+      entry.fields = fields;
+      entry.itemId = existing ? existing._id : null;
+      entry.categoryKey = category.name.toLowerCase();
+    }
+
+    if (errors.length > 0) entry.action = 'error';
+    rows.push(entry);
+  }
+
+  // Variant SKUs must also be unique across the rows of the import itself
+  const variantSkuRows = new Map();
+  rows.filter(entry => entry.action !== 'error').forEach((entry) => {
+    (entry.fields.variants || []).filter(variant => variant.sku).forEach((variant) => {
+      const owner = variantSkuRows.get(variant.sku);
+      if (owner !== undefined || seenSkus.has(variant.sku)) {
+        entry.errors.push(`SKU ${variant.sku} is used more than once in the import`);
+        entry.action = 'error';
+      } else {
+        variantSkuRows.set(variant.sku, entry.row);
+      }
+    });
+  });
+
+  const categories = [...categoryPlan.values()];
+  const summary = {
+    categories: {
+      create: categories.filter(c => c.action === 'create').length,
+      update: categories.filter(c => c.action === 'update').length
+    },
+    items: {
+      create: rows.filter(r => r.action === 'create').length,
+      update: rows.filter(r => r.action === 'update').length,
+      error: rows.filter(r => r.action === 'error').length
+    }
+  };
+
+  return { summary, categories, rows };
+};
+
+/**
+ * Apply a plan from planImport. Rows with errors are skipped; categories and
+ * rows that fail while writing are reported as errors, and rows in a category
+ * that could not be written are skipped with an error. Every write is recorded
+ * in menu history.
+ * @param {string|Object} outletId - Outlet ID
+ * @param {Object} plan - Result of planImport
+ * @param {Object} changedBy - User ID running the import
+ * @returns {Promise<Object>} The plan with final per-row actions
+ */
+const commitImport = async (outletId, plan, changedBy) => {
+  const usedCategories = new Set(plan.rows.filter(r => r.action !== 'error').map(r => r.categoryKey));
+
+  for (const category of plan.categories) {
+    // Don't create categories that only rows with errors referred to
+    if (category.action === 'create' && !category.explicit && !usedCategories.has(category.name.toLowerCase())) {
+      category.action = 'skipped';
+      continue;
+    }
+    try {
+      if (category.action === 'create') {
+        const created = await Category.create({ _id: category.categoryId, name: category.name, ...category.fields, outletId });
+        await recordChange({ entityType: 'Category', before: null, after: created, action: 'import', changedBy });
+      } else if (category.action === 'update') {
+        const existing = await Category.findOne({ _id: category.categoryId, outletId });
+        if (!existing) throw new Error(`Category ${category.name} no longer exists`);
+        const before = existing.toObject();
+        existing.set(category.fields);
+        await existing.save();
+        await recordChange({ entityType: 'Category', before, after: existing, action: 'import', changedBy });
+      }
+    } catch (error) {
+      // A category that was never created cannot take items; one that failed to update still can
+      category.errors = [error.code === 11000 ? `Category ${category.name} already exists` : error.message];
+      category.failed = category.action === 'create';
+      category.action = 'error';
+    }
+  }
+
+  const failedCategories = new Map(plan.categories
+    .filter(category => category.failed)
+    .map(category => [category.name.toLowerCase(), category]));
+
+  for (const entry of plan.rows) {
+    if (entry.action === 'error') continue;
+
+    const failedCategory = failedCategories.get(entry.categoryKey);
+    if (failedCategory) {
+      entry.action = 'error';
+      entry.errors.push(`Category ${failedCategory.name} could not be created`);
+      continue;
+    }
+
+    try {
+      if (entry.itemId) {
+        const item = await MenuItem.findOne({ _id: entry.itemId, outletId });
+        if (!item) {
+          entry.action = 'error';
+          entry.errors.push(`Item ${entry.sku} no longer exists; run the import again`);
+          continue;
+        }
+        const before = item.toObject();
+        item.set(entry.fields);
+        await item.save();
+        await recordChange({ entityType: 'MenuItem', before, after: item, action: 'import', changedBy });
+      } else {
+        const item = await MenuItem.create(entry.fields);
+        await recordChange({ entityType: 'MenuItem', before: null, after: item, action: 'import', changedBy });
+      }
+    } catch (error) {
+      entry.action = 'error';
+      entry.errors.push(error.code === 11000 ? `SKU ${entry.sku} already exists` : error.message);
+    }
+  }
+
+  plan.summary.items = {
+    create: plan.rows.filter(r => r.action === 'create').length,
+    update: plan.rows.filter(r => r.action === 'update').length,
+    error: plan.rows.filter(r => r.action === 'error').length
+  };
+  plan.summary.categories = {
+    create: plan.categories.filter(c => c.action === 'create').length,
+    update: plan.categories.filter(c => c.action === 'update').length,
+    error: plan.categories.filter(c => c.action === 'error').length
+  };
+
+  return plan;
+};
+
+/**
+ * Strip internal planning data from a plan before sending it to the client
+ * @param {Object} plan - Result of planImport or commitImport
+ * @returns {Object} Summary, category actions and per-row actions/errors
+ */
+const formatPlan = (plan) => ({
+  summary: plan.summary,
+  categories: plan.categories.map(({ name, action, errors }) => ({ name, action, errors: errors || [] })),
+  rows: plan.rows.map(({ row, sku, name, action, errors }) => ({ row, sku, name, action, errors }))
+});
+
+module.exports = {
+  CSV_COLUMNS,
+  parseCsv,
+  itemsToCsv,
+  csvToImport,
+  exportMenu,
+  planImport,
+  commitImport,
+  formatPlan,
+};
@@ -0,0 +1,133 @@
+/**
+ * Mock Payment Gateway
+ * Local stand-in for a card/UPI acquirer, for development and demos. It keeps
+ * its transactions in memory and signs webhooks with a shared secret the same
+ * way a real gateway would.
+ */
+
+const crypto = require('crypto');
+const { ApiError } = require('./errorHandler');
+
+const SIGNATURE_HEADER = 'x-mock-signature';
+
+// Amounts ending in .51 are declined, like the test cards real gateways offer
+const DECLINED_CENTS = 51;
+
+// Webhook event types and the payment status each one reports
+const EVENT_STATUSES = {
+  'payment.processing': 'processing',
+  'payment.succeeded': 'completed',
+  'payment.failed': 'failed'
+};
+
+const newReference = prefix => `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+
+/**
+ * Create the mock gateway adapter
+ * @param {Object} options - { secret } used to sign and verify webhooks
+ * @returns {Object} Gateway adapter (see utils/payment-gateway.js)
+ */
+const createMockGateway = ({ secret }) => {
+  const transactions = new Map();
+
+  const lookup = (reference) => {
+    const transaction = transactions.get(reference);
+    if (!transaction) {
+      throw new ApiError(`Unknown mock transaction ${reference}`, 404);
+    }
+    return transaction;
+  };
+
+  const sign = rawBody => crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+
+  return {
+    name: 'mock',
+
+    async initiate({ amount, method }) {
+      const reference = newReference('mock');
+      const declined = Math.round(amount * 100) % 100 === DECLINED_CENTS;
+
+      transactions.set(reference, {
+        amount,
+        method,
+        status: declined ? 'failed' : 'processing',
+        transactionId: null,
+        refunded: 0
+      });
+
+      return declined
+        ? { reference, status: 'failed', failureReason: 'Declined by the mock gateway' }
+        : { reference, status: 'processing', nextAction: { type: 'capture' } };
+    },
+
+    async capture(reference, amount) {
+      const transaction = lookup(reference);
+      const captureAmount = amount === undefined ? transaction.amount : amount;
+      if (transaction.status === 'processing') {
+        if (captureAmount > transaction.amount + 0.001) {
+          return { status: 'processing', failureReason: 'Capture exceeds the authorised amount' };
+        }
+        transaction.amount = captureAmount;
+        transaction.status = 'completed';
+        transaction.transactionId = newReference('mock_txn');
+      }
+      return { status: transaction.status, transactionId: transaction.transactionId };
+    },
+
+    async status(reference) {
+      const transaction = lookup(reference);
+      return { status: transaction.status, transactionId: transaction.transactionId };
+    },
+
+    async refund(reference, amount) {
+      const transaction = lookup(reference);
+      if (transaction.status !== 'completed' || transaction.refunded + amount > transaction.amount + 0.001) {
+        return { status: 'failed', failureReason: 'Nothing left to refund on this transaction' };
+      }
+      transaction.refunded += amount;
+      return { reference: newReference('mock_rf'), status: 'completed' };
+    },
+
+    // Signature for a webhook body, for tools that simulate gateway callbacks
+    sign,
+
+    parseWebhook(rawBody, headers) {
+      const signature = String(headers[SIGNATURE_HEADER] || '');
+      const expected = sign(rawBody || '');
+
+      if (!rawBody || signature.length !== expected.length
+        || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+        throw new ApiError('Invalid webhook signature', 401);
+      }
+
+      let event;
+      try {
+        event = JSON.parse(rawBody.toString('utf8'));
+      } catch (error) {
+        throw new ApiError('Webhook body is not valid JSON', 400);
+      }
+      const data = event.data || {};
+      const status = EVENT_STATUSES[event.type] || null;
+
+      const transaction = transactions.get(data.reference);
+      if (transaction && status && transaction.status === 'processing') {
+        transaction.status = status;
+        transaction.transactionId = data.transactionId || transaction.transactionId;
+      }
+
+      return {
+        eventId: event.id,
+        type: event.type,
+        reference: data.reference,
+        status,
+        transactionId: data.transactionId,
+        failureReason: data.failureReason
+      };
+    }
+  };
+};
+
+module.exports = {
+  SIGNATURE_HEADER,
+  createMockGateway,
+};
@@ -0,0 +1,126 @@
+/**
+ * Modifier Helper Utilities
+ * Resolves variants and modifiers selected by a client against a menu item
+ */
+
+const { ApiError } = require('./errorHandler');
+
+/**
+ * Normalize the client's selection into a map of group name -> modifier names.
+ * Clients send `{ [groupName]: [modifier, ...] }` where each modifier is either
+ * the modifier name or an object with a `name`. Any client-sent price is ignored.
+ * @param {Object} selection - Raw `item.modifiers` from the request body
+ * @returns {Map<string, string[]>} Selected modifier names per group
+ */
+const normalizeSelection = (selection) => {
+  const selected = new Map();
+
+  if (!selection || typeof selection !== 'object' || Array.isArray(selection)) {
+    return selected;
+  }
+
+  Object.entries(selection).forEach(([groupName, modifiers]) => {
+    const list = Array.isArray(modifiers) ? modifiers : [modifiers];
+    selected.set(groupName, list
+      .filter(mod => mod !== null && mod !== undefined)
+      .map(mod => (typeof mod === 'object' ? mod.name : mod))
+      .map(name => String(name)));
+  });
+
+  return selected;
+};
+
+/**
+ * Resolve selected modifiers against a menu item and price them from the database.
+ * Throws an ApiError (400) when the selection breaks the item's modifier rules.
+ * @param {Object} menuItem - MenuItem document
+ * @param {Object} selection - Raw `item.modifiers` from the request body
+ * @returns {{ modifiers: Object[], modifierTotal: number }} Snapshot and per-unit total
+ */
+const resolveModifiers = (menuItem, selection) => {
+  const selected = normalizeSelection(selection);
+  const groups = menuItem.modifierGroups || [];
+  const modifiers = [];
+
+  selected.forEach((names, groupName) => {
+    if (!groups.some(group => group.name === groupName)) {
+      throw new ApiError(`"${groupName}" is not a modifier group of ${menuItem.name}`, 400);
+    }
+  });
+
+  groups.forEach((group) => {
+    const names = selected.get(group.name) || [];
+
+    if (new Set(names).size !== names.length) {
+      throw new ApiError(`Duplicate modifiers selected in "${group.name}" for ${menuItem.name}`, 400);
+    }
+
+    names.forEach((name) => {
+      const modifier = group.modifiers.find(mod => mod.name === name);
+      if (!modifier) {
+        throw new ApiError(`"${name}" is not a valid option in "${group.name}" for ${menuItem.name}`, 400);
+      }
+      modifiers.push({
+        groupName: group.name,
+        name: modifier.name,
+        price: modifier.price
+      });
+    });
+
+    const missingRequired = group.modifiers
+      .filter(mod => mod.isRequired && !names.includes(mod.name))
+      .map(mod => mod.name);
+
+    if (missingRequired.length > 0) {
+      throw new ApiError(`"${group.name}" for ${menuItem.name} requires: ${missingRequired.join(', ')}`, 400);
+    }
+
+    if (names.length < group.minSelection) {
+      throw new ApiError(`Select at least ${group.minSelection} option(s) in "${group.name}" for ${menuItem.name}`, 400);
+    }
+
+    if (group.maxSelection !== undefined && group.maxSelection !== null && names.length > group.maxSelection) {
+      throw new ApiError(`Select at most ${group.maxSelection} option(s) in "${group.name}" for ${menuItem.name}`, 400);
+    }
+  });
+
+  const modifierTotal = modifiers.reduce((sum, mod) => sum + mod.price, 0);
+
+  return { modifiers, modifierTotal };
+};
+
+/**
+ * Resolve the variant chosen for a menu item.
+ * Items with active variants require a choice; items without variants reject one.
+ * Throws an ApiError (400) on an invalid or missing choice.
+ * @param {Object} menuItem - MenuItem document
+ * @param {string} [variantId] - Variant ID from the request body
+ * @returns {Object|null} The chosen variant, or null for items without variants
+ */
+const resolveVariant = (menuItem, variantId) => {
+  const variants = (menuItem.variants || []).filter(variant => variant.isActive);
+
+  if (variants.length === 0) {
+    if (variantId) {
+      throw new ApiError(`${menuItem.name} has no variants`, 400);
+    }
+    return null;
+  }
+
+  if (!variantId) {
+    throw new ApiError(`Choose a variant for ${menuItem.name}: ${variants.map(v => v.name).join(', ')}`, 400);
+  }
+
+  const variant = variants.find(v => v._id.toString() === String(variantId));
+  if (!variant) {
+    throw new ApiError(`Invalid variant for ${menuItem.name}`, 400);
+  }
+
+  return variant;
+};
+
+module.exports = {
+  resolveVariant,
+  normalizeSelection,
+  resolveModifiers,
+};
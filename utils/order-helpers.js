@@ -0,0 +1,485 @@
+/**
+ * Order Helper Utilities
+ * Turns requested order items into priced OrderItem data using menu data only
+ */
+
+const mongoose = require('mongoose');
+const MenuItem = require('../models/MenuItem');
+const Category = require('../models/Category');
+const Order = require('../models/Order');
+const OrderItem = require('../models/OrderItem');
+const Payment = require('../models/Payment');
+const { ApiError } = require('./errorHandler');
+const { resolveVariant, resolveModifiers } = require('./modifier-helpers');
+const { collectComponentIds, resolveComboSelections } = require('./combo-helpers');
+const { isAvailableAt, isSoldOutAt, getEffectivePrice } = require('./menu-availability');
+const { ORDER_STATUSES, isTransitionDefined, canTransition } = require('../config/order-status');
+const { ITEM_STATUSES, hasReachedStatus, lowestStatus } = require('../config/kitchen');
+
+/**
+ * Add a quantity to a per-item tally
+ * @param {Map<string, number>} tally - Quantity per menu item ID
+ * @param {Object|string} itemId - Menu item ID
+ * @param {number} qty - Quantity to add
+ */
+const addQuantity = (tally, itemId, qty) => {
+  const key = itemId.toString();
+  tally.set(key, (tally.get(key) || 0) + qty);
+};
+
+/**
+ * Make sure menu items can be ordered at an instant: active, inside their
+ * availability windows and not sold out. Throws an ApiError (400 unavailable,
+ * 409 sold out).
+ * @param {Object[]} menuItems - MenuItem documents being ordered
+ * @param {Object} outlet - Outlet user (provides timezone)
+ * @param {Date} [orderedAt] - Instant of the order
+ */
+const assertOrderable = (menuItems, outlet, orderedAt = new Date()) => {
+  const unavailable = menuItems.filter(mi => !isAvailableAt(mi, orderedAt, outlet.timezone));
+  if (unavailable.length > 0) {
+    throw new ApiError(`Not available at this time: ${unavailable.map(mi => mi.name).join(', ')}`, 400);
+  }
+
+  const soldOut = menuItems.filter(mi => isSoldOutAt(mi, orderedAt));
+  if (soldOut.length > 0) {
+    throw new ApiError(`Sold out: ${soldOut.map(mi => mi.name).join(', ')}`, 409);
+  }
+};
+
+/**
+ * Price the requested items of an order. Availability, sold-out state,
+ * variants, modifiers and combo slots are all checked against the database;
+ * client-sent prices are never used. Throws an ApiError on invalid input.
+ * @param {Object} outlet - Outlet user (provides _id and timezone)
+ * @param {Object[]} items - Requested items ({ itemId, qty, variantId, modifiers, comboSelections, notes, seat })
+ * @param {Date} orderedAt - Instant used for availability and price overrides
+ * @returns {Promise<Object>} { lines, subtotal, menuItems, quantities } where lines are
+ *   OrderItem data without orderId and quantities is the stock to reserve per item ID
+ */
+const buildOrderLines = async (outlet, items, orderedAt = new Date()) => {
+  const itemIds = [...new Set(items.map(item => String(item.itemId)))];
+  const componentIds = collectComponentIds(items).filter(id => mongoose.isValidObjectId(id));
+
+  const menuItems = await MenuItem.find({
+    _id: { $in: [...new Set([...itemIds, ...componentIds])] },
+    outletId: outlet._id,
+    isActive: true
+  });
+  const menuItemsById = new Map(menuItems.map(mi => [mi._id.toString(), mi]));
+
+  if (itemIds.some(id => !menuItemsById.has(id))) {
+    throw new ApiError('One or more menu items not found or inactive', 400);
+  }
+
+  // Only items actually being ordered (including chosen combo components) must be orderable now
+  const involved = [...new Set([...itemIds, ...componentIds])]
+    .filter(id => menuItemsById.has(id))
+    .map(id => menuItemsById.get(id));
+
+  assertOrderable(involved, outlet, orderedAt);
+
+  // Route each line to its item's station, falling back to the category's
+  const categories = await Category.find({
+    _id: { $in: [...new Set(involved.map(mi => mi.categoryId.toString()))] },
+    outletId: outlet._id
+  }).select('station').lean();
+  const categoryStations = new Map(categories.map(category => [category._id.toString(), category.station]));
+  const stationOf = menuItem => menuItem.station || categoryStations.get(menuItem.categoryId.toString()) || null;
+
+  let subtotal = 0;
+  const lines = [];
+  const quantities = new Map();
+
+  for (const item of items) {
+    const menuItem = menuItemsById.get(String(item.itemId));
+
+    // Calculate item total from the chosen variant and modifiers priced from the menu item
+    const variant = resolveVariant(menuItem, item.variantId);
+    const { modifiers, modifierTotal } = resolveModifiers(menuItem, item.modifiers);
+    let itemPrice = getEffectivePrice(menuItem, orderedAt, outlet.timezone, variant) + modifierTotal;
+
+    const line = {
+      _id: new mongoose.Types.ObjectId(),
+      itemId: menuItem._id,
+      itemName: menuItem.name,
+      variantId: variant ? variant._id : undefined,
+      variantName: variant ? variant.name : undefined,
+      sku: variant ? variant.sku : menuItem.sku,
+      qty: item.qty,
+      modifiers,
+      notes: item.notes || '',
+      seat: item.seat,
+      station: stationOf(menuItem)
+    };
+    addQuantity(quantities, menuItem._id, item.qty);
+
+    if (menuItem.itemType === 'combo') {
+      // The combo line carries the bill; its components go to the kitchen at no charge
+      const { components, upchargeTotal } = resolveComboSelections(menuItem, item.comboSelections, menuItemsById);
+      const componentLines = components.map((component) => {
+        const componentVariant = resolveVariant(component.menuItem, component.choice.variantId);
+        const componentModifiers = resolveModifiers(component.menuItem, component.choice.modifiers);
+        itemPrice += componentModifiers.modifierTotal;
+        addQuantity(quantities, component.menuItem._id, item.qty);
+
+        return {
+          _id: new mongoose.Types.ObjectId(),
+          itemId: component.menuItem._id,
+          itemName: component.menuItem.name,
+          variantId: componentVariant ? componentVariant._id : undefined,
+          variantName: componentVariant ? componentVariant.name : undefined,
+          sku: componentVariant ? componentVariant.sku : component.menuItem.sku,
+          qty: item.qty,
+          price: 0,
+          modifiers: componentModifiers.modifiers,
+          notes: component.choice.notes || '',
+          lineType: 'combo-component',
+          parentItemId: line._id,
+          comboSlot: component.slotName,
+          seat: item.seat,
+          station: stationOf(component.menuItem)
+        };
+      });
+
+      itemPrice += upchargeTotal;
+      lines.push({ ...line, price: itemPrice, lineType: 'combo', station: null }, ...componentLines);
+    } else {
+      if (item.comboSelections) {
+        throw new ApiError(`${menuItem.name} is not a combo`, 400);
+      }
+      lines.push({ ...line, price: itemPrice, lineType: 'item' });
+    }
+
+    subtotal += itemPrice * item.qty;
+  }
+
+  return { lines, subtotal, menuItems: involved, quantities };
+};
+
+/**
+ * Compute discount, service charge, tax and total for a subtotal. The discount
+ * never exceeds the subtotal; the service charge and tax apply after the
+ * discount, and tax covers the service charge only when it is taxable.
+ * @param {number} subtotal - Sum of line totals
+ * @param {Object} pricing - { discountType, discountValue, taxRate, serviceChargeType,
+ *   serviceChargeValue, serviceChargeTaxable }
+ * @returns {{ discount: number, serviceCharge: number, tax: number, totalAmount: number }} Order totals
+ */
+const calculateTotals = (subtotal, {
+  discountType = 'fixed',
+  discountValue = 0,
+  taxRate = 0,
+  serviceChargeType,
+  serviceChargeValue = 0,
+  serviceChargeTaxable = false
+}) => {
+  let discount = discountType === 'percentage' ? (subtotal * discountValue) / 100 : discountValue;
+  discount = Math.min(discount, subtotal);
+  const net = subtotal - discount;
+
+  let serviceCharge = 0;
+  if (serviceChargeValue > 0 && net > 0) {
+    serviceCharge = serviceChargeType === 'percentage' ? (net * serviceChargeValue) / 100 : serviceChargeValue;
+  }
+  const tax = (net + (serviceChargeTaxable ? serviceCharge : 0)) * (taxRate / 100);
+
+  return { discount, serviceCharge, tax, totalAmount: net + serviceCharge + tax };
+};
+
+/**
+ * The outlet's service charge rule for an order type: the rule for that type,
+ * else the rule for every order type
+ * @param {Object} outlet - Outlet user (provides serviceCharges)
+ * @param {string} orderType - 'dine-in', 'takeaway' or 'delivery'
+ * @returns {Object|null} { type, value, taxable, label }, or null when none applies
+ */
+const getServiceChargeRule = (outlet, orderType) => {
+  const rules = outlet.serviceCharges || [];
+  return rules.find(rule => rule.orderType === orderType)
+    || rules.find(rule => !rule.orderType)
+    || null;
+};
+
+/**
+ * Pricing inputs of an existing order. Orders created before discountValue and
+ * taxRate were stored get them derived from their amounts.
+ * @param {Object} order - Order document or plain object
+ * @returns {Object} { discountType, discountValue, taxRate, serviceChargeType, serviceChargeValue, serviceChargeTaxable }
+ */
+const getOrderPricing = (order) => {
+  const discountType = order.discountType || 'fixed';
+  const taxable = order.subtotal - (order.discount || 0);
+  let { discountValue, taxRate } = order;
+
+  if (discountValue === undefined || discountValue === null) {
+    discountValue = discountType === 'percentage' && order.subtotal > 0
+      ? (order.discount / order.subtotal) * 100
+      : (order.discount || 0);
+  }
+  if (taxRate === undefined || taxRate === null) {
+    taxRate = taxable > 0 ? ((order.tax || 0) / taxable) * 100 : 0;
+  }
+
+  return {
+    discountType,
+    discountValue,
+    taxRate,
+    serviceChargeType: order.serviceChargeType,
+    serviceChargeValue: order.serviceChargeValue || 0,
+    serviceChargeTaxable: Boolean(order.serviceChargeTaxable)
+  };
+};
+
+/**
+ * Net amount of a set of payments: completed and in-flight payments, less
+ * what has been refunded from them
+ * @param {Object} filter - Payment filter (e.g. { orderId } or { checkId })
+ * @returns {Promise<number>} Amount paid
+ */
+const sumNetPayments = async (filter) => {
+  const payments = await Payment.find({
+    ...filter,
+    status: { $in: ['completed', 'processing'] }
+  }).select('amount refundedAmount').lean();
+
+  return payments.reduce((sum, p) => sum + p.amount - (p.refundedAmount || 0), 0);
+};
+
+/**
+ * Sum of completed and in-flight payments against an order, net of refunds
+ * @param {Object} orderId - Order ID
+ * @returns {Promise<number>} Amount paid
+ */
+const getPaidAmount = orderId => sumNetPayments({ orderId });
+
+/**
+ * Payment state of an order from what was paid against its total
+ * @param {number} paidAmount - Amount paid, net of refunds
+ * @param {number} totalAmount - Order total
+ * @param {number} [refundedAmount] - Amount refunded so far
+ * @returns {string} 'unpaid', 'partial', 'paid' or 'refunded' (everything paid was returned)
+ */
+const getPaymentStatus = (paidAmount, totalAmount, refundedAmount = 0) => {
+  if (paidAmount <= 0) return refundedAmount > 0 ? 'refunded' : 'unpaid';
+  return paidAmount >= totalAmount ? 'paid' : 'partial';
+};
+
+/**
+ * Amount to refund on a payment: the requested amount, or everything not yet
+ * refunded when none is given. Throws an ApiError (400) when the request is
+ * more than what is left on the payment.
+ * @param {Object} payment - Payment document or plain object (needs amount and refundedAmount)
+ * @param {number} [requested] - Amount asked for
+ * @returns {number} Amount to refund
+ */
+const getRefundAmount = (payment, requested) => {
+  const refundable = payment.amount - (payment.refundedAmount || 0);
+  const amount = requested === undefined ? refundable : requested;
+  if (Math.round(amount * 100) > Math.round(refundable * 100)) {
+    throw new ApiError(`Refund exceeds what is left on the payment. Refundable: ${refundable.toFixed(2)}`, 400);
+  }
+  return amount;
+};
+
+const MAX_ORDER_NUMBER_ATTEMPTS = 20;
+
+/**
+ * Save a new order, taking the next order number again if the one allocated
+ * is already used. Orders numbered before the outlet's counter existed can
+ * hold numbers the counter has not reached yet.
+ * @param {Object} order - New Order document without an orderNumber
+ * @returns {Promise<Object>} The saved Order document
+ */
+const saveNewOrder = async (order) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await order.save();
+    } catch (error) {
+      const duplicateNumber = error.code === 11000 && error.keyPattern && error.keyPattern.orderNumber;
+      if (!duplicateNumber || attempt >= MAX_ORDER_NUMBER_ATTEMPTS) throw error;
+      order.orderNumber = undefined;
+    }
+  }
+};
+
+/**
+ * Refresh an order's paidAmount and paymentStatus from its payments
+ * @param {Object} order - Order document or plain object (needs _id, totalAmount and refundedAmount)
+ * @returns {Promise<{ paidAmount: number, paymentStatus: string }>} Stored payment state
+ */
+const syncPaymentState = async (order) => {
+  const paidAmount = await getPaidAmount(order._id);
+  const paymentStatus = getPaymentStatus(paidAmount, order.totalAmount, order.refundedAmount);
+
+  await Order.updateOne({ _id: order._id }, { paidAmount, paymentStatus });
+  return { paidAmount, paymentStatus };
+};
+
+/**
+ * Recompute an order's subtotal and totals from its current OrderItems and save them
+ * @param {Object} order - Order document
+ * @returns {Promise<Object>} The saved Order document
+ */
+const recalculateOrderTotals = async (order) => {
+  const lines = await OrderItem.find({ orderId: order._id, isVoided: { $ne: true } }).select('price qty').lean();
+  const subtotal = lines.reduce((sum, line) => sum + line.price * line.qty, 0);
+  const pricing = getOrderPricing(order);
+  const { discount, serviceCharge, tax, totalAmount } = calculateTotals(subtotal, pricing);
+  // Refunds given as a reduction of the bill stay off the total
+  const adjustedTotal = Math.max(0, totalAmount - (order.refundAdjustment || 0));
+
+  const paidAmount = await getPaidAmount(order._id);
+
+  order.set({
+    subtotal,
+    discount,
+    serviceCharge,
+    tax,
+    totalAmount: adjustedTotal,
+    discountValue: pricing.discountValue,
+    taxRate: pricing.taxRate,
+    paidAmount,
+    paymentStatus: getPaymentStatus(paidAmount, adjustedTotal, order.refundedAmount)
+  });
+  return order.save();
+};
+
+/**
+ * Move an order to a new status following the transition graph in
+ * config/order-status.js and append the change to its status history.
+ * The update only applies if nobody changed the status in the meantime.
+ * Throws an ApiError for repeated, illegal or unauthorized transitions.
+ * @param {Object} order - Order document or plain object (needs _id and status)
+ * @param {string} to - Requested status
+ * @param {Object} user - Acting user (provides _id and role)
+ * @param {Object} [options] - { note, system } where system skips the role check
+ *   for transitions the server makes on its own (e.g. completing a paid order)
+ * @returns {Promise<Object>} The updated Order document
+ */
+const transitionOrder = async (order, to, user, { note, system = false } = {}) => {
+  const from = order.status;
+
+  if (from === to) {
+    throw new ApiError(`Order is already ${to}`, 400);
+  }
+  if (!isTransitionDefined(from, to)) {
+    throw new ApiError(`Order cannot move from ${from} to ${to}`, 409);
+  }
+  if (!system && !canTransition(from, to, user.role)) {
+    throw new ApiError(`Your role cannot move an order from ${from} to ${to}`, 403);
+  }
+
+  const updated = await Order.findOneAndUpdate(
+    { _id: order._id, status: from },
+    {
+      status: to,
+      $push: { statusHistory: { from, to, changedBy: user._id, changedAt: new Date(), note } }
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    throw new ApiError('Order status was changed by someone else. Reload and try again.', 409);
+  }
+
+  return updated;
+};
+
+/**
+ * Bump an order line forward to a kitchen status. Bumping a combo bumps its
+ * components; bumping a component moves its combo line to the least advanced
+ * component status. Throws an ApiError (409) for moves backwards or when
+ * another screen bumped the line first.
+ * @param {Object} line - OrderItem document
+ * @param {string} status - Target item status
+ * @returns {Promise<Object[]>} Every line whose status changed (plain objects)
+ */
+const bumpOrderItem = async (line, status) => {
+  if (line.isVoided) {
+    throw new ApiError(`${line.itemName} was voided`, 409);
+  }
+  if (hasReachedStatus(line.status, status)) {
+    throw new ApiError(`${line.itemName} is already ${line.status}`, 409);
+  }
+
+  const earlier = ITEM_STATUSES.slice(0, ITEM_STATUSES.indexOf(status));
+  const now = new Date();
+  const targets = line.lineType === 'combo'
+    ? await OrderItem.find({ parentItemId: line._id, status: { $in: earlier } }).select('_id').lean()
+    : [];
+
+  const result = await OrderItem.updateMany(
+    { _id: { $in: [line._id, ...targets.map(target => target._id)] }, status: { $in: earlier } },
+    { status, statusChangedAt: now }
+  );
+  if (result.modifiedCount === 0) {
+    throw new ApiError(`${line.itemName} was updated by another screen. Reload and try again.`, 409);
+  }
+
+  // Keep the combo line in step with its components
+  if (line.lineType === 'combo-component') {
+    const siblings = await OrderItem.find({ parentItemId: line.parentItemId, isVoided: { $ne: true } }).select('status').lean();
+    await OrderItem.updateOne(
+      { _id: line.parentItemId },
+      { status: lowestStatus(siblings.map(sibling => sibling.status)), statusChangedAt: now }
+    );
+  }
+
+  const changedIds = [line._id, ...targets.map(target => target._id)];
+  if (line.parentItemId) changedIds.push(line.parentItemId);
+  return OrderItem.find({ _id: { $in: changedIds } }).lean();
+};
+
+/**
+ * Move an order forward once all of its lines have reached a kitchen status:
+ * any started line makes it 'preparing', all ready makes it 'ready', all served
+ * makes it 'served'. Orders never move backwards and closed orders are left alone.
+ * @param {Object} order - Order document or plain object
+ * @param {Object} user - User whose action triggered the rollup
+ * @returns {Promise<Object>} The order, updated if its status changed
+ */
+const rollupOrderStatus = async (order, user) => {
+  const lines = await OrderItem.find({ orderId: order._id, lineType: { $ne: 'combo' }, isVoided: { $ne: true } }).select('status').lean();
+  const statuses = lines.map(line => line.status);
+
+  let target = lowestStatus(statuses);
+  if (target === 'pending' && statuses.some(status => status !== 'pending')) {
+    target = 'preparing';
+  }
+
+  let current = order;
+  for (const step of ['preparing', 'ready', 'served']) {
+    if (!hasReachedStatus(target, step)) break;
+    if (ORDER_STATUSES.indexOf(current.status) >= ORDER_STATUSES.indexOf(step)) continue;
+    if (!isTransitionDefined(current.status, step)) break;
+
+    try {
+      current = await transitionOrder(current, step, user, { note: `All items ${step}`, system: true });
+    } catch (error) {
+      // Someone moved the order by hand in the meantime; their status stands
+      if (error.isOperational) break;
+      throw error;
+    }
+  }
+
+  return current;
+};
+
+module.exports = {
+  assertOrderable,
+  buildOrderLines,
+  calculateTotals,
+  getServiceChargeRule,
+  getOrderPricing,
+  sumNetPayments,
+  getPaidAmount,
+  getPaymentStatus,
+  getRefundAmount,
+  saveNewOrder,
+  syncPaymentState,
+  recalculateOrderTotals,
+  transitionOrder,
+  bumpOrderItem,
+  rollupOrderStatus,
+};
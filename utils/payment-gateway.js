@@ -0,0 +1,83 @@
+/**
+ * Payment Gateway Registry
+ * Card and UPI payments go through a gateway adapter so they can be
+ * reconciled with the acquirer. Every adapter implements the same interface:
+ *
+ *   name                              Identifier stored on Payment.gateway
+ *   initiate({ paymentId, amount, method, orderNumber })
+ *     -> { reference, status, nextAction?, failureReason? }
+ *   capture(reference, amount)        -> { status, transactionId?, failureReason? }
+ *                                        (amount is what was initiated: the bill plus any tip)
+ *   status(reference)                 -> { status, transactionId?, failureReason? }
+ *   refund(reference, amount)         -> { reference?, status, failureReason? }
+ *                                        (refunds cover the bill; tips are not refunded)
+ *   parseWebhook(rawBody, headers)    -> { eventId, type, reference, status, transactionId?, failureReason? }
+ *
+ * Statuses are Payment statuses ('processing', 'completed', 'failed'); a
+ * webhook status of null means the event does not concern payment state.
+ * parseWebhook must throw an ApiError (401) when the signature is invalid.
+ */
+
+const { ApiError } = require('./errorHandler');
+const { createMockGateway } = require('./mock-gateway');
+
+// Payment methods settled through a gateway when one is configured; the rest are recorded as taken
+const GATEWAY_METHODS = ['card', 'upi'];
+
+const adapters = new Map();
+
+/**
+ * Make an adapter available by its name
+ * @param {Object} adapter - Gateway adapter
+ */
+const registerGateway = (adapter) => {
+  adapters.set(adapter.name, adapter);
+};
+
+/**
+ * Look up a gateway adapter. Throws an ApiError (503) for gateways that are
+ * not registered, since payments that went through one can no longer be
+ * captured, checked or refunded.
+ * @param {string} name - Adapter name
+ * @returns {Object} Gateway adapter
+ */
+const getGateway = (name) => {
+  const adapter = adapters.get(name);
+  if (!adapter) {
+    throw new ApiError(`Payment gateway "${name}" is not configured`, 503);
+  }
+  return adapter;
+};
+
+/**
+ * Whether an adapter is registered under a name
+ * @param {string} name - Adapter name
+ * @returns {boolean}
+ */
+const hasGateway = name => adapters.has(name);
+
+/**
+ * Gateway that new card and UPI payments go through: the one named by
+ * PAYMENT_GATEWAY, or the mock outside production. Returns null when no
+ * gateway is configured (or PAYMENT_GATEWAY=none); payments are then
+ * recorded as taken on a standalone terminal.
+ * @returns {Object|null} Gateway adapter
+ */
+const getPaymentGateway = () => {
+  const name = process.env.PAYMENT_GATEWAY || (process.env.NODE_ENV === 'production' ? null : 'mock');
+  if (!name || name === 'none') return null;
+  return getGateway(name);
+};
+
+// The mock gateway never runs in production unless it is chosen explicitly
+if (process.env.NODE_ENV !== 'production' || process.env.PAYMENT_GATEWAY === 'mock') {
+  registerGateway(createMockGateway({ secret: process.env.MOCK_GATEWAY_SECRET || 'mock-gateway-secret' }));
+}
+
+module.exports = {
+  GATEWAY_METHODS,
+  registerGateway,
+  getGateway,
+  hasGateway,
+  getPaymentGateway,
+};
@@ -0,0 +1,90 @@
+/**
+ * Payment Helper Utilities
+ * Moves payments through their lifecycle and keeps the order, its split
+ * checks and its tables in step once a payment changes
+ */
+
+const Order = require('../models/Order');
+const Payment = require('../models/Payment');
+const Check = require('../models/Check');
+const { syncPaymentState, transitionOrder } = require('./order-helpers');
+const { syncCheckState } = require('./split-helpers');
+const { refreshTables } = require('./table-helpers');
+const { emitToOutlet } = require('./socket-helpers');
+const { isTransitionDefined } = require('../config/order-status');
+
+// from -> statuses a payment may move to; completed payments only change through refunds
+const PAYMENT_TRANSITIONS = {
+  pending: ['processing', 'completed', 'failed'],
+  processing: ['completed', 'failed']
+};
+
+/**
+ * Move a payment to a new status if its lifecycle allows it. Repeated or
+ * out-of-order updates (a late "processing" after "completed", a retried
+ * webhook) leave the payment untouched.
+ * @param {Object} payment - Payment document or plain object (needs _id)
+ * @param {string} status - 'processing', 'completed' or 'failed'
+ * @param {Object} [details] - { transactionId, failureReason } reported by the gateway
+ * @returns {Promise<Object|null>} The updated Payment, or null when nothing changed
+ */
+const applyPaymentStatus = async (payment, status, { transactionId, failureReason } = {}) => {
+  const from = Object.keys(PAYMENT_TRANSITIONS).filter(key => PAYMENT_TRANSITIONS[key].includes(status));
+  if (from.length === 0) return null;
+
+  const update = { status };
+  if (transactionId) update.transactionId = transactionId;
+  if (status === 'completed') update.paidAt = new Date();
+  if (status === 'failed') update.failureReason = failureReason || 'Payment failed';
+
+  return Payment.findOneAndUpdate({ _id: payment._id, status: { $in: from } }, update, { new: true });
+};
+
+/**
+ * Bring the order (and its check, for a split bill) up to date after a
+ * payment was taken or changed status, and complete the order once it is
+ * fully paid with nothing still in flight. Orders still in the kitchen stay
+ * where they are.
+ * @param {Object} req - Express request (for socket broadcasts)
+ * @param {Object} payment - Payment document
+ * @param {Object} user - User credited with completing the order
+ * @returns {Promise<Object>} The order's { paidAmount, paymentStatus }
+ */
+const settlePayment = async (req, payment, user) => {
+  const order = await Order.findById(payment.orderId);
+
+  if (payment.checkId) {
+    const check = await Check.findById(payment.checkId);
+    if (check) await syncCheckState(check);
+  }
+  const state = await syncPaymentState(order);
+
+  emitToOutlet(req, order.outletId, 'payment:updated', {
+    orderId: order._id,
+    orderNumber: order.orderNumber,
+    paymentId: payment._id,
+    status: payment.status,
+    ...state
+  });
+
+  if (payment.status !== 'completed') return state;
+
+  const inFlight = await Payment.countDocuments({ orderId: order._id, status: { $in: ['pending', 'processing'] } });
+  const fullyPaid = inFlight === 0 && (order.splitType
+    ? await Check.countDocuments({ orderId: order._id, status: 'open' }) === 0
+    : state.paidAmount >= order.totalAmount);
+
+  if (fullyPaid && isTransitionDefined(order.status, 'completed')) {
+    await transitionOrder(order, 'completed', user, { note: 'Fully paid', system: true })
+      .then(() => refreshTables(req, order.outletId, [order.tableNumber]))
+      .catch(error => console.error('Error completing paid order:', error.message));
+  }
+
+  return state;
+};
+
+module.exports = {
+  PAYMENT_TRANSITIONS,
+  applyPaymentStatus,
+  settlePayment,
+};
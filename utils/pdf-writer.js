@@ -0,0 +1,115 @@
+/**
+ * PDF Writer
+ * Renders layout rows ({ text, align, bold, large }) as a plain A4 PDF in
+ * the built-in Courier fonts, so documents can be printed or attached to
+ * emails without a PDF library
+ */
+
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 40;
+const FONT_SIZE = 9;
+const LARGE_FONT_SIZE = 14;
+// Courier glyphs are 600/1000 of the font size wide
+const CHAR_WIDTH = 0.6;
+const DEFAULT_PDF_WIDTH = Math.floor((PAGE_WIDTH - 2 * MARGIN) / (FONT_SIZE * CHAR_WIDTH));
+
+// Built-in fonts use WinAnsiEncoding; replace what it cannot show and escape string delimiters
+const toPdfString = (text) => {
+  const latin1 = String(text)
+    .replace(/[^\x20-\x7e\xa0-\xff]/g, '?')
+    .replace(/[\\()]/g, match => `\\${match}`);
+  return `(${latin1})`;
+};
+
+// Split rows into pages of content stream operators
+const layoutPages = (rows) => {
+  const pages = [];
+  let operators = [];
+  let y = PAGE_HEIGHT - MARGIN;
+
+  rows.forEach((row) => {
+    const size = row.large ? LARGE_FONT_SIZE : FONT_SIZE;
+    const lineHeight = Math.ceil(size * 1.35);
+
+    if (y - lineHeight < MARGIN) {
+      pages.push(operators);
+      operators = [];
+      y = PAGE_HEIGHT - MARGIN;
+    }
+    y -= lineHeight;
+
+    if (!row.text) return;
+    const textWidth = row.text.length * size * CHAR_WIDTH;
+    const x = row.align === 'center' ? Math.max(MARGIN, (PAGE_WIDTH - textWidth) / 2) : MARGIN;
+    operators.push(`BT /${row.bold ? 'F2' : 'F1'} ${size} Tf ${x.toFixed(2)} ${y} Td ${toPdfString(row.text)} Tj ET`);
+  });
+
+  pages.push(operators);
+  return pages;
+};
+
+/**
+ * Render rows as a PDF document, one A4 page after another
+ * @param {Object[]} rows - Layout rows, at most DEFAULT_PDF_WIDTH characters wide
+ * @param {Object} options - { title }
+ * @returns {Buffer} PDF bytes
+ */
+const rowsToPdf = (rows, { title } = {}) => {
+  const pages = layoutPages(rows);
+
+  // Objects 1-4 are fixed; each page adds a page object and its content stream
+  const objects = [];
+  const pageRefs = pages.map((_, index) => `${5 + index * 2} 0 R`);
+  objects.push('<< /Type /Catalog /Pages 2 0 R >>');
+  objects.push(`<< /Type /Pages /Kids [${pageRefs.join(' ')}] /Count ${pages.length} >>`);
+  objects.push('<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>');
+  objects.push('<< /Type /Font /Subtype /Type1 /BaseFont /Courier-Bold /Encoding /WinAnsiEncoding >>');
+
+  pages.forEach((operators, index) => {
+    const content = Buffer.from(operators.join('\n'), 'latin1');
+    objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] `
+      + `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${6 + index * 2} 0 R >>`);
+    objects.push(Buffer.concat([
+      Buffer.from(`<< /Length ${content.length} >>\nstream\n`, 'latin1'),
+      content,
+      Buffer.from('\nendstream', 'latin1')
+    ]));
+  });
+
+  const infoNumber = objects.length + 1;
+  objects.push(`<< /Title ${toPdfString(title || '')} /Producer (RestroSphere) >>`);
+
+  // The cross-reference table records the byte offset of every object
+  const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+  let length = chunks[0].length;
+  const offsets = objects.map((object, index) => {
+    const offset = length;
+    const body = Buffer.isBuffer(object) ? object : Buffer.from(object, 'latin1');
+    const chunk = Buffer.concat([Buffer.from(`${index + 1} 0 obj\n`, 'latin1'), body, Buffer.from('\nendobj\n', 'latin1')]);
+    chunks.push(chunk);
+    length += chunk.length;
+    return offset;
+  });
+
+  const xref = [
+    'xref',
+    `0 ${objects.length + 1}`,
+    '0000000000 65535 f ',
+    ...offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n `),
+    'trailer',
+    `<< /Size ${objects.length + 1} /Root 1 0 R /Info ${infoNumber} 0 R >>`,
+    'startxref',
+    String(length),
+    '%%EOF',
+    ''
+  ].join('\n');
+  chunks.push(Buffer.from(xref, 'latin1'));
+
+  return Buffer.concat(chunks);
+};
+
+module.exports = {
+  DEFAULT_PDF_WIDTH,
+  rowsToPdf,
+};
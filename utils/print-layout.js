@@ -0,0 +1,175 @@
+/**
+ * Print Layout Utilities
+ * Renders a list of receipt rows ({ text, align, bold, large }) as plain
+ * text, ESC/POS bytes for thermal printers, or HTML sized for an 80mm roll
+ */
+
+const { DEFAULT_TIMEZONE, isValidTimezone } = require('./menu-availability');
+
+const DEFAULT_WIDTH = 42;
+
+// ESC/POS control sequences
+const ESC = 0x1b;
+const GS = 0x1d;
+const ESCPOS = {
+  init: [ESC, 0x40],
+  alignLeft: [ESC, 0x61, 0],
+  alignCenter: [ESC, 0x61, 1],
+  boldOn: [ESC, 0x45, 1],
+  boldOff: [ESC, 0x45, 0],
+  sizeNormal: [GS, 0x21, 0x00],
+  sizeDouble: [GS, 0x21, 0x11],
+  feedAndCut: [ESC, 0x64, 4, GS, 0x56, 0x41, 0x03]
+};
+
+/**
+ * Wrap text to a column width, breaking on spaces where possible
+ * @param {string} text - Text to wrap
+ * @param {number} width - Columns available
+ * @returns {string[]} Wrapped lines
+ */
+const wrap = (text, width) => {
+  const lines = [];
+  let current = '';
+
+  String(text).split(/\s+/).filter(Boolean).forEach((word) => {
+    while (word.length > width) {
+      if (current) {
+        lines.push(current);
+        current = '';
+      }
+      lines.push(word.slice(0, width));
+      word = word.slice(width);
+    }
+    if (!current) {
+      current = word;
+    } else if (current.length + 1 + word.length <= width) {
+      current = `${current} ${word}`;
+    } else {
+      lines.push(current);
+      current = word;
+    }
+  });
+
+  if (current) lines.push(current);
+  return lines.length > 0 ? lines : [''];
+};
+
+/**
+ * Put a label on the left and a value on the right of one line
+ * @param {string} left - Label (truncated if needed)
+ * @param {string} right - Value
+ * @param {number} width - Columns available
+ * @returns {string} Line
+ */
+const columns = (left, right, width) => {
+  const space = Math.max(1, width - right.length - left.length);
+  return `${left.slice(0, width - right.length - 1)}${' '.repeat(space)}${right}`;
+};
+
+/**
+ * Date and time as printed on tickets and receipts, in the outlet's timezone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone
+ * @returns {string} e.g. 19/10/2026, 14:03
+ */
+const formatPrintedAt = (date, timeZone = DEFAULT_TIMEZONE) => {
+  return new Intl.DateTimeFormat('en-GB', {
+    timeZone: isValidTimezone(timeZone) ? timeZone : DEFAULT_TIMEZONE,
+    dateStyle: 'short',
+    timeStyle: 'short'
+  }).format(new Date(date || Date.now()));
+};
+
+/**
+ * Render rows as plain text
+ * @param {Object[]} rows - Layout rows
+ * @param {number} width - Paper width in characters
+ * @returns {string} Text
+ */
+const rowsToText = (rows, width = DEFAULT_WIDTH) => {
+  return rows
+    .map((row) => {
+      if (row.align !== 'center') return row.text;
+      const padding = Math.max(0, Math.floor((width - row.text.length) / 2));
+      return `${' '.repeat(padding)}${row.text}`;
+    })
+    .join('\n') + '\n';
+};
+
+// Thermal printers use a single-byte code page; fold accents and replace anything else
+const toPrinterBytes = (text) => {
+  const ascii = text.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').replace(/[^\x20-\x7e]/g, '?');
+  return Buffer.from(ascii, 'ascii');
+};
+
+/**
+ * Render rows as ESC/POS commands, ending with a paper cut
+ * @param {Object[]} rows - Layout rows
+ * @returns {Buffer} Printer bytes
+ */
+const rowsToEscPos = (rows) => {
+  const chunks = [Buffer.from(ESCPOS.init)];
+
+  rows.forEach((row) => {
+    chunks.push(Buffer.from(row.align === 'center' ? ESCPOS.alignCenter : ESCPOS.alignLeft));
+    chunks.push(Buffer.from(row.bold ? ESCPOS.boldOn : ESCPOS.boldOff));
+    chunks.push(Buffer.from(row.large ? ESCPOS.sizeDouble : ESCPOS.sizeNormal));
+    chunks.push(toPrinterBytes(row.text), Buffer.from('\n'));
+  });
+
+  chunks.push(Buffer.from([...ESCPOS.boldOff, ...ESCPOS.sizeNormal, ...ESCPOS.alignLeft, ...ESCPOS.feedAndCut]));
+  return Buffer.concat(chunks);
+};
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/\'/g, '&#39;');
+
+/**
+ * Render rows as a standalone HTML page sized for an 80mm roll
+ * @param {Object[]} rows - Layout rows
+ * @param {string} title - Page title
+ * @returns {string} HTML document
+ */
+const rowsToHtml = (rows, title) => {
+  const body = rows
+    .map((row) => {
+      const classes = [row.align === 'center' && 'center', row.bold && 'bold', row.large && 'large'].filter(Boolean);
+      return `<div${classes.length ? ` class="${classes.join(' ')}"` : ''}>${escapeHtml(row.text) || '&nbsp;'}</div>`;
+    })
+    .join('\n');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  @page { size: 80mm auto; margin: 0; }
+  body { width: 72mm; margin: 4mm; font-family: "Courier New", monospace; font-size: 12px; white-space: pre; }
+  .center { text-align: center; }
+  .bold { font-weight: bold; }
+  .large { font-size: 20px; }
+</style>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+};
+
+module.exports = {
+  DEFAULT_WIDTH,
+  wrap,
+  columns,
+  formatPrintedAt,
+  rowsToText,
+  rowsToEscPos,
+  rowsToHtml,
+  escapeHtml,
+};
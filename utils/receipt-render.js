@@ -0,0 +1,110 @@
+/**
+ * Receipt Rendering Utilities
+ * Lays out the guest receipt of a split-bill check and renders it as plain
+ * text, ESC/POS bytes for thermal printers, or HTML
+ */
+
+const { DEFAULT_TIMEZONE } = require('./menu-availability');
+const { DEFAULT_WIDTH, wrap, columns, formatPrintedAt, rowsToText, rowsToEscPos, rowsToHtml } = require('./print-layout');
+const { ORDER_TYPE_LABELS } = require('./kot-render');
+
+const money = amount => (amount || 0).toFixed(2);
+
+/**
+ * Lay out a check receipt as rows of { text, align, bold, large }
+ * @param {Object} receipt - { outlet, order, check, payments }
+ * @param {Object} options - { width, timeZone }
+ * @returns {Object[]} Rows
+ */
+const layoutReceipt = ({ outlet, order, check, payments = [] }, { width = DEFAULT_WIDTH, timeZone = DEFAULT_TIMEZONE } = {}) => {
+  const rows = [];
+  const rule = { text: '-'.repeat(width) };
+  const amountRow = (label, amount, bold = false) => ({ text: columns(label, money(amount), width), bold });
+
+  if (outlet && outlet.businessName) {
+    wrap(outlet.businessName, width).forEach(text => rows.push({ text, align: 'center', bold: true, large: true }));
+  }
+  if (outlet && outlet.phone) {
+    rows.push({ text: `Tel: ${outlet.phone}`, align: 'center' });
+  }
+  rows.push({ text: `Check ${check.checkNumber} of ${check.checkCount}`, align: 'center', bold: true });
+  if (check.label) rows.push({ text: check.label, align: 'center' });
+
+  rows.push(rule);
+  rows.push({ text: `Order: ${order.orderNumber}` });
+  if (order.tableNumber) rows.push({ text: `Table: ${order.tableNumber}` });
+  if (order.orderType) rows.push({ text: ORDER_TYPE_LABELS[order.orderType] || order.orderType });
+  rows.push({ text: formatPrintedAt(check.createdAt, timeZone) });
+  rows.push(rule);
+
+  if (check.lines.length === 0) {
+    rows.push({ text: `Equal share of order ${order.orderNumber}` });
+  }
+  check.lines.forEach((line) => {
+    const amount = money(line.price * line.qty);
+    const name = `${line.qty} x ${line.itemName}${line.variantName ? ` (${line.variantName})` : ''}`;
+    const parts = wrap(name, width - amount.length - 1);
+    rows.push({ text: columns(parts[0], amount, width) });
+    parts.slice(1).forEach(text => rows.push({ text: `    ${text}` }));
+  });
+
+  rows.push(rule);
+  rows.push(amountRow('Subtotal', check.subtotal));
+  if (check.discount > 0) rows.push(amountRow('Discount', -check.discount));
+  if (check.serviceCharge > 0) rows.push(amountRow(order.serviceChargeLabel || 'Service charge', check.serviceCharge));
+  if (check.tax > 0) rows.push(amountRow('Tax', check.tax));
+  rows.push(amountRow('TOTAL', check.totalAmount, true));
+
+  if (payments.length > 0) {
+    rows.push(rule);
+    payments.forEach((payment) => {
+      rows.push(amountRow(`Paid (${payment.method})`, payment.amount));
+      if (payment.tip > 0) rows.push(amountRow('  Tip', payment.tip));
+    });
+    const balance = check.totalAmount - check.paidAmount;
+    rows.push(amountRow(balance > 0 ? 'Balance due' : 'Balance', Math.max(0, balance), true));
+  }
+
+  rows.push(rule);
+  rows.push({ text: check.status === 'settled' ? 'PAID - Thank you!' : 'Thank you!', align: 'center' });
+
+  return rows;
+};
+
+/**
+ * Render a check receipt as plain text
+ * @param {Object} receipt - { outlet, order, check, payments }
+ * @param {Object} options - { width, timeZone }
+ * @returns {string} Receipt text
+ */
+const renderReceiptText = (receipt, options = {}) => {
+  return rowsToText(layoutReceipt(receipt, options), options.width || DEFAULT_WIDTH);
+};
+
+/**
+ * Render a check receipt as ESC/POS commands for thermal printers
+ * @param {Object} receipt - { outlet, order, check, payments }
+ * @param {Object} options - { width, timeZone }
+ * @returns {Buffer} Printer bytes
+ */
+const renderReceiptEscPos = (receipt, options = {}) => {
+  return rowsToEscPos(layoutReceipt(receipt, options));
+};
+
+/**
+ * Render a check receipt as a standalone HTML page sized for an 80mm roll
+ * @param {Object} receipt - { outlet, order, check, payments }
+ * @param {Object} options - { width, timeZone }
+ * @returns {string} HTML document
+ */
+const renderReceiptHtml = (receipt, options = {}) => {
+  const { order, check } = receipt;
+  return rowsToHtml(layoutReceipt(receipt, options), `Receipt ${order.orderNumber} (${check.checkNumber}/${check.checkCount})`);
+};
+
+module.exports = {
+  layoutReceipt,
+  renderReceiptText,
+  renderReceiptEscPos,
+  renderReceiptHtml,
+};
@@ -0,0 +1,141 @@
+/**
+ * Sequence Helper Utilities
+ * Race-free per-outlet counters and order number formatting
+ */
+
+const Counter = require('../models/Counter');
+const { DEFAULT_TIMEZONE, isValidTimezone } = require('./menu-availability');
+
+const DEFAULT_ORDER_NUMBERING = {
+  prefix: 'ORD',
+  format: '{prefix}-{date}-{seq:4}',
+  reset: 'daily',
+  tokenDigits: 3
+};
+
+/**
+ * Local calendar date of an instant as YYYYMMDD
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone
+ * @returns {string} Date key, e.g. 20261019
+ */
+const getLocalDateKey = (date = new Date(), timeZone = DEFAULT_TIMEZONE) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: isValidTimezone(timeZone) ? timeZone : DEFAULT_TIMEZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).formatToParts(date);
+  const part = (type) => parts.find(p => p.type === type).value;
+  return `${part('year')}${part('month')}${part('day')}`;
+};
+
+/**
+ * Atomically take the next number of a per-outlet sequence
+ * @param {string|Object} outletId - Outlet ID
+ * @param {string} name - Sequence name, e.g. 'order'
+ * @param {string} period - 'all' or a date key for sequences that reset
+ * @returns {Promise<number>} Next value, starting at 1
+ */
+const nextSequence = async (outletId, name, period = 'all') => {
+  const filter = { outletId, name, period };
+  const update = { $inc: { seq: 1 } };
+
+  try {
+    const counter = await Counter.findOneAndUpdate(filter, update, { new: true, upsert: true });
+    return counter.seq;
+  } catch (error) {
+    // Two first-of-the-period upserts can race on the unique index; the retry increments the winner's document
+    if (error.code !== 11000) throw error;
+    const counter = await Counter.findOneAndUpdate(filter, update, { new: true });
+    return counter.seq;
+  }
+};
+
+/**
+ * Merge an outlet's order numbering settings with the defaults
+ * @param {Object} outlet - Outlet user
+ * @returns {Object} { prefix, format, reset, tokenDigits }
+ */
+const getOrderNumbering = (outlet) => {
+  const settings = (outlet && outlet.orderNumbering) || {};
+  const defined = Object.fromEntries(Object.entries(
+    typeof settings.toObject === 'function' ? settings.toObject() : settings
+  ).filter(([, value]) => value !== undefined && value !== null));
+  return { ...DEFAULT_ORDER_NUMBERING, ...defined };
+};
+
+/**
+ * Render an order number format. Supported placeholders: {prefix}, {date}
+ * (YYYYMMDD in the outlet timezone) and {seq} or {seq:N} (zero-padded to N digits).
+ * @param {string} format - Format string
+ * @param {Object} values - { prefix, date, seq }
+ * @returns {string} Order number
+ */
+const formatOrderNumber = (format, { prefix, date, seq }) => {
+  return format
+    .replace(/\{prefix\}/g, prefix)
+    .replace(/\{date\}/g, date)
+    .replace(/\{seq(?::(\d+))?\}/g, (match, width) => String(seq).padStart(parseInt(width) || 0, '0'));
+};
+
+/**
+ * Check that a format is usable: it needs a {seq} placeholder, and a daily
+ * reset needs {date} so numbers stay unique within the outlet
+ * @param {string} format - Format string
+ * @param {string} reset - 'daily' or 'never'
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateOrderNumberFormat = (format, reset) => {
+  if (!/\{seq(?::\d+)?\}/.test(format)) {
+    return 'Format must contain {seq} or {seq:N}';
+  }
+  if (reset === 'daily' && !format.includes('{date}')) {
+    return 'Formats that reset daily must contain {date}';
+  }
+  return null;
+};
+
+/**
+ * Allocate the next order number and pickup token for an outlet
+ * @param {Object} outlet - Outlet user (provides _id, timezone, orderNumbering)
+ * @param {Date} date - Order time
+ * @returns {Promise<{ orderNumber: string, displayToken: string, sequence: number }>} Allocated identifiers
+ */
+const allocateOrderNumber = async (outlet, date = new Date()) => {
+  const numbering = getOrderNumbering(outlet);
+  const dateKey = getLocalDateKey(date, outlet.timezone);
+  const period = numbering.reset === 'daily' ? dateKey : 'all';
+  const sequence = await nextSequence(outlet._id, 'order', period);
+  const tokenModulo = 10 ** numbering.tokenDigits;
+
+  return {
+    orderNumber: formatOrderNumber(numbering.format, { prefix: numbering.prefix, date: dateKey, seq: sequence }),
+    displayToken: String(sequence % tokenModulo).padStart(numbering.tokenDigits, '0'),
+    sequence
+  };
+};
+
+/**
+ * Allocate the next KOT number for an outlet. KOT numbers follow the same
+ * reset period as the outlet's order numbers.
+ * @param {Object} outlet - Outlet user (provides _id, timezone, orderNumbering)
+ * @param {Date} date - Ticket time
+ * @returns {Promise<number>} KOT number
+ */
+const allocateKotNumber = async (outlet, date = new Date()) => {
+  const { reset } = getOrderNumbering(outlet);
+  const period = reset === 'daily' ? getLocalDateKey(date, outlet.timezone) : 'all';
+  return nextSequence(outlet._id, 'kot', period);
+};
+
+module.exports = {
+  DEFAULT_ORDER_NUMBERING,
+  getLocalDateKey,
+  nextSequence,
+  getOrderNumbering,
+  formatOrderNumber,
+  validateOrderNumberFormat,
+  allocateOrderNumber,
+  allocateKotNumber,
+};
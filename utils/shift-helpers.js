@@ -0,0 +1,134 @@
+/**
+ * Shift Helper Utilities
+ * Finds the open cash drawer session for payments and refunds, and builds
+ * X (mid-shift) and Z (closing) reports from what was taken during a shift
+ */
+
+const Shift = require('../models/Shift');
+const Payment = require('../models/Payment');
+const Refund = require('../models/Refund');
+const { ApiError } = require('./errorHandler');
+
+const DEFAULT_DRAWER = 'main';
+const PAYMENT_METHODS = ['cash', 'card', 'upi', 'wallet'];
+
+const round2 = amount => Math.round(amount * 100) / 100;
+
+/**
+ * Open shift on a drawer of an outlet
+ * @param {string|Object} outletId - Outlet ID
+ * @param {string} [drawer] - Drawer name
+ * @returns {Promise<Object|null>} Shift document
+ */
+const findOpenShift = (outletId, drawer = DEFAULT_DRAWER) => {
+  return Shift.findOne({ outletId, drawer: String(drawer).toLowerCase(), status: 'open' });
+};
+
+/**
+ * Open shift on a drawer; throws an ApiError (409) when the drawer is closed
+ * @param {string|Object} outletId - Outlet ID
+ * @param {string} [drawer] - Drawer name
+ * @returns {Promise<Object>} Shift document
+ */
+const requireOpenShift = async (outletId, drawer = DEFAULT_DRAWER) => {
+  const shift = await findOpenShift(outletId, drawer);
+  if (!shift) {
+    throw new ApiError(`No shift is open on drawer "${drawer}". Open a shift before taking payments.`, 409);
+  }
+  return shift;
+};
+
+/**
+ * Totals of a shift: takings and refunds per method, drawer movements and the
+ * cash that should be in the drawer
+ * @param {Object} shift - Shift document or plain object
+ * @returns {Promise<Object>} Totals
+ */
+const getShiftTotals = async (shift) => {
+  const [payments, refunds] = await Promise.all([
+    Payment.find({ shiftId: shift._id }).select('method amount tip status').lean(),
+    Refund.find({ shiftId: shift._id }).select('method amount').lean()
+  ]);
+
+  // Fully refunded payments were still taken; their refunds are counted on their own
+  const taken = payments.filter(payment => ['completed', 'refunded'].includes(payment.status));
+  const inFlight = payments.filter(payment => ['pending', 'processing'].includes(payment.status));
+
+  const byMethod = PAYMENT_METHODS.map((method) => {
+    const methodPayments = taken.filter(payment => payment.method === method);
+    const methodRefunds = refunds.filter(refund => refund.method === method);
+    return {
+      method,
+      count: methodPayments.length,
+      amount: round2(methodPayments.reduce((sum, payment) => sum + payment.amount, 0)),
+      tips: round2(methodPayments.reduce((sum, payment) => sum + (payment.tip || 0), 0)),
+      refundCount: methodRefunds.length,
+      refunds: round2(methodRefunds.reduce((sum, refund) => sum + refund.amount, 0))
+    };
+  }).filter(entry => entry.count > 0 || entry.refundCount > 0);
+
+  const cashIn = round2(shift.movements.filter(m => m.type === 'cash-in').reduce((sum, m) => sum + m.amount, 0));
+  const cashOut = round2(shift.movements.filter(m => m.type === 'cash-out').reduce((sum, m) => sum + m.amount, 0));
+  const cash = byMethod.find(entry => entry.method === 'cash') || { amount: 0, tips: 0, refunds: 0 };
+
+  const sales = round2(byMethod.reduce((sum, entry) => sum + entry.amount, 0));
+  const refunded = round2(byMethod.reduce((sum, entry) => sum + entry.refunds, 0));
+
+  return {
+    byMethod,
+    paymentCount: taken.length,
+    sales,
+    tips: round2(byMethod.reduce((sum, entry) => sum + entry.tips, 0)),
+    refundCount: refunds.length,
+    refunds: refunded,
+    netSales: round2(sales - refunded),
+    inFlight: { count: inFlight.length, amount: round2(inFlight.reduce((sum, payment) => sum + payment.amount, 0)) },
+    cashIn,
+    cashOut,
+    // Cash tips stay in the drawer until they are paid out with a cash-out
+    expectedCash: round2(shift.openingFloat + cash.amount + cash.tips - cash.refunds + cashIn - cashOut)
+  };
+};
+
+/**
+ * X or Z report of a shift. An X report reads the shift while it is open and
+ * leaves it untouched; the Z report is built once, at close.
+ * @param {Object} shift - Shift document or plain object
+ * @param {string} type - 'X' or 'Z'
+ * @returns {Promise<Object>} Report
+ */
+const buildShiftReport = async (shift, type) => {
+  const totals = await getShiftTotals(shift);
+
+  const report = {
+    type,
+    shiftId: shift._id,
+    shiftNumber: shift.shiftNumber,
+    drawer: shift.drawer,
+    openedAt: shift.openedAt,
+    openedBy: shift.openedBy,
+    generatedAt: new Date(),
+    openingFloat: shift.openingFloat,
+    ...totals,
+    movements: shift.movements.map(({ type: movementType, amount, reason, recordedAt }) => ({
+      type: movementType, amount, reason, recordedAt
+    }))
+  };
+
+  if (type === 'Z') {
+    report.closedAt = shift.closedAt;
+    report.closedBy = shift.closedBy;
+    report.countedCash = shift.countedCash;
+    report.variance = round2(shift.countedCash - totals.expectedCash);
+  }
+
+  return report;
+};
+
+module.exports = {
+  DEFAULT_DRAWER,
+  findOpenShift,
+  requireOpenShift,
+  getShiftTotals,
+  buildShiftReport,
+};
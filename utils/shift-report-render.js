@@ -0,0 +1,96 @@
+/**
+ * Shift Report Rendering Utilities
+ * Lays out an X or Z report for the receipt printer and renders it as plain
+ * text, ESC/POS bytes, or HTML
+ */
+
+const { DEFAULT_TIMEZONE } = require('./menu-availability');
+const { DEFAULT_WIDTH, columns, formatPrintedAt, rowsToText, rowsToEscPos, rowsToHtml } = require('./print-layout');
+
+const money = amount => (amount || 0).toFixed(2);
+
+/**
+ * Lay out a shift report as rows of { text, align, bold, large }
+ * @param {Object} report - Output of buildShiftReport
+ * @param {Object} options - { width, timeZone, businessName }
+ * @returns {Object[]} Rows
+ */
+const layoutShiftReport = (report, { width = DEFAULT_WIDTH, timeZone = DEFAULT_TIMEZONE, businessName } = {}) => {
+  const rows = [];
+  const rule = { text: '-'.repeat(width) };
+  const amountRow = (label, amount, bold = false) => ({ text: columns(label, money(amount), width), bold });
+
+  if (businessName) rows.push({ text: businessName, align: 'center', bold: true });
+  rows.push({ text: `${report.type} REPORT`, align: 'center', bold: true, large: true });
+  rows.push({ text: report.type === 'Z' ? 'Shift closed' : 'Mid-shift reading', align: 'center' });
+  rows.push(rule);
+  rows.push({ text: `Shift #${report.shiftNumber}  Drawer: ${report.drawer}` });
+  rows.push({ text: `Opened: ${formatPrintedAt(report.openedAt, timeZone)}` });
+  rows.push({ text: `${report.type === 'Z' ? 'Closed' : 'Printed'}: ${formatPrintedAt(report.closedAt || report.generatedAt, timeZone)}` });
+  rows.push(rule);
+
+  rows.push({ text: 'TAKINGS', bold: true });
+  report.byMethod.forEach((entry) => {
+    rows.push(amountRow(`${entry.method} (${entry.count})`, entry.amount));
+    if (entry.tips > 0) rows.push(amountRow('  tips', entry.tips));
+    if (entry.refunds > 0) rows.push(amountRow(`  refunds (${entry.refundCount})`, -entry.refunds));
+  });
+  rows.push(amountRow('Sales', report.sales, true));
+  if (report.refunds > 0) rows.push(amountRow('Refunds', -report.refunds));
+  rows.push(amountRow('Net sales', report.netSales, true));
+  if (report.tips > 0) rows.push(amountRow('Tips', report.tips));
+  if (report.inFlight.count > 0) {
+    rows.push(amountRow(`Awaiting gateway (${report.inFlight.count})`, report.inFlight.amount));
+  }
+
+  rows.push(rule);
+  rows.push({ text: 'CASH DRAWER', bold: true });
+  rows.push(amountRow('Opening float', report.openingFloat));
+  rows.push(amountRow('Cash in', report.cashIn));
+  rows.push(amountRow('Cash out', -report.cashOut));
+  rows.push(amountRow('Expected cash', report.expectedCash, true));
+  if (report.type === 'Z') {
+    rows.push(amountRow('Counted cash', report.countedCash, true));
+    rows.push(amountRow(report.variance < 0 ? 'Short' : 'Over', report.variance, true));
+  }
+  rows.push(rule);
+
+  return rows;
+};
+
+/**
+ * Render a shift report as plain text
+ * @param {Object} report - Output of buildShiftReport
+ * @param {Object} options - { width, timeZone, businessName }
+ * @returns {string} Report text
+ */
+const renderShiftReportText = (report, options = {}) => {
+  return rowsToText(layoutShiftReport(report, options), options.width || DEFAULT_WIDTH);
+};
+
+/**
+ * Render a shift report as ESC/POS commands for thermal printers
+ * @param {Object} report - Output of buildShiftReport
+ * @param {Object} options - { width, timeZone, businessName }
+ * @returns {Buffer} Printer bytes
+ */
+const renderShiftReportEscPos = (report, options = {}) => {
+  return rowsToEscPos(layoutShiftReport(report, options));
+};
+
+/**
+ * Render a shift report as a standalone HTML page sized for an 80mm roll
+ * @param {Object} report - Output of buildShiftReport
+ * @param {Object} options - { width, timeZone, businessName }
+ * @returns {string} HTML document
+ */
+const renderShiftReportHtml = (report, options = {}) => {
+  return rowsToHtml(layoutShiftReport(report, options), `${report.type} report - shift #${report.shiftNumber}`);
+};
+
+module.exports = {
+  layoutShiftReport,
+  renderShiftReportText,
+  renderShiftReportEscPos,
+  renderShiftReportHtml,
+};
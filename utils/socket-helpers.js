@@ -0,0 +1,74 @@
+/**
+ * Socket.IO Helper Utilities
+ * Room naming and broadcast helpers shared by the route handlers
+ */
+
+/**
+ * Kitchen display room for an outlet
+ * @param {string|Object} outletId - Outlet ID
+ * @returns {string} Room name
+ */
+const kitchenRoom = (outletId) => `kitchen-${outletId}`;
+
+/**
+ * Room every POS terminal of an outlet joins
+ * @param {string|Object} outletId - Outlet ID
+ * @returns {string} Room name
+ */
+const outletRoom = (outletId) => `outlet-${outletId}`;
+
+/**
+ * Room for the screens of one prep station (grill, bar, ...) of an outlet
+ * @param {string|Object} outletId - Outlet ID
+ * @param {string} station - Station name
+ * @returns {string} Room name
+ */
+const stationRoom = (outletId, station) => `station-${outletId}-${station}`;
+
+/**
+ * Emit an event to every kitchen screen and POS terminal of an outlet.
+ * Sockets that joined both rooms receive the event once.
+ * @param {Object} req - Express request (used to reach the io instance)
+ * @param {string|Object} outletId - Outlet ID
+ * @param {string} event - Event name
+ * @param {Object} payload - Event payload
+ */
+const emitToOutlet = (req, outletId, event, payload) => {
+  const io = req.app.get('io');
+  if (io) {
+    io.to([kitchenRoom(outletId), outletRoom(outletId)]).emit(event, payload);
+  }
+};
+
+/**
+ * Route order lines to their prep stations: each station room receives one
+ * event with only its own lines. Lines without a station are not routed.
+ * @param {Object} req - Express request (used to reach the io instance)
+ * @param {string|Object} outletId - Outlet ID
+ * @param {string} event - Event name
+ * @param {Object[]} lines - Order lines (need a `station` field)
+ * @param {Function} buildPayload - (stationLines, station) => event payload
+ */
+const emitToStations = (req, outletId, event, lines, buildPayload) => {
+  const io = req.app.get('io');
+  if (!io) return;
+
+  const byStation = new Map();
+  lines.forEach((line) => {
+    if (!line.station) return;
+    if (!byStation.has(line.station)) byStation.set(line.station, []);
+    byStation.get(line.station).push(line);
+  });
+
+  byStation.forEach((stationLines, station) => {
+    io.to(stationRoom(outletId, station)).emit(event, buildPayload(stationLines, station));
+  });
+};
+
+module.exports = {
+  kitchenRoom,
+  outletRoom,
+  stationRoom,
+  emitToOutlet,
+  emitToStations,
+};
@@ -0,0 +1,201 @@
+/**
+ * Split Bill Utilities
+ * Divides an order's bill into sub-checks by item, by seat or into equal
+ * shares. Amounts are allocated in cents so the checks always add up to the
+ * order's totals, whatever the rounding.
+ */
+
+const Check = require('../models/Check');
+const { ApiError } = require('./errorHandler');
+const { sumNetPayments } = require('./order-helpers');
+
+const toCents = amount => Math.round((amount || 0) * 100);
+const fromCents = cents => cents / 100;
+
+/**
+ * Divide an amount in cents in proportion to weights, handing the cents lost
+ * to rounding to the largest remainders (earlier parts win ties)
+ * @param {number} totalCents - Amount to divide
+ * @param {number[]} weights - One non-negative weight per part; all zero means equal parts
+ * @returns {number[]} Cents per part, summing to totalCents
+ */
+const allocateCents = (totalCents, weights) => {
+  const sum = weights.reduce((acc, weight) => acc + weight, 0);
+  const effective = sum > 0 ? weights : weights.map(() => 1);
+  const effectiveSum = sum > 0 ? sum : weights.length;
+
+  const shares = effective.map((weight, index) => {
+    const exact = (totalCents * weight) / effectiveSum;
+    return { index, cents: Math.floor(exact), remainder: exact - Math.floor(exact) };
+  });
+
+  let left = totalCents - shares.reduce((acc, share) => acc + share.cents, 0);
+  [...shares]
+    .sort((a, b) => b.remainder - a.remainder || a.index - b.index)
+    .forEach((share) => {
+      if (left > 0) {
+        share.cents++;
+        left--;
+      }
+    });
+
+  return shares.map(share => share.cents);
+};
+
+// Check line snapshot of an OrderItem
+const toCheckLine = line => ({
+  orderItemId: line._id,
+  itemName: line.itemName,
+  variantName: line.variantName,
+  qty: line.qty,
+  price: line.price,
+  seat: line.seat
+});
+
+/**
+ * Group an order's billable lines into checks. Throws an ApiError (400) when
+ * the requested split does not cover the order exactly once.
+ * @param {Object[]} lines - Non-voided OrderItems of the order
+ * @param {Object} split - { type: 'item', checks: [{ lineIds, label }] },
+ *   { type: 'seat' } or { type: 'equal', parts }
+ * @returns {Object[]} Groups of { label, lines } (lines are empty for equal shares)
+ */
+const groupLines = (lines, split) => {
+  const billable = lines.filter(line => line.lineType !== 'combo-component');
+
+  if (split.type === 'equal') {
+    return Array.from({ length: split.parts }, () => ({ lines: [] }));
+  }
+
+  if (split.type === 'seat') {
+    const bySeat = new Map();
+    billable.forEach((line) => {
+      const key = line.seat || null;
+      if (!bySeat.has(key)) bySeat.set(key, []);
+      bySeat.get(key).push(line);
+    });
+
+    const seats = [...bySeat.keys()].filter(seat => seat !== null).sort((a, b) => a - b);
+    const groups = seats.map(seat => ({ label: `Seat ${seat}`, lines: bySeat.get(seat) }));
+    if (bySeat.has(null)) {
+      groups.push({ label: 'Shared', lines: bySeat.get(null) });
+    }
+
+    if (groups.length < 2) {
+      throw new ApiError('Assign items to at least two seats to split by seat', 400);
+    }
+    return groups;
+  }
+
+  const linesById = new Map(billable.map(line => [line._id.toString(), line]));
+  const assigned = new Set();
+
+  const groups = split.checks.map((check) => {
+    const groupLinesList = check.lineIds.map((lineId) => {
+      const key = String(lineId);
+      if (!linesById.has(key)) {
+        throw new ApiError(`Order item ${key} cannot be billed on a check`, 400);
+      }
+      if (assigned.has(key)) {
+        throw new ApiError(`${linesById.get(key).itemName} is on more than one check`, 400);
+      }
+      assigned.add(key);
+      return linesById.get(key);
+    });
+    return { label: check.label, lines: groupLinesList };
+  });
+
+  const unassigned = billable.filter(line => !assigned.has(line._id.toString()));
+  if (unassigned.length > 0) {
+    throw new ApiError(`Put every item on a check: ${unassigned.map(line => line.itemName).join(', ')}`, 400);
+  }
+  if (groups.some(group => group.lines.length === 0)) {
+    throw new ApiError('Every check needs at least one item', 400);
+  }
+
+  return groups;
+};
+
+/**
+ * Work out the amounts of each check. The subtotal follows the lines on each
+ * check (or equal shares), the discount follows the subtotals and the service
+ * charge and tax follow what is left after the discount.
+ * @param {Object} order - Order document (subtotal, discount, serviceCharge, tax, totalAmount)
+ * @param {Object[]} groups - Output of groupLines
+ * @param {string} splitType - 'item', 'seat' or 'equal'
+ * @returns {Object[]} Check data without orderId, createdBy and outletId
+ */
+const buildChecks = (order, groups, splitType) => {
+  const subtotalCents = toCents(order.subtotal);
+  const discountCents = toCents(order.discount);
+  const serviceChargeCents = toCents(order.serviceCharge);
+  // Tax takes up whatever rounding the order itself carried, so checks add up to its total
+  const taxCents = Math.max(0, toCents(order.totalAmount) - subtotalCents + discountCents - serviceChargeCents);
+
+  const weights = splitType === 'equal'
+    ? groups.map(() => 1)
+    : groups.map(group => group.lines.reduce((sum, line) => sum + toCents(line.price * line.qty), 0));
+
+  const subtotals = allocateCents(subtotalCents, weights);
+  const discounts = allocateCents(discountCents, subtotals);
+  const netAmounts = subtotals.map((cents, index) => cents - discounts[index]);
+  const serviceCharges = allocateCents(serviceChargeCents, netAmounts);
+  const taxes = allocateCents(taxCents, netAmounts);
+
+  return groups.map((group, index) => ({
+    checkNumber: index + 1,
+    checkCount: groups.length,
+    splitType,
+    label: group.label || (splitType === 'equal' ? `Share ${index + 1} of ${groups.length}` : `Check ${index + 1}`),
+    lines: group.lines.map(toCheckLine),
+    subtotal: fromCents(subtotals[index]),
+    discount: fromCents(discounts[index]),
+    serviceCharge: fromCents(serviceCharges[index]),
+    tax: fromCents(taxes[index]),
+    totalAmount: fromCents(netAmounts[index] + serviceCharges[index] + taxes[index])
+  }));
+};
+
+/**
+ * Sum of completed and in-flight payments against a check, net of refunds
+ * @param {Object} checkId - Check ID
+ * @returns {Promise<number>} Amount paid
+ */
+const getCheckPaidAmount = checkId => sumNetPayments({ checkId });
+
+/**
+ * Refresh a check's paidAmount from its payments and settle it once paid in full
+ * @param {Object} check - Check document
+ * @returns {Promise<Object>} The saved Check document
+ */
+const syncCheckState = async (check) => {
+  const paidAmount = await getCheckPaidAmount(check._id);
+  const settled = toCents(paidAmount) >= toCents(check.totalAmount);
+
+  check.set({
+    paidAmount,
+    status: settled ? 'settled' : 'open',
+    settledAt: settled ? (check.settledAt || new Date()) : undefined
+  });
+  return check.save();
+};
+
+/**
+ * Active (not voided) checks of an order, in check order
+ * @param {Object} orderId - Order ID
+ * @returns {Promise<Object[]>} Check documents
+ */
+const getActiveChecks = (orderId) => {
+  return Check.find({ orderId, status: { $ne: 'void' } }).sort({ checkNumber: 1 });
+};
+
+module.exports = {
+  toCents,
+  fromCents,
+  allocateCents,
+  groupLines,
+  buildChecks,
+  getCheckPaidAmount,
+  syncCheckState,
+  getActiveChecks,
+};
@@ -0,0 +1,109 @@
+/**
+ * Stock Helper Utilities
+ * Atomic reservation of tracked menu item stock and "86" broadcasts
+ */
+
+const MenuItem = require('../models/MenuItem');
+const { ApiError } = require('./errorHandler');
+const { emitToOutlet } = require('./socket-helpers');
+
+/**
+ * Shape of the sold-out state sent to POS and kitchen screens
+ * @param {Object} menuItem - MenuItem document or plain object
+ * @returns {Object} Event payload
+ */
+const stockPayload = (menuItem) => ({
+  itemId: menuItem._id,
+  name: menuItem.name,
+  isSoldOut: menuItem.isSoldOut,
+  soldOutUntil: menuItem.soldOutUntil || null,
+  stockCount: menuItem.stockCount
+});
+
+/**
+ * Broadcast a menu item's stock state to the outlet
+ * @param {Object} req - Express request
+ * @param {Object} menuItem - MenuItem document or plain object
+ */
+const broadcastStockUpdate = (req, menuItem) => {
+  emitToOutlet(req, menuItem.outletId, 'menu:stock-updated', stockPayload(menuItem));
+};
+
+/**
+ * Return previously reserved quantities to stock. Items that were flagged sold
+ * out because they ran out are available again once they have stock, and the
+ * change is broadcast to the outlet.
+ * @param {Object} req - Express request
+ * @param {Map<string, number>} reserved - Quantity per menu item ID
+ */
+const releaseStock = async (req, reserved) => {
+  await Promise.all([...reserved.entries()].filter(([, qty]) => qty > 0).map(async ([itemId, qty]) => {
+    const updated = await MenuItem.findOneAndUpdate(
+      { _id: itemId, stockCount: { $ne: null } },
+      { $inc: { stockCount: qty } },
+      { new: true }
+    );
+    if (!updated) return;
+
+    const restocked = updated.soldOutByStock && updated.stockCount > 0
+      ? await MenuItem.findOneAndUpdate(
+        { _id: itemId, soldOutByStock: true, stockCount: { $gt: 0 } },
+        { isSoldOut: false, soldOutUntil: null, soldOutByStock: false },
+        { new: true }
+      )
+      : null;
+    broadcastStockUpdate(req, restocked || updated);
+  }));
+};
+
+/**
+ * Atomically decrement stock for every tracked item in an order.
+ * Either all reservations succeed or none are kept. Items that reach zero
+ * are flagged sold out and broadcast to the outlet.
+ * @param {Object} req - Express request
+ * @param {Object[]} menuItems - MenuItem documents in the order
+ * @param {Map<string, number>} quantities - Ordered quantity per menu item ID
+ * @returns {Promise<Map<string, number>>} What was reserved, for releaseStock on failure
+ */
+const reserveStock = async (req, menuItems, quantities) => {
+  const reserved = new Map();
+  const tracked = menuItems.filter(mi => mi.stockCount !== null && mi.stockCount !== undefined);
+
+  for (const menuItem of tracked) {
+    const qty = quantities.get(menuItem._id.toString()) || 0;
+    if (qty === 0) continue;
+
+    const updated = await MenuItem.findOneAndUpdate(
+      { _id: menuItem._id, stockCount: { $gte: qty } },
+      { $inc: { stockCount: -qty } },
+      { new: true }
+    );
+
+    if (!updated) {
+      await releaseStock(req, reserved);
+      throw new ApiError(`Not enough ${menuItem.name} left in stock`, 409);
+    }
+
+    reserved.set(menuItem._id.toString(), qty);
+
+    if (updated.stockCount === 0) {
+      const soldOut = await MenuItem.findOneAndUpdate(
+        { _id: menuItem._id, stockCount: 0 },
+        { isSoldOut: true, soldOutUntil: null, soldOutByStock: true },
+        { new: true }
+      );
+      if (soldOut) broadcastStockUpdate(req, soldOut);
+    } else {
+      broadcastStockUpdate(req, updated);
+    }
+  }
+
+  return reserved;
+};
+
+module.exports = {
+  stockPayload,
+  broadcastStockUpdate,
+  reserveStock,
+  releaseStock,
+};
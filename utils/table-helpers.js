@@ -0,0 +1,137 @@
+/**
+ * Table Helper Utilities
+ * Resolves order tables against the floor plan and keeps table occupancy in
+ * step with the outlet's open orders
+ */
+
+const Table = require('../models/Table');
+const Order = require('../models/Order');
+const { ApiError } = require('./errorHandler');
+const { emitToOutlet } = require('./socket-helpers');
+const { OPEN_ORDER_STATUSES } = require('../config/order-status');
+
+/**
+ * Shape of a table sent to POS terminals
+ * @param {Object} table - Table document or plain object
+ * @returns {Object} Event payload
+ */
+const tablePayload = (table) => ({
+  _id: table._id,
+  number: table.number,
+  area: table.area,
+  section: table.section,
+  capacity: table.capacity,
+  status: table.status,
+  mergedInto: table.mergedInto || null
+});
+
+/**
+ * Resolve the table an order is placed for. Until an outlet sets up its floor
+ * plan any table number is accepted as free text; afterwards it must name an
+ * active table. Orders for a table merged into another go to that table.
+ * Throws an ApiError for unknown or out-of-service tables.
+ * @param {string|Object} outletId - Outlet ID
+ * @param {string} tableNumber - Table number from the request
+ * @returns {Promise<{ tableNumber: string|null, table: Object|null }>} Resolved table
+ */
+const resolveOrderTable = async (outletId, tableNumber) => {
+  if (!tableNumber) {
+    return { tableNumber: null, table: null };
+  }
+
+  const hasFloorPlan = await Table.exists({ outletId, isActive: true });
+  if (!hasFloorPlan) {
+    return { tableNumber, table: null };
+  }
+
+  let table = await Table.findOne({ outletId, number: tableNumber, isActive: true });
+  if (!table) {
+    throw new ApiError(`Table ${tableNumber} does not exist`, 400);
+  }
+  if (table.mergedInto) {
+    table = (await Table.findOne({ _id: table.mergedInto, outletId })) || table;
+  }
+  if (table.status === 'out-of-service') {
+    throw new ApiError(`Table ${table.number} is out of service`, 409);
+  }
+
+  return { tableNumber: table.number, table };
+};
+
+/**
+ * Open orders per table number
+ * @param {string|Object} outletId - Outlet ID
+ * @param {string[]} [tableNumbers] - Limit to these tables
+ * @returns {Promise<Map<string, Object[]>>} Open orders (summary fields) per table number
+ */
+const getOpenOrdersByTable = async (outletId, tableNumbers = null) => {
+  const filter = { outletId, status: { $in: OPEN_ORDER_STATUSES }, tableNumber: { $nin: [null, ''] } };
+  if (tableNumbers) filter.tableNumber = { $in: tableNumbers };
+
+  const orders = await Order.find(filter)
+    .select('orderNumber tableNumber status totalAmount paidAmount paymentStatus createdAt')
+    .sort({ createdAt: 1 })
+    .lean();
+
+  const byTable = new Map();
+  orders.forEach((order) => {
+    if (!byTable.has(order.tableNumber)) byTable.set(order.tableNumber, []);
+    byTable.get(order.tableNumber).push(order);
+  });
+  return byTable;
+};
+
+/**
+ * Recompute occupancy for some tables (and tables merged into them) and
+ * broadcast the ones that changed. A table is occupied while it has open
+ * orders, or while the table it is merged into does. Freed tables become
+ * available and leave any merge; reserved/cleaning tables keep their status.
+ * @param {Object} req - Express request
+ * @param {string|Object} outletId - Outlet ID
+ * @param {string[]} tableNumbers - Tables whose orders changed
+ */
+const refreshTables = async (req, outletId, tableNumbers) => {
+  const numbers = [...new Set(tableNumbers.filter(Boolean).map(String))];
+  if (numbers.length === 0) return;
+
+  const tables = await Table.find({ outletId, number: { $in: numbers } });
+  if (tables.length === 0) return;
+
+  // Tables joined to these ones, and the tables these ones are joined to
+  const related = await Table.find({
+    outletId,
+    $or: [
+      { mergedInto: { $in: tables.map(table => table._id) } },
+      { _id: { $in: tables.map(table => table.mergedInto).filter(Boolean) } }
+    ]
+  });
+  const all = new Map([...tables, ...related].map(table => [table._id.toString(), table]));
+  const openOrders = await getOpenOrdersByTable(outletId, [...all.values()].map(table => table.number));
+  const hasOpenOrders = table => Boolean(table) && openOrders.has(table.number);
+
+  for (const table of all.values()) {
+    const target = table.mergedInto ? all.get(table.mergedInto.toString()) : null;
+    const occupied = hasOpenOrders(table) || hasOpenOrders(target);
+    const before = { status: table.status, mergedInto: table.mergedInto ? table.mergedInto.toString() : null };
+
+    if (occupied) {
+      table.status = 'occupied';
+    } else {
+      if (table.status === 'occupied') table.status = 'available';
+      table.mergedInto = null;
+    }
+
+    const mergedInto = table.mergedInto ? table.mergedInto.toString() : null;
+    if (table.status !== before.status || mergedInto !== before.mergedInto) {
+      await table.save();
+      emitToOutlet(req, outletId, 'table:updated', tablePayload(table));
+    }
+  }
+};
+
+module.exports = {
+  tablePayload,
+  resolveOrderTable,
+  getOpenOrdersByTable,
+  refreshTables,
+};